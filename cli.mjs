@@ -0,0 +1,365 @@
+#!/usr/bin/env node
+import { existsSync, mkdirSync, readFileSync, readdirSync, statSync, writeFileSync } from 'fs';
+import { basename, dirname, extname, isAbsolute, join, relative, resolve } from 'path';
+import { parseArgs } from 'util';
+import {
+  ExtractMergeError,
+  SEGMENT_EXPORTERS,
+  SEGMENT_IMPORTERS,
+  extractTextNodes,
+  hasValidExtractOptions,
+  hasValidMergeOptions,
+  isValidTranslationList,
+  mergeTranslations,
+  replaceTranslations,
+  setLogger
+} from './index.mjs';
+
+const USAGE = `Usage: jsdom-extract-merge <command> <file|glob>... [options]
+
+Commands:
+  extract                  Extract segments to JSON (or an XLIFF/PO file with --format)
+  merge                    Merge translations into the documents (bilingual output)
+  replace                  Replace the documents' text with translations
+
+Options:
+  --out-dir <dir>          Write one output per input under <dir>, keeping paths relative to
+                           the glob base (for plain files, to the working directory); without
+                           it, a single input's output goes to stdout
+  --translations <path>    Translations for merge/replace: a JSON, XLIFF or PO file, or a
+                           directory with <input>.json/.xlf/.po per input (extract --out-dir),
+                           found by the input's name or else the longest tail of its path
+  --options <json>         Processing options, as in the HTTP API request body
+  --options-file <file>    Processing options from a JSON file
+  --source-format <fmt>    html, xhtml, markdown or text (default: from the file extension)
+  --placeholders <style>   Inline tag style of extracted segments
+  --target-lang <lang>     Target language
+  --format <fmt>           extract output: json, xliff, xliff12 or po
+  --verbose                Log processing warnings to stderr
+  -h, --help               Show this help`;
+
+// Exit codes: processing errors and usage errors
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+
+const COMMANDS = new Set(['extract', 'merge', 'replace']);
+
+// Source formats inferred from input file extensions (anything else is HTML)
+const EXTENSION_FORMATS = {
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.txt': 'text',
+  '.xhtml': 'xhtml'
+};
+
+// Output file extensions of extract formats, and translation file formats by extension
+const FORMAT_EXTENSIONS = { json: '.json', xliff: '.xlf', xliff12: '.xlf', po: '.po' };
+const TRANSLATION_FORMATS = { '.json': 'json', '.xlf': 'xliff', '.xliff': 'xliff', '.po': 'po' };
+
+const GLOB_CHARS = /[*?[{]/;
+
+class UsageError extends Error {}
+
+// Regular expression for a glob relative to its base: `**` spans directories, `*` and `?`
+// stay within one, `[...]` is a character class and `{a,b}` an alternation
+function globPattern(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (glob.startsWith('**/', i)) {
+      source += '(?:.*/)?';
+      i += 2;
+    } else if (glob.startsWith('**', i)) {
+      source += '.*';
+      i += 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = glob.indexOf(']', i + 1);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        source += `[${glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+        i = end;
+      }
+    } else if (char === '{') {
+      const end = glob.indexOf('}', i + 1);
+      if (end === -1) {
+        source += '\\{';
+      } else {
+        source += `(?:${glob.slice(i + 1, end).split(',').map(part => part.replace(/[.+^$()|\\]/g, '\\$&')).join('|')})`;
+        i = end;
+      }
+    } else {
+      source += char.replace(/[.+^$()|\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+// Files below a directory, as paths relative to it (with forward slashes)
+function listFiles(dir, prefix = '') {
+  const files = [];
+  for (const entry of readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name === 'node_modules' || entry.name.startsWith('.')) {
+      continue;
+    }
+    if (entry.isDirectory()) {
+      files.push(...listFiles(join(dir, entry.name), `${prefix}${entry.name}/`));
+    } else if (entry.isFile()) {
+      files.push(`${prefix}${entry.name}`);
+    }
+  }
+  return files;
+}
+
+// Name of a plain input file: its path relative to the working directory, or its file name
+// when it's outside of it
+function plainInputName(file) {
+  const path = relative('.', file).replace(/\\/g, '/');
+  return path.startsWith('../') || isAbsolute(path) ? basename(file) : path;
+}
+
+// Expand the command line inputs into { file, name } pairs. Globs are matched below their
+// base (the directories before the first wildcard) and named relative to it; plain files
+// are named by plainInputName(). Two inputs with the same name would overwrite each other's
+// output, so that's an error.
+function expandInputs(args) {
+  const inputs = new Map();
+
+  for (const arg of args) {
+    const glob = arg.replace(/\\/g, '/');
+    if (!GLOB_CHARS.test(glob)) {
+      if (!existsSync(arg) || !statSync(arg).isFile()) {
+        throw new UsageError(`No such file: ${arg}`);
+      }
+      inputs.set(resolve(arg), { file: arg, name: plainInputName(arg) });
+      continue;
+    }
+
+    const parts = glob.split('/');
+    const wildcard = parts.findIndex(part => GLOB_CHARS.test(part));
+    const base = parts.slice(0, wildcard).join('/') || '.';
+    const pattern = globPattern(parts.slice(wildcard).join('/'));
+    const matches = existsSync(base) ? listFiles(base).filter(path => pattern.test(path)) : [];
+    if (matches.length === 0) {
+      throw new UsageError(`No files match: ${arg}`);
+    }
+    for (const path of matches.sort()) {
+      const file = join(base, path);
+      inputs.set(resolve(file), { file, name: path });
+    }
+  }
+
+  const byName = new Map();
+  for (const input of inputs.values()) {
+    if (byName.has(input.name)) {
+      throw new UsageError(`${byName.get(input.name).file} and ${input.file} have the same output name ${input.name}`);
+    }
+    byName.set(input.name, input);
+  }
+  return Array.from(inputs.values());
+}
+
+// Names an input's translations may have in a --translations directory: its own name, then
+// shorter tails of its path, so files named relative to a glob base are found for plain
+// inputs and the other way round
+function translationNames(input) {
+  const names = [input.name];
+  const parts = plainInputName(input.file).split('/');
+  for (let i = 0; i < parts.length; i++) {
+    const name = parts.slice(i).join('/');
+    if (!names.includes(name)) {
+      names.push(name);
+    }
+  }
+  return names;
+}
+
+// Read a JSON file, naming the file in the error
+function readJsonFile(file) {
+  try {
+    return JSON.parse(readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new UsageError(`Invalid JSON in ${file}: ${error.message}`);
+  }
+}
+
+// Processing options: --options or --options-file, then the shorthand flags
+function buildOptions(values) {
+  let options = {};
+  if (values['options-file']) {
+    options = readJsonFile(values['options-file']);
+  }
+  if (values.options) {
+    try {
+      options = { ...options, ...JSON.parse(values.options) };
+    } catch (error) {
+      throw new UsageError(`Invalid --options JSON: ${error.message}`);
+    }
+  }
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw new UsageError('Options must be a JSON object');
+  }
+
+  const flags = { 'source-format': 'sourceFormat', placeholders: 'placeholders', 'target-lang': 'targetLang', format: 'format' };
+  for (const [flag, option] of Object.entries(flags)) {
+    if (values[flag] !== undefined) {
+      options[option] = values[flag];
+    }
+  }
+  return options;
+}
+
+// Load the translations of one input: from the --translations file, or from its file in the
+// --translations directory. JSON files hold an array, { translations } or extract's { texts };
+// XLIFF and PO files are imported (with XML placeholders, as they were exported).
+function loadTranslations(source, input) {
+  let file = source;
+  if (statSync(source).isDirectory()) {
+    file = translationNames(input)
+      .flatMap(name => ['.json', '.xlf', '.po'].map(extension => join(source, name + extension)))
+      .find(path => existsSync(path));
+    if (!file) {
+      throw new UsageError(`No translations for ${input.name} in ${source}`);
+    }
+  }
+
+  const format = TRANSLATION_FORMATS[extname(file).toLowerCase()] || 'json';
+  if (format !== 'json') {
+    const imported = SEGMENT_IMPORTERS[format](readFileSync(file, 'utf8'));
+    if (!imported) {
+      throw new UsageError(`Invalid ${format === 'po' ? 'PO' : 'XLIFF'} file: ${file}`);
+    }
+    return { translations: imported.translations, placeholders: 'xml' };
+  }
+
+  const json = readJsonFile(file);
+  const translations = Array.isArray(json) ? json : json.translations || json.texts;
+  if (!isValidTranslationList(translations)) {
+    throw new UsageError(`Invalid translations file: ${file}`);
+  }
+  return { translations };
+}
+
+// Run a command on one input and return its output (file contents)
+function processInput(command, input, options, values) {
+  const html = readFileSync(input.file, 'utf8');
+  const sourceFormat = options.sourceFormat || EXTENSION_FORMATS[extname(input.file).toLowerCase()];
+  const inputOptions = sourceFormat ? { ...options, sourceFormat } : options;
+
+  if (command === 'extract') {
+    const format = options.format || 'json';
+    if (format === 'json') {
+      return `${JSON.stringify({ texts: extractTextNodes(html, inputOptions) }, null, 2)}\n`;
+    }
+    const details = {};
+    const segments = extractTextNodes(html, { ...inputOptions, placeholders: 'xml' }, details);
+    return SEGMENT_EXPORTERS[format](segments, details, options.targetLang);
+  }
+
+  const { translations, placeholders } = loadTranslations(values.translations, input);
+  const apply = command === 'merge' ? mergeTranslations : replaceTranslations;
+  const result = apply(html, translations, placeholders ? { ...inputOptions, placeholders } : inputOptions);
+  const { total, skipped, failed, qaIssues } = result.stats;
+  const applied = command === 'merge' ? result.stats.merged : result.stats.replaced;
+  const issues = qaIssues ? `, ${qaIssues} QA issues` : '';
+  console.error(`${input.file}: ${applied} of ${total} translations applied, ${skipped} skipped, ${failed} failed${issues}`);
+  return result.transhtml;
+}
+
+// Output path of an input under --out-dir: extract writes <name>.json (or .xlf/.po),
+// merge and replace keep the input's name
+function outputPath(command, input, options, outDir) {
+  const name = command === 'extract' ? input.name + FORMAT_EXTENSIONS[options.format || 'json'] : input.name;
+  return join(outDir, name);
+}
+
+function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      'out-dir': { type: 'string' },
+      translations: { type: 'string' },
+      options: { type: 'string' },
+      'options-file': { type: 'string' },
+      'source-format': { type: 'string' },
+      placeholders: { type: 'string' },
+      'target-lang': { type: 'string' },
+      format: { type: 'string' },
+      verbose: { type: 'boolean' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const [command, ...args] = positionals;
+  if (!COMMANDS.has(command)) {
+    throw new UsageError(command ? `Unknown command: ${command}` : 'Missing command');
+  }
+  if (args.length === 0) {
+    throw new UsageError('No input files');
+  }
+  if (command !== 'extract' && !values.translations) {
+    throw new UsageError(`${command} needs --translations`);
+  }
+  if (values.translations && !existsSync(values.translations)) {
+    throw new UsageError(`No such file or directory: ${values.translations}`);
+  }
+
+  const options = buildOptions(values);
+  const valid = command === 'extract' ? hasValidExtractOptions(options) : hasValidMergeOptions(options);
+  if (!valid || (command !== 'extract' && 'format' in options)) {
+    throw new UsageError('Invalid options');
+  }
+
+  const inputs = expandInputs(args);
+  if (inputs.length > 1 && !values['out-dir']) {
+    throw new UsageError('Several inputs need --out-dir');
+  }
+
+  if (values.verbose) {
+    setLogger((level, message, context) => console.error(JSON.stringify({ level, message, ...context })));
+  }
+
+  let status = 0;
+  for (const input of inputs) {
+    try {
+      const output = processInput(command, input, options, values);
+      if (values['out-dir']) {
+        const path = outputPath(command, input, options, values['out-dir']);
+        mkdirSync(dirname(path), { recursive: true });
+        writeFileSync(path, output);
+        console.error(`${input.file} -> ${relative('.', path)}`);
+      } else {
+        process.stdout.write(output);
+      }
+    } catch (error) {
+      if (!(error instanceof ExtractMergeError) && !(error instanceof UsageError)) {
+        throw error;
+      }
+      console.error(`${input.file}: ${error.message}`);
+      status = EXIT_FAILED;
+    }
+  }
+  return status;
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (error) {
+  if (error instanceof UsageError || error.code?.startsWith('ERR_PARSE_ARGS')) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exitCode = EXIT_USAGE;
+  } else {
+    console.error(error.stack);
+    process.exitCode = EXIT_FAILED;
+  }
+}
@@ -0,0 +1,4323 @@
+import { createHash } from 'crypto';
+import { posix } from 'path';
+import { crc32, deflateRawSync, inflateRawSync } from 'zlib';
+import { JSDOM } from 'jsdom';
+
+// Errors thrown by the engine. `code` is the error code the HTTP server responds with.
+export class ExtractMergeError extends Error {
+  constructor(code, message, details = {}) {
+    super(message, details.cause ? { cause: details.cause } : undefined);
+    this.name = new.target.name;
+    this.code = code;
+    for (const [key, value] of Object.entries(details)) {
+      if (key !== 'cause') {
+        this[key] = value;
+      }
+    }
+  }
+}
+
+// Invalid input: a bad selector, an unreadable EPUB file, ...
+export class InvalidInputError extends ExtractMergeError {
+  constructor(message) {
+    super('INVALID_INPUT', message);
+  }
+}
+
+// A translation path that can't be applied in strict mode (`reason` is one of PATH_FAILURES)
+export class InvalidPathError extends ExtractMergeError {
+  constructor(path, reason) {
+    super('INVALID_PATH', `Invalid path ${path}: ${reason}`, { path, reason });
+  }
+}
+
+// An unexpected failure while processing a document; `cause` is the original error
+export class ProcessingError extends ExtractMergeError {
+  constructor(message, options = {}) {
+    super('PROCESSING_ERROR', message, options);
+  }
+}
+
+// Translations rejected by the QA checks (`qa.action: "reject"`); `issues` lists the issues at
+// or above `qa.threshold`
+export class QaFailedError extends ExtractMergeError {
+  constructor(issues) {
+    super('QA_FAILED', `${issues.length} translation QA issue(s) at or above the threshold`, { issues });
+  }
+}
+
+// Log sink, set by the embedding application (the HTTP server logs JSON lines); silent by default
+let logSink = null;
+
+export function setLogger(logger) {
+  logSink = logger;
+}
+
+function log(level, message, context = {}) {
+  logSink?.(level, message, context);
+}
+
+// Pass engine errors through; log anything else and wrap it in a ProcessingError
+function processingError(error, message) {
+  if (error instanceof ExtractMergeError) {
+    return error;
+  }
+  log('ERROR', message, { error: error.message, stack: error.stack });
+  return new ProcessingError(message, { cause: error });
+}
+
+// Validate the optional fields of /extract
+export function hasValidExtractOptions(json) {
+  // Boolean extraction switches
+  for (const option of ['attributes', 'head']) {
+    if (option in json && typeof json[option] !== 'boolean') {
+      return false;
+    }
+  }
+
+  if ('placeholders' in json && !Object.hasOwn(PLACEHOLDER_STYLES, json.placeholders)) {
+    return false;
+  }
+
+  if ('ids' in json && !ID_SCHEMES.has(json.ids)) {
+    return false;
+  }
+
+  if ('preformatted' in json && !PREFORMATTED_MODES.has(json.preformatted)) {
+    return false;
+  }
+
+  if (('include' in json && !isStringList(json.include)) || ('exclude' in json && !isStringList(json.exclude))) {
+    return false;
+  }
+
+  if ('dedupe' in json && typeof json.dedupe !== 'boolean') {
+    return false;
+  }
+
+  if ('segmentation' in json && !SEGMENTATION_MODES.has(json.segmentation)) {
+    return false;
+  }
+
+  if ('glossary' in json && !isValidGlossary(json.glossary)) {
+    return false;
+  }
+
+  if ('format' in json && !FILE_FORMATS.has(json.format)) {
+    return false;
+  }
+
+  if (!hasValidSourceFormat(json)) {
+    return false;
+  }
+
+  if (!isOptionalLanguage(json.sourceLang) || !isOptionalLanguage(json.targetLang)) {
+    return false;
+  }
+
+  // TM lookups are keyed by language pair, so they need a target language
+  if ('tm' in json && (!TM_LOOKUP_MODES.has(json.tm) || !json.targetLang)) {
+    return false;
+  }
+  return true;
+}
+
+// Validate the document format options: sourceFormat and Markdown front-matter keys
+function hasValidSourceFormat(json) {
+  if ('sourceFormat' in json && !SOURCE_FORMATS.has(json.sourceFormat)) {
+    return false;
+  }
+  return !('frontMatter' in json) || Array.isArray(json.frontMatter) && json.frontMatter.every(key => typeof key === 'string');
+}
+
+// Check that an optional language field is absent or a non-empty string
+export function isOptionalLanguage(lang) {
+  return lang === undefined || (typeof lang === 'string' && lang.trim() !== '');
+}
+
+// Check that an optional request field is an array of non-empty strings (e.g., CSS selectors)
+export function isStringList(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim().length > 0);
+}
+
+// Validate the optional bilingual layout object of /merge
+function isValidLayout(layout) {
+  if (typeof layout !== 'object' || layout === null || Array.isArray(layout)) {
+    return false;
+  }
+  if ('mode' in layout && !LAYOUT_MODES.has(layout.mode)) {
+    return false;
+  }
+  if ('order' in layout && !LAYOUT_ORDERS.has(layout.order)) {
+    return false;
+  }
+  if ('separator' in layout && typeof layout.separator !== 'string') {
+    return false;
+  }
+  if ('tag' in layout && !LAYOUT_TAGS.has(layout.tag)) {
+    return false;
+  }
+  if ('className' in layout && (typeof layout.className !== 'string' || /[<>"']/.test(layout.className))) {
+    return false;
+  }
+  if ('pairAttribute' in layout && (typeof layout.pairAttribute !== 'string' || !/^data-[a-z0-9-]+$/i.test(layout.pairAttribute))) {
+    return false;
+  }
+  return true;
+}
+
+// List of block-level elements that should separate text content
+const BLOCK_ELEMENTS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'dd', 'div',
+  'dl', 'dt', 'fieldset', 'figcaption', 'figure', 'footer', 'form',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main',
+  'nav', 'ol', 'output', 'p', 'pre', 'section', 'table',
+  'tfoot', 'ul', 'tr', 'td', 'th', 'thead', 'tbody', 'colgroup'
+]);
+
+// Non-block elements that still form a segment of their own (form controls, captions, ...)
+const SEGMENT_ELEMENTS = new Set([
+  'button', 'caption', 'label', 'legend', 'option', 'summary'
+]);
+
+// Selector matching any element that separates text content
+const BLOCK_SELECTOR = [...BLOCK_ELEMENTS, ...SEGMENT_ELEMENTS].join(', ');
+
+// Elements that should be skipped during extraction (no translation needed)
+const SKIP_ELEMENTS = new Set([
+  'picture',     // Picture containers
+  'img',         // Images
+  'svg',         // SVG graphics
+  'canvas',      // Canvas elements
+  'iframe',      // Embedded content
+  'video',       // Video elements
+  'audio',       // Audio elements
+  'map',         // Image maps
+  'object',      // Embedded objects
+  'embed',       // Embedded content
+  'track',       // Text tracks for media
+  'source',      // Media sources
+  'script',      // Scripts
+  'style',       // Stylesheets
+  'noscript',    // Script fallbacks
+  'template',    // Inert templates
+  'textarea'     // Form field values
+]);
+
+// Inline elements whose content is kept verbatim inside a segment (code, keyboard input, ...)
+const PROTECTED_ELEMENTS = ['code', 'kbd', 'samp', 'var'];
+
+// Markers opting content out of translation: the HTML translate attribute and common class conventions
+const NOTRANSLATE_SELECTORS = ['[translate="no" i]', '.notranslate', '.no-translate'];
+
+// Attributes carrying user-visible text, extracted as "<path>@<attribute>" segments
+const TRANSLATABLE_ATTRIBUTES = new Set([
+  'alt',
+  'title',
+  'placeholder',
+  'aria-label'
+]);
+
+// Input types whose value attribute is rendered as a button label
+const BUTTON_INPUT_TYPES = new Set(['button', 'submit', 'reset']);
+
+// <meta> names/properties whose content attribute is translatable
+const TRANSLATABLE_META = new Set([
+  'description',
+  'keywords',
+  'og:title',
+  'og:description',
+  'og:site_name',
+  'og:image:alt',
+  'twitter:title',
+  'twitter:description',
+  'twitter:image:alt'
+]);
+
+// Elements whose content is plain text only (translations are set as textContent)
+const TEXT_ONLY_ELEMENTS = new Set(['title', 'option']);
+
+// Separator between original and translation in bilingual attribute/title values
+const BILINGUAL_SEPARATOR = ' / ';
+
+// Output modes for /merge and /replace
+const OUTPUT_MODES = new Set(['auto', 'fragment', 'document']);
+
+// Markers that identify a complete HTML document rather than a fragment
+const DOCUMENT_MARKER = /<!doctype|<html[\s>]|<head[\s>]|<body[\s>]/i;
+
+// Primary language subtags written right-to-left
+const RTL_LANGUAGES = new Set(['ar', 'ckb', 'dv', 'fa', 'he', 'ps', 'sd', 'ug', 'ur', 'yi']);
+
+// Sanitizer modes for translated markup
+// strip: drop disallowed tags (keeping their text) and attributes
+// escape: render disallowed tags as literal text
+// off: trust translations as-is
+const SANITIZE_MODES = new Set(['strip', 'escape', 'off']);
+
+// Elements removed together with their content when a translation adds them
+// (ones the original segment had, such as an <input> in a label, are kept up to the original count)
+const DANGEROUS_ELEMENTS = new Set([
+  'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed',
+  'template', 'noscript', 'link', 'meta', 'base', 'form', 'input',
+  'button', 'textarea', 'select'
+]);
+
+// Attributes holding URLs, checked against the allowed schemes
+const URL_ATTRIBUTES = new Set(['href', 'src', 'action', 'formaction', 'poster', 'cite', 'background', 'xlink:href']);
+
+// URL schemes allowed in translated markup; relative URLs resolve against an http: base
+const SAFE_URL_PROTOCOLS = new Set(['http:', 'https:', 'mailto:', 'tel:', 'ftp:']);
+const URL_BASE = 'http://localhost/';
+
+// Inline-tag placeholder styles: <x1>bold</x1> (xml) or {1}bold{/1} (braces).
+// escape() keeps literal text that looks like a placeholder from being read as one: segment text
+// is HTML, so "<" is already &lt; and a brace becomes &#123;, which the HTML parser turns back into "{"
+const PLACEHOLDER_STYLES = {
+  xml: {
+    open: (id) => `<x${id}>`,
+    close: (id) => `</x${id}>`,
+    empty: (id) => `<x${id}/>`,
+    pattern: /<(\/?)x(\d+)\s*(\/?)>/gi,
+    escape: (html) => html
+  },
+  braces: {
+    open: (id) => `{${id}}`,
+    close: (id) => `{/${id}}`,
+    empty: (id) => `{${id}/}`,
+    pattern: /\{(\/?)(\d+)(\/?)\}/g,
+    escape: (html) => html.replace(/\{(?=\/?\d+\/?\})/g, '&#123;')
+  }
+};
+
+// Elements without content or closing tag
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'source', 'track', 'wbr'
+]);
+
+// Segment ID schemes for /extract: positional paths, or stable content-anchored IDs
+const ID_SCHEMES = new Set(['path', 'stable']);
+
+// Number of tags (element plus ancestors) in a structural fingerprint, e.g. "article>section>p"
+const FINGERPRINT_DEPTH = 3;
+
+// Hex characters of the content hash kept in stable IDs
+const CONTENT_HASH_LENGTH = 12;
+
+// Stable IDs also carry a 64-bit SimHash of the content's character trigrams (16 hex characters),
+// so that a segment whose content was edited can still be found by similarity
+const SIGNATURE_LENGTH = 16;
+
+// Most differing signature bits for a similar-content match. Small edits (a typo, punctuation,
+// a changed word in a sentence) stay within about 9 bits; unrelated text is usually 15 or more apart.
+const MAX_SIGNATURE_DISTANCE = 9;
+
+// FNV-1a parameters; the two signature halves hash each trigram with different offset bases
+const FNV_PRIME = 0x01000193;
+const FNV_OFFSETS = [0x811c9dc5, 0x050c5d1f];
+
+// Positional paths: tag/index pairs from the <html> element
+const POSITIONAL_PATH = /^html\.0(\.[a-z][a-z0-9-]*\.\d+)+$/;
+
+// Content-hash stable IDs: "~<fingerprint>:<hash>"
+const STABLE_HASH_ID = /^~([a-z][a-z0-9-]*(?:>[a-z][a-z0-9-]*)*):([0-9a-f]+)$/;
+
+// Reasons a translation path could not be applied
+const PATH_FAILURES = {
+  NOT_FOUND: 'not_found',
+  DUPLICATE: 'duplicate',
+  MALFORMED: 'malformed',
+  ATTRIBUTE_NOT_TRANSLATABLE: 'attribute_not_translatable',
+  DETACHED: 'detached' // Replace mode: the element was replaced along with its block's content
+};
+
+// Bilingual layouts for /merge
+// append: wrapper inside the original element, after a line break
+// sibling: copy of the original element (e.g., a second <p>) next to it
+// inline: wrapper inside the original element, after a separator
+const LAYOUT_MODES = new Set(['append', 'sibling', 'inline']);
+
+// Which language comes first in bilingual output
+const LAYOUT_ORDERS = new Set(['original-first', 'translation-first']);
+
+// Elements allowed as the translation wrapper of the append and inline layouts
+const LAYOUT_TAGS = new Set([
+  'span', 'div', 'p', 'section', 'aside', 'blockquote',
+  'small', 'em', 'i', 'b', 'strong', 'mark', 'q', 'cite', 'ins'
+]);
+
+// Default bilingual layout (the original span-with-line-break rendering)
+const DEFAULT_LAYOUT = {
+  mode: 'append',
+  order: 'original-first',
+  separator: BILINGUAL_SEPARATOR,
+  tag: 'span',
+  className: 'jsdom-extract-merge',
+  pairAttribute: null
+};
+
+// Elements whose whitespace is significant
+const PREFORMATTED_ELEMENTS = new Set(['pre', 'listing', 'plaintext']);
+
+// Inline CSS white-space values that preserve whitespace
+const PREFORMATTED_STYLE = /white-space\s*:\s*(pre|pre-wrap|pre-line|break-spaces)\b/i;
+
+// Handling of whitespace-sensitive segments in /extract: keep verbatim, or leave untranslated
+const PREFORMATTED_MODES = new Set(['preserve', 'skip']);
+
+// How /extract cuts blocks into segments: one per block, or one per sentence ("...p.0#s2")
+const SEGMENTATION_MODES = new Set(['block', 'sentence']);
+
+// Words ending in "." that don't end a sentence (compared lowercased, without the final ".")
+const SENTENCE_ABBREVIATIONS = new Set([
+  'mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'mt', 'vs', 'cf', 'approx', 'no', 'nos', 'fig', 'figs',
+  'vol', 'ch', 'pp', 'ed', 'eds', 'inc', 'ltd', 'co', 'corp', 'dept', 'est', 'jan', 'feb', 'mar', 'apr', 'jun',
+  'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec', 'bzw', 'usw', 'ca', 'nr'
+]);
+
+// Full-width sentence ends (CJK), which aren't followed by a space
+const FULL_WIDTH_SENTENCE_END = /[。！？｡][”’」』）)"']*$/;
+
+// Check if an element should be skipped (no translation needed)
+function shouldSkipElement(element) {
+  return element.nodeType === element.ELEMENT_NODE && SKIP_ELEMENTS.has(element.tagName.toLowerCase());
+}
+
+// Check if an element is a block-level element (or a standalone segment element)
+function isBlockElement(element) {
+  if (element.nodeType !== element.ELEMENT_NODE) {
+    return false;
+  }
+  const tag = element.tagName.toLowerCase();
+  return BLOCK_ELEMENTS.has(tag) || SEGMENT_ELEMENTS.has(tag);
+}
+
+// Check if a node must be walked on its own rather than joining an inline run:
+// a block element, or an inline element wrapping blocks (e.g., <a><div>...</div></a>)
+function breaksInlineRun(node) {
+  return node.nodeType === node.ELEMENT_NODE && (isBlockElement(node) || node.querySelector(BLOCK_SELECTOR) !== null);
+}
+
+// Check if an element only holds plain text (no markup can be injected into it)
+function isTextOnlyElement(element) {
+  return TEXT_ONLY_ELEMENTS.has(element.tagName.toLowerCase());
+}
+
+// An <option> without a value attribute submits its text: pin the value to the original
+// text (with ASCII whitespace stripped and collapsed, as browsers do) before translating it
+function keepOptionValue(element) {
+  if (element.tagName.toLowerCase() === 'option' && !element.hasAttribute('value')) {
+    element.setAttribute('value', element.textContent.replace(/[\t\n\f\r ]+/g, ' ').trim());
+  }
+}
+
+// Check if an element itself preserves whitespace (pre, xml:space, inline white-space)
+function preservesWhitespace(element) {
+  if (PREFORMATTED_ELEMENTS.has(element.tagName.toLowerCase())) {
+    return true;
+  }
+  if ((element.getAttribute('xml:space') || '').toLowerCase() === 'preserve') {
+    return true;
+  }
+  return PREFORMATTED_STYLE.test(element.getAttribute('style') || '');
+}
+
+// Check if a segment's whitespace is significant: its element sits inside an element
+// that preserves whitespace, or its content contains one
+function isWhitespaceSensitive(element, content = element) {
+  for (let current = element; current; current = current.parentElement) {
+    if (preservesWhitespace(current)) {
+      return true;
+    }
+  }
+  return Array.from(content.querySelectorAll('*')).some(preservesWhitespace);
+}
+
+// Leading whitespace of the first node and trailing whitespace of the last node of some content
+function edgeWhitespace(first, last) {
+  return {
+    leading: first && first.nodeType === first.TEXT_NODE ? /^\s*/.exec(first.data)[0] : '',
+    trailing: last && last.nodeType === last.TEXT_NODE ? /\s*$/.exec(last.data)[0] : ''
+  };
+}
+
+// Check if an attribute of an element holds translatable text
+function isTranslatableAttribute(element, attribute) {
+  const tag = element.tagName.toLowerCase();
+
+  if (tag === 'meta') {
+    const key = (element.getAttribute('name') || element.getAttribute('property') || '').toLowerCase();
+    return attribute === 'content' && TRANSLATABLE_META.has(key);
+  }
+
+  if (attribute === 'value') {
+    const type = (element.getAttribute('type') || '').toLowerCase();
+    return tag === 'input' && BUTTON_INPUT_TYPES.has(type);
+  }
+
+  return TRANSLATABLE_ATTRIBUTES.has(attribute);
+}
+
+// Split a segment path into its element path, optional inline run index, optional sentence index
+// and optional attribute
+// (e.g., "html.0.body.0.img.0@alt" -> { elementPath: "html.0.body.0.img.0", run: null, sentence: null, attribute: "alt" },
+// "html.0.body.0.div.0#r1" -> { elementPath: "html.0.body.0.div.0", run: 1, sentence: null, attribute: null },
+// "html.0.body.0.p.0#s2" -> { elementPath: "html.0.body.0.p.0", run: null, sentence: 2, attribute: null })
+export function parseSegmentPath(path) {
+  let elementPath = path;
+  let attribute = null;
+  let sentence = null;
+
+  // Attribute names never contain "@", so the last one separates the attribute
+  const at = path.lastIndexOf('@');
+  if (at !== -1) {
+    elementPath = path.substring(0, at);
+    attribute = path.substring(at + 1).toLowerCase();
+  }
+
+  const sentenceMatch = /#s(\d+)$/.exec(elementPath);
+  if (sentenceMatch && sentenceMatch.index > 0) {
+    elementPath = elementPath.substring(0, sentenceMatch.index);
+    sentence = parseInt(sentenceMatch[1], 10);
+  }
+
+  const runMatch = /#r(\d+)$/.exec(elementPath);
+  if (runMatch && runMatch.index > 0) {
+    return { elementPath: elementPath.substring(0, runMatch.index), run: parseInt(runMatch[1], 10), sentence, attribute };
+  }
+  return { elementPath, run: null, sentence, attribute };
+}
+
+// Check if an element has no translatable text once media and protected elements are removed
+// Note: Caller ensures element is an ELEMENT_NODE
+function hasNoTranslatableText(element, filters) {
+  const clone = cloneWithoutMedia(element);
+  clone.querySelectorAll(filters.protect).forEach(el => el.remove());
+  return clone.textContent.trim().length === 0;
+}
+
+// Clone a run of inline nodes into a detached container with media elements removed
+function cloneRun(doc, nodes) {
+  const container = doc.createElement('div');
+  for (const node of nodes) {
+    container.appendChild(node.cloneNode(true));
+  }
+  const mediaSelectors = Array.from(SKIP_ELEMENTS).join(',');
+  container.querySelectorAll(mediaSelectors).forEach(el => el.remove());
+  return container;
+}
+
+// Media elements of some segment content (the outermost ones, left out of the extracted text),
+// split into those before the first text and those after it, and whether whitespace separated
+// each group from the text
+function segmentMedia(nodes) {
+  const media = { leading: [], trailing: [], leadingGap: false, trailingGap: false };
+  let seenText = false;
+  let gap = false;
+  const visit = node => {
+    if (node.nodeType === node.TEXT_NODE) {
+      if (node.data.trim().length === 0) {
+        gap = gap || node.data.length > 0;
+        return;
+      }
+      if (!seenText && media.leading.length > 0) {
+        media.leadingGap = gap || /^\s/.test(node.data);
+      }
+      seenText = true;
+      gap = /\s$/.test(node.data);
+    } else if (node.nodeType === node.ELEMENT_NODE) {
+      if (SKIP_ELEMENTS.has(node.tagName.toLowerCase())) {
+        if (!seenText) {
+          media.leading.push(node);
+          gap = false;
+        } else {
+          if (media.trailing.length === 0) {
+            media.trailingGap = gap;
+          }
+          media.trailing.push(node);
+        }
+      } else {
+        Array.from(node.childNodes).forEach(visit);
+      }
+    }
+  };
+  nodes.forEach(visit);
+  return media;
+}
+
+// Group the children of a container into runs of inline content (text and inline
+// elements between block children), keeping only runs with translatable text.
+// Run N is addressed as "<container path>#rN".
+function collectInlineRuns(container, filters) {
+  const doc = container.ownerDocument;
+  const runs = [];
+  let current = [];
+
+  const flush = () => {
+    if (current.length > 0 && !hasNoTranslatableText(cloneRun(doc, current), filters)) {
+      runs.push(current);
+    }
+    current = [];
+  };
+
+  for (const child of container.childNodes) {
+    if (breaksInlineRun(child)) {
+      flush();
+    } else {
+      current.push(child);
+    }
+  }
+  flush();
+
+  return runs;
+}
+
+// Text of a node as the sentence segmenter sees it: media elements contribute nothing
+function segmentationText(node) {
+  if (node.nodeType === node.TEXT_NODE) {
+    return node.data;
+  }
+  if (node.nodeType !== node.ELEMENT_NODE || shouldSkipElement(node)) {
+    return '';
+  }
+  return Array.from(node.childNodes).map(segmentationText).join('');
+}
+
+// Sentence segmenters by locale (unknown or invalid locales use the default rules)
+const sentenceSegmenters = new Map();
+
+function sentenceSegmenter(locale) {
+  if (!sentenceSegmenters.has(locale)) {
+    let segmenter;
+    try {
+      segmenter = new Intl.Segmenter(locale || undefined, { granularity: 'sentence' });
+    } catch (error) {
+      segmenter = new Intl.Segmenter(undefined, { granularity: 'sentence' });
+    }
+    sentenceSegmenters.set(locale, segmenter);
+  }
+  return sentenceSegmenters.get(locale);
+}
+
+// Locale used to split an element's text: the request's source language, or the nearest lang attribute
+function segmentationLocale(element, options) {
+  return options.sourceLang || element.closest('[lang]')?.getAttribute('lang') || null;
+}
+
+// Check whether a segmenter boundary really ends a sentence. Boundaries must follow whitespace
+// (or a full-width stop), which keeps URLs, file names and version numbers whole, and must
+// not follow an abbreviation ("Dr.", "e.g.") or an initial ("J.").
+function isSentenceBoundary(text, offset) {
+  const before = text.substring(0, offset);
+  const trimmed = before.trimEnd();
+  if (trimmed.length === before.length && !FULL_WIDTH_SENTENCE_END.test(trimmed)) {
+    return false;
+  }
+
+  const word = trimmed.substring(trimmed.search(/\S+$/)).replace(/^[("'“‘[]+/, '');
+  if (!word.endsWith('.')) {
+    return true;
+  }
+  const stem = word.slice(0, -1).toLowerCase();
+  return !SENTENCE_ABBREVIATIONS.has(stem) && !/^(\p{L}\.)*\p{L}$/u.test(stem);
+}
+
+// Split a segment's content (an element's child nodes, or an inline run) into sentences.
+// Boundaries inside inline elements are ignored, so tags never straddle sentences. Text
+// nodes are split at sentence edges; the whitespace between sentences belongs to neither.
+// Returns the nodes of each sentence, in order. Sentence N is addressed as "<segment path>#sN".
+function splitSentences(nodes, locale) {
+  const texts = nodes.map(node => segmentationText(node));
+  // Line breaks in the source are just whitespace, not paragraph separators
+  const text = texts.join('').replace(/\s/g, ' ');
+
+  const spans = [];
+  let offset = 0;
+  for (const [index, node] of nodes.entries()) {
+    spans.push({ node, start: offset, end: offset + texts[index].length });
+    offset += texts[index].length;
+  }
+  const insideElement = position => spans.some(span =>
+    span.node.nodeType === span.node.ELEMENT_NODE && span.start < position && position < span.end);
+
+  // Sentence ranges, without their leading and trailing whitespace
+  const boundaries = Array.from(sentenceSegmenter(locale).segment(text), segment => segment.index)
+    .filter(index => index > 0 && !insideElement(index) && isSentenceBoundary(text, index));
+  const ranges = [];
+  let start = 0;
+  for (const end of [...boundaries, text.length]) {
+    const chunk = text.substring(start, end);
+    const trimmedStart = start + (chunk.length - chunk.trimStart().length);
+    const trimmedEnd = end - (chunk.length - chunk.trimEnd().length);
+    if (trimmedStart < trimmedEnd) {
+      ranges.push({ start: trimmedStart, end: trimmedEnd });
+    }
+    start = end;
+  }
+
+  // Cut text nodes at the sentence edges
+  const pieces = [];
+  for (const span of spans) {
+    if (span.node.nodeType !== span.node.TEXT_NODE) {
+      pieces.push(span);
+      continue;
+    }
+    const cuts = new Set(ranges.flatMap(range => [range.start, range.end])
+      .filter(cut => span.start < cut && cut < span.end));
+    let node = span.node;
+    let pieceStart = span.start;
+    for (const cut of cuts) {
+      const rest = node.splitText(cut - pieceStart);
+      pieces.push({ node, start: pieceStart, end: cut });
+      node = rest;
+      pieceStart = cut;
+    }
+    pieces.push({ node, start: pieceStart, end: span.end });
+  }
+
+  // Nodes without text (images, <br>) at a sentence edge stay between sentences
+  return ranges.map(range => pieces
+    .filter(piece => (piece.start < range.end && piece.end > range.start) ||
+      (piece.start === piece.end && range.start < piece.start && piece.start < range.end))
+    .map(piece => piece.node));
+}
+
+// Build the selectors used to filter extraction from the request options.
+// Throws an InvalidInputError if a caller-supplied selector is invalid.
+function compileFilters(doc, options) {
+  const exclude = options.exclude || [];
+  const include = options.include || [];
+
+  for (const selector of [...exclude, ...include]) {
+    try {
+      doc.documentElement.matches(selector);
+    } catch (error) {
+      throw new InvalidInputError(`Invalid selector: ${selector}`);
+    }
+  }
+
+  const skip = [...NOTRANSLATE_SELECTORS, ...exclude].join(', ');
+  return {
+    // Elements (and their subtrees) never extracted
+    skip,
+    // Inline pieces kept intact inside a segment
+    protect: [...PROTECTED_ELEMENTS, skip].join(', '),
+    // When set, only content inside these elements is extracted
+    include: include.length > 0 ? include.join(', ') : null
+  };
+}
+
+// Check if an element is outside the extraction scope (excluded, notranslate, or not included)
+function isOutOfScope(element, filters) {
+  if (element.closest(filters.skip)) {
+    return true;
+  }
+  return filters.include !== null && !element.closest(filters.include);
+}
+
+// Generate path for a DOM node (e.g., "html.body.div.0.p.0")
+export function generatePath(node) {
+  const parts = [];
+  
+  let current = node;
+  while (current && current.nodeType === current.ELEMENT_NODE) {
+    const tag = current.tagName ? current.tagName.toLowerCase() : '';
+    if (tag) {
+      // Get parent element
+      const parent = current.parentElement;
+      if (parent) {
+        // Count same-tag siblings before this node
+        let index = 0;
+        for (let sibling = parent.firstElementChild; sibling; sibling = sibling.nextElementSibling) {
+          if (sibling === current) break;
+          if (sibling.tagName === current.tagName) {
+            index++;
+          }
+        }
+        parts.unshift(`${tag}.${index}`);
+      } else {
+        // No parent, this is the root element
+        parts.unshift(`${tag}.0`);
+      }
+    }
+    current = current.parentElement;
+  }
+  
+  return parts.join('.');
+}
+
+// Clone an element with all media elements removed (the content sent for translation)
+function cloneWithoutMedia(element) {
+  const clone = element.cloneNode(true);
+  const mediaSelectors = Array.from(SKIP_ELEMENTS).join(',');
+  clone.querySelectorAll(mediaSelectors).forEach(el => el.remove());
+  return clone;
+}
+
+// Escape text for safe inclusion in HTML
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Build the opening tag HTML of an element (e.g., '<a href="/x" class="l">')
+function openingTagHtml(element) {
+  const tag = element.tagName.toLowerCase();
+  const attrs = Array.from(element.attributes)
+    .map(attr => ` ${attr.name}="${escapeHtml(attr.value)}"`)
+    .join('');
+  return `<${tag}${attrs}>`;
+}
+
+// Replace the inline elements of a segment with numbered placeholders, depth-first.
+// Returns the encoded text and the tags list (placeholder N is tags[N - 1]).
+function encodePlaceholders(element, style, filters) {
+  const tags = [];
+
+  function encode(node) {
+    let out = '';
+    for (const child of node.childNodes) {
+      if (child.nodeType === child.TEXT_NODE) {
+        out += style.escape(escapeHtml(child.data));
+      } else if (child.nodeType === child.ELEMENT_NODE) {
+        const tag = child.tagName.toLowerCase();
+        
+        // Protected elements become a single empty placeholder holding their whole HTML
+        if (child.matches(filters.protect)) {
+          tags.push({ tag, open: child.outerHTML, isVoid: true });
+          out += style.empty(tags.length);
+          continue;
+        }
+        
+        const isVoid = VOID_ELEMENTS.has(tag);
+        tags.push({ tag, open: openingTagHtml(child), isVoid });
+        const id = tags.length;
+        out += isVoid ? style.empty(id) : `${style.open(id)}${encode(child)}${style.close(id)}`;
+      }
+    }
+    return out;
+  }
+
+  return { text: encode(element), tags };
+}
+
+// Encode a translated fragment with the placeholders of its source segment: each inline
+// element becomes the placeholder whose tag (or whole HTML, for protected content) it matches.
+// Elements no placeholder matches are kept as markup.
+function encodeWithPlaceholders(fragment, tags, style) {
+  const used = new Set();
+
+  function encode(node) {
+    let out = '';
+    for (const child of node.childNodes) {
+      if (child.nodeType === child.TEXT_NODE) {
+        out += style.escape(escapeHtml(child.data));
+      } else if (child.nodeType === child.ELEMENT_NODE) {
+        const tag = child.tagName.toLowerCase();
+        const open = openingTagHtml(child);
+        const index = tags.findIndex((entry, i) => !used.has(i) && entry.tag === tag &&
+          (entry.isVoid ? entry.open === child.outerHTML || entry.open === open : entry.open === open));
+        if (index === -1) {
+          out += VOID_ELEMENTS.has(tag) ? open : `${open}${encode(child)}</${tag}>`;
+          continue;
+        }
+        used.add(index);
+        const id = index + 1;
+        out += tags[index].isVoid ? style.empty(id) : `${style.open(id)}${encode(child)}${style.close(id)}`;
+      }
+    }
+    return out;
+  }
+
+  return encode(fragment);
+}
+
+// Convert a tags list to the JSON tag map returned by /extract ({ "1": "<strong>" })
+function tagMapToJson(tags) {
+  const map = {};
+  tags.forEach((entry, index) => {
+    map[index + 1] = entry.open;
+  });
+  return map;
+}
+
+// Rebuild inline HTML from placeholders, reporting placeholders that are
+// missing from the translation or unknown in the original segment
+function decodePlaceholders(text, tags, style) {
+  const seen = new Set();
+  const extra = new Set();
+
+  const html = text.replace(style.pattern, (match, closing, idText, selfClosing) => {
+    const id = parseInt(idText, 10);
+    const entry = tags[id - 1];
+    if (!entry) {
+      extra.add(id);
+      return '';
+    }
+
+    seen.add(id);
+    if (entry.isVoid) {
+      return closing ? '' : entry.open;
+    }
+    if (closing) {
+      return `</${entry.tag}>`;
+    }
+    return selfClosing ? `${entry.open}</${entry.tag}>` : entry.open;
+  });
+
+  const missing = [];
+  for (let id = 1; id <= tags.length; id++) {
+    if (!seen.has(id)) {
+      missing.push(id);
+    }
+  }
+
+  return { html, missing, extra: Array.from(extra) };
+}
+
+// Extract <title> text and translatable <meta> content from the document head
+function extractHeadSegments(doc, filters) {
+  const results = [];
+  if (!doc.head) {
+    return results;
+  }
+
+  for (const element of doc.head.children) {
+    // translate="no" on <html>/<head>, exclude and include selectors apply to the head too
+    if (isOutOfScope(element, filters)) {
+      continue;
+    }
+
+    const tag = element.tagName.toLowerCase();
+
+    if (tag === 'title') {
+      const text = element.textContent.trim().replace(/\s+/g, ' ');
+      if (text) {
+        results.push({ path: generatePath(element), text });
+      }
+    } else if (tag === 'meta' && isTranslatableAttribute(element, 'content')) {
+      const text = (element.getAttribute('content') || '').trim();
+      if (text) {
+        results.push({ path: `${generatePath(element)}@content`, text });
+      }
+    }
+  }
+
+  return results;
+}
+
+// Extract translatable attribute values (alt, title, placeholder, ...) below a root element
+function extractAttributeSegments(root, filters) {
+  const results = [];
+
+  for (const element of root.querySelectorAll('*')) {
+    if (isOutOfScope(element, filters)) {
+      continue;
+    }
+
+    for (const attr of element.attributes) {
+      const name = attr.name.toLowerCase();
+      if (!isTranslatableAttribute(element, name)) {
+        continue;
+      }
+
+      const text = attr.value.trim();
+      if (text) {
+        results.push({ path: `${generatePath(element)}@${name}`, text });
+      }
+    }
+  }
+
+  return results;
+}
+
+// Extract text content with inline HTML tags preserved, along with paths.
+// When `details` is given, it receives the document language and the context of each segment.
+export function extractTextNodes(html, options = {}, details = null) {
+  const results = [];
+  walkSegments(html, options, details, segment => results.push(segment));
+  return options.dedupe ? dedupeSegments(results) : results;
+}
+
+// Extract segments one at a time, calling `onSegment` with each as soon as it's found, in the
+// order extractTextNodes returns them; returns their number. `dedupe` doesn't apply, since a
+// segment's duplicates are only known at the end of the document.
+export function streamTextNodes(html, options, onSegment) {
+  let count = 0;
+  walkSegments(html, options, null, (segment) => {
+    count++;
+    onSegment(segment);
+  });
+  return count;
+}
+
+// Walk a document's segments in order (head, body, attributes), passing each to `emit` once
+// its glossary entries, context, stable ID and TM language are set
+function walkSegments(html, options, details, emit) {
+  try {
+    // Create DOM environment using JSDOM (Markdown and plain text are converted first)
+    const { dom, glossary } = loadDocument(html, options);
+    const doc = dom.window.document;
+
+    const filters = compileFilters(doc, options);
+    const style = options.placeholders && PLACEHOLDER_STYLES[options.placeholders];
+
+    if (details) {
+      details.lang = options.sourceLang || doc.documentElement.getAttribute('lang');
+      details.contexts = new Map();
+    }
+
+    // Stable IDs are resolved against the unmodified document, which extraction doesn't change
+    const stableIndex = options.ids === 'stable' ? createSegmentIndex(doc) : null;
+    const tmLang = options.sourceLang || doc.documentElement.getAttribute('lang');
+
+    // Do-not-translate terms are protected in each segment's copy, not in the document
+    const protectedTerms = glossary.filter(term => term.doNotTranslate);
+
+    function finishSegment(result) {
+      // Glossary entries whose terms occur in the segment
+      if (glossary.length > 0) {
+        const entries = matchGlossaryTerms(glossary, segmentPlainText(result, style));
+        if (entries.length > 0) {
+          result.glossary = entries;
+        }
+      }
+
+      // Context for file formats (XLIFF notes, PO comments), looked up while the path is positional
+      details?.contexts.set(result, segmentContext(doc, result.path));
+
+      // Swap the positional path for a stable ID
+      if (stableIndex) {
+        const { elementPath, run, sentence, attribute } = parseSegmentPath(result.path);
+        const stableId = stableSegmentId(findByPath(doc, elementPath), attribute, stableIndex);
+        result.path = stableId + (run === null ? '' : `#r${run}`) + (sentence === null ? '' : `#s${sentence}`);
+      }
+
+      // The translation memory isn't part of the engine: each segment carries the language it's
+      // looked up in, for the caller (the server's markTmMatches) to mark the segments it knows
+      if (options.tm) {
+        result.tmLang = tmLang;
+      }
+
+      emit(result);
+    }
+
+    // Head segments (<title>, <meta> content) come first, in document order
+    if (options.head !== false) {
+      extractHeadSegments(doc, filters).forEach(finishSegment);
+    }
+
+    // Recursively walk the DOM tree and extract HTML with inline tags
+    function walk(node, inScope) {
+      if (node.nodeType !== node.ELEMENT_NODE) {
+        return;
+      }
+
+      // Skip elements that don't need translation (media, embeds, etc.)
+      if (shouldSkipElement(node)) {
+        return;
+      }
+
+      // Skip translate="no", notranslate and caller-excluded subtrees
+      if (node.matches(filters.skip)) {
+        return;
+      }
+
+      // With include selectors, only descendants of a matching element are extracted
+      const included = inScope || node.matches(filters.include);
+
+      const isBlock = isBlockElement(node);
+      const hasBlockChildren = Array.from(node.childNodes).some(child => isBlockElement(child));
+
+      // If this is a block element with no block children, extract its HTML
+      if (isBlock && !hasBlockChildren) {
+        // Skip elements outside the include scope, or with only media/protected content
+        if (!included || hasNoTranslatableText(node, filters)) {
+          return;
+        }
+        
+        // Get innerHTML to preserve inline tags, but remove media elements
+        emitSegment(generatePath(node), node, cloneWithoutMedia(node), Array.from(node.childNodes));
+        return;
+      }
+
+      // Otherwise, recursively process children
+      walkContainer(node, included);
+    }
+
+    // Walk the children of a container, emitting inline runs (text mixed with
+    // block children, text directly in <body>, ...) as segments in document order
+    function walkContainer(container, inScope) {
+      const runs = inScope ? collectInlineRuns(container, filters) : [];
+      const runIndexByFirstNode = new Map(runs.map((run, index) => [run[0], index]));
+
+      for (const child of container.childNodes) {
+        if (runIndexByFirstNode.has(child)) {
+          const index = runIndexByFirstNode.get(child);
+          emitSegment(`${generatePath(container)}#r${index}`, container, cloneRun(doc, runs[index]), runs[index]);
+        } else if (breaksInlineRun(child) || (!inScope && child.nodeType === child.ELEMENT_NODE)) {
+          // Out of scope, inline elements are walked too: one of them may match an include selector
+          walk(child, inScope);
+        }
+      }
+    }
+
+    // Add a segment for an element (or inline run), given its media-free content clone and its nodes
+    function emitSegment(path, element, content, nodes) {
+      // Whitespace-sensitive segments (pre, white-space: pre, ...) are kept verbatim or skipped
+      const preformatted = isWhitespaceSensitive(element, content);
+      if (preformatted && options.preformatted === 'skip') {
+        return;
+      }
+      
+      // Sentence mode: a segment per sentence ("...p.0#s2"), unless the block is a single sentence
+      if (options.segmentation === 'sentence' && !preformatted && !isTextOnlyElement(element)) {
+        const sentences = splitSentences(nodes, segmentationLocale(element, options));
+        if (sentences.length > 1) {
+          sentences.forEach((sentence, index) => pushSegment(`${path}#s${index}`, cloneRun(doc, sentence), false));
+          return;
+        }
+      }
+      
+      pushSegment(path, content, preformatted);
+    }
+
+    // Segment text as sent to translators, with its tag map in placeholder mode
+    function renderSegment(content, preformatted) {
+      // In placeholder mode, inline tags become numbered placeholders plus a tag map
+      const encoded = style ? encodePlaceholders(content, style, filters) : null;
+      
+      let html = encoded ? encoded.text : content.innerHTML;
+      if (!preformatted) {
+        // Trim leading/trailing whitespace and normalize internal whitespace
+        html = html.trim().replace(/\s+/g, ' ');
+      }
+      return { html, tags: encoded ? encoded.tags : null };
+    }
+
+    // Add a segment's text (with its tag map in placeholder mode) to the results
+    function pushSegment(path, content, preformatted) {
+      // Do-not-translate terms become protected markup (placeholders in placeholder mode);
+      // a segment of nothing but such terms has nothing to translate
+      if (protectGlossaryTerms(content, protectedTerms, filters) > 0 && hasNoTranslatableText(content, filters)) {
+        return;
+      }
+
+      const { html, tags } = renderSegment(content, preformatted);
+      if (html.trim()) {
+        const segment = { path, text: html };
+        if (tags) {
+          segment.tags = tagMapToJson(tags);
+        }
+        if (preformatted) {
+          segment.preformatted = true;
+        }
+        finishSegment(segment);
+      }
+    }
+
+    // Start traversal from the document body, which may itself hold inline text.
+    // <html> and <body> are never visited themselves, so their scope is checked here.
+    if (!doc.body.closest(filters.skip)) {
+      walkContainer(doc.body, filters.include === null || doc.body.closest(filters.include) !== null);
+    }
+
+    // Attribute segments are collected separately, since media elements are skipped by the walker
+    if (options.attributes !== false) {
+      extractAttributeSegments(doc.body, filters).forEach(finishSegment);
+    }
+
+    // Close the window to free resources
+    dom.window.close();
+  } catch (error) {
+    throw processingError(error, 'HTML processing exception');
+  }
+}
+
+// Keep the first of each group of identical segments, listing the other paths in
+// `duplicates`. Attribute values and whitespace-sensitive text only match their own kind.
+export function dedupeSegments(results) {
+  const firstByText = new Map();
+  const unique = [];
+
+  for (const result of results) {
+    const key = segmentTextKey(result);
+    const first = firstByText.get(key);
+    if (first) {
+      first.duplicates = first.duplicates || [];
+      first.duplicates.push(result.path);
+    } else {
+      firstByText.set(key, result);
+      unique.push(result);
+    }
+  }
+
+  return unique;
+}
+
+// Expand translations of deduplicated segments to every path that shared their text
+export function expandDuplicates(translations) {
+  return translations.flatMap(trans => trans.duplicates
+    ? [trans, ...trans.duplicates.map(path => ({ path, text: trans.text }))]
+    : [trans]);
+}
+
+// Find a DOM node by path (e.g., "html.0.body.0.div.0.p.0")
+export function findByPath(doc, path) {
+  if (!path) return null;
+  
+  const parts = path.split('.');
+  if (parts.length < 4) return null; // Minimum: html.0.body.0.tag.index
+  
+  // Start from html element
+  let currentNode = doc.documentElement; // html element
+  
+  // Skip "html.0", start from "body.0"
+  let i = 2; // Start at body tag
+  while (i < parts.length) {
+    const tag = parts[i];
+    const index = parseInt(parts[i + 1], 10);
+    
+    if (isNaN(index)) return null;
+    
+    // Find the index-th child element with matching tag
+    let found = null;
+    let currentIndex = 0;
+    
+    for (let child = currentNode.firstElementChild; child; child = child.nextElementSibling) {
+      if (child.tagName.toLowerCase() === tag) {
+        if (currentIndex === index) {
+          found = child;
+          break;
+        }
+        currentIndex++;
+      }
+    }
+    
+    if (!found) {
+      log('ERROR', 'Path not found', { path, tag, index, currentTag: currentNode.tagName });
+      return null;
+    }
+    
+    currentNode = found;
+    i += 2;
+  }
+  
+  return currentNode;
+}
+
+// Tag names of an element and its nearest ancestors below <html>/<body> (e.g., "article>p")
+function structuralFingerprint(element) {
+  const tags = [];
+  for (let current = element; current && tags.length < FINGERPRINT_DEPTH; current = current.parentElement) {
+    const tag = current.tagName.toLowerCase();
+    if (tag === 'html' || tag === 'body') {
+      break;
+    }
+    tags.unshift(tag);
+  }
+  return tags.join('>');
+}
+
+// The content a segment was extracted from (attribute value, or normalized inner HTML)
+function segmentContent(element, attribute) {
+  if (attribute) {
+    return (element.getAttribute(attribute) || '').trim();
+  }
+  if (isTextOnlyElement(element)) {
+    return element.textContent.trim().replace(/\s+/g, ' ');
+  }
+  return cloneWithoutMedia(element).innerHTML.trim().replace(/\s+/g, ' ');
+}
+
+// Hash the content of a segment, for exact matches
+function contentHash(element, attribute) {
+  return createHash('sha1').update(segmentContent(element, attribute)).digest('hex').substring(0, CONTENT_HASH_LENGTH);
+}
+
+// 32-bit FNV-1a hash of a string
+function fnv1a(text, offset) {
+  let hash = offset;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), FNV_PRIME);
+  }
+  return hash >>> 0;
+}
+
+// SimHash signature of some content: each bit is set when most of the content's distinct
+// character trigrams have it set, so similar content gets signatures differing in few bits
+function contentSignature(content) {
+  const trigrams = new Set();
+  const padded = ` ${content} `;
+  for (let i = 0; i + 3 <= padded.length; i++) {
+    trigrams.add(padded.substring(i, i + 3));
+  }
+
+  return FNV_OFFSETS.map(offset => {
+    const votes = new Array(32).fill(0);
+    for (const trigram of trigrams) {
+      const hash = fnv1a(trigram, offset);
+      for (let bit = 0; bit < 32; bit++) {
+        votes[bit] += (hash >>> bit) & 1 ? 1 : -1;
+      }
+    }
+    const half = votes.reduce((value, vote, bit) => (vote > 0 ? value | (1 << bit) : value), 0);
+    return (half >>> 0).toString(16).padStart(8, '0');
+  }).join('');
+}
+
+// Number of differing bits between two signatures
+function signatureDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < SIGNATURE_LENGTH; i += 8) {
+    let bits = (parseInt(a.substring(i, i + 8), 16) ^ parseInt(b.substring(i, i + 8), 16)) >>> 0;
+    for (; bits; distance++) {
+      bits &= bits - 1;
+    }
+  }
+  return distance;
+}
+
+// Lazily built lookups used to generate and resolve stable IDs in one document
+function createSegmentIndex(doc) {
+  const byContent = new Map();
+  const bySignature = new Map();
+  let idCounts = null;
+
+  return {
+    // Elements with the given tag whose content (or attribute value) has the given hash
+    lookup(tag, attribute, hash) {
+      const key = `${tag}@${attribute || ''}`;
+      if (!byContent.has(key)) {
+        const hashes = new Map();
+        for (const element of doc.getElementsByTagName(tag)) {
+          const elementHash = contentHash(element, attribute);
+          if (!hashes.has(elementHash)) {
+            hashes.set(elementHash, []);
+          }
+          hashes.get(elementHash).push(element);
+        }
+        byContent.set(key, hashes);
+      }
+      return byContent.get(key).get(hash) || [];
+    },
+
+    // Elements with the given tag and non-empty content (or attribute value), with their signatures
+    signatures(tag, attribute) {
+      const key = `${tag}@${attribute || ''}`;
+      if (!bySignature.has(key)) {
+        const entries = [];
+        for (const element of doc.getElementsByTagName(tag)) {
+          const content = segmentContent(element, attribute);
+          if (content) {
+            entries.push({ element, signature: contentSignature(content) });
+          }
+        }
+        bySignature.set(key, entries);
+      }
+      return bySignature.get(key);
+    },
+
+    // Number of elements carrying an id attribute value
+    idCount(id) {
+      if (!idCounts) {
+        idCounts = new Map();
+        for (const element of doc.querySelectorAll('[id]')) {
+          idCounts.set(element.id, (idCounts.get(element.id) || 0) + 1);
+        }
+      }
+      return idCounts.get(id) || 0;
+    }
+  };
+}
+
+// Generate a stable ID for a segment, falling back from element id ("#intro") to content
+// hash and signature plus fingerprint ("~article>p:3f2a9c1b0d7e<signature>") to the positional path
+function stableSegmentId(element, attribute, index) {
+  const suffix = attribute ? `@${attribute}` : '';
+
+  if (element.id && !/[@\s]/.test(element.id) && index.idCount(element.id) === 1) {
+    return `#${element.id}${suffix}`;
+  }
+
+  // <body> has no fingerprint below itself, so it always keeps its positional path
+  const fingerprint = structuralFingerprint(element);
+  const tag = element.tagName.toLowerCase();
+  const hash = contentHash(element, attribute);
+  if (fingerprint && index.lookup(tag, attribute, hash).length === 1) {
+    return `~${fingerprint}:${hash}${contentSignature(segmentContent(element, attribute))}${suffix}`;
+  }
+
+  return `${generatePath(element)}${suffix}`;
+}
+
+// Check the syntax of an element path: positional ("html.0.body.0.p.0"),
+// element id ("#intro") or content hash and signature ("~article>p:3f2a9c1b0d7e<signature>")
+function isWellFormedPath(elementPath) {
+  return POSITIONAL_PATH.test(elementPath) ||
+    /^#[^@\s]+$/.test(elementPath) ||
+    STABLE_HASH_ID.test(elementPath);
+}
+
+// Check if an element path is a stable ID rather than a positional path
+function isStableId(elementPath) {
+  return elementPath.startsWith('#') || elementPath.startsWith('~');
+}
+
+// Resolve a stable ID. An element id must still exist; a content hash may match an
+// element that moved elsewhere (re-anchored) as long as the match is unambiguous.
+// When no element has the same content any more, the element with the most similar
+// content is re-anchored to, if it is within MAX_SIGNATURE_DISTANCE and the only one that close
+// (ties go to the one with the same fingerprint).
+// Returns { node, reanchored, distance } or null when the segment is orphaned.
+function resolveStableId(doc, elementPath, attribute, index) {
+  if (elementPath.startsWith('#')) {
+    const id = elementPath.substring(1);
+    const node = index.idCount(id) === 1 ? doc.getElementById(id) : null;
+    return node ? { node, reanchored: false, distance: 0 } : null;
+  }
+
+  const match = STABLE_HASH_ID.exec(elementPath);
+  if (!match) {
+    return null;
+  }
+
+  // IDs without a signature (or with a malformed one) only match exactly
+  const [, fingerprint, hashAndSignature] = match;
+  const hash = hashAndSignature.substring(0, CONTENT_HASH_LENGTH);
+  const signature = hashAndSignature.length === CONTENT_HASH_LENGTH + SIGNATURE_LENGTH
+    ? hashAndSignature.substring(CONTENT_HASH_LENGTH)
+    : null;
+  const tag = fingerprint.split('>').pop();
+  const candidates = index.lookup(tag, attribute, hash);
+
+  const exact = candidates.filter(element => structuralFingerprint(element) === fingerprint);
+  if (exact.length === 1) {
+    return { node: exact[0], reanchored: false, distance: 0 };
+  }
+  if (exact.length === 0 && candidates.length === 1) {
+    return { node: candidates[0], reanchored: true, distance: 0 };
+  }
+  if (candidates.length > 0 || !signature) {
+    return null;
+  }
+
+  let closest = [];
+  let closestDistance = MAX_SIGNATURE_DISTANCE + 1;
+  for (const entry of index.signatures(tag, attribute)) {
+    const distance = signatureDistance(signature, entry.signature);
+    if (distance < closestDistance) {
+      closest = [entry.element];
+      closestDistance = distance;
+    } else if (distance === closestDistance) {
+      closest.push(entry.element);
+    }
+  }
+
+  if (closest.length > 1) {
+    closest = closest.filter(element => structuralFingerprint(element) === fingerprint);
+  }
+  return closest.length === 1 ? { node: closest[0], reanchored: true, distance: closestDistance } : null;
+}
+
+// Strict mode throws an InvalidPathError on the first bad path; otherwise collect it and go on
+function failPath(path, reason, options, stats) {
+  log('WARN', 'Translation path failed', { path, reason });
+  if (options.strict !== false) {
+    throw new InvalidPathError(path, reason);
+  }
+  stats.failed++;
+  stats.failedPaths.push({ path, reason });
+}
+
+// Resolve every translation path before any node is modified, so that replacing
+// a block's content can't invalidate the paths of attributes inside it
+function resolveTargets(doc, translations, options, stats, glossary) {
+  const targets = [];
+  const index = createSegmentIndex(doc);
+  const filters = compileFilters(doc, options);
+  const style = options.placeholders && PLACEHOLDER_STYLES[options.placeholders];
+  const protectedTerms = glossary.filter(term => term.doNotTranslate);
+
+  // Each element/attribute may only be targeted once
+  const seen = new Map();
+
+  // Sentences of each segment, split once: splitting cuts the document's text nodes
+  const sentenceCache = new Map();
+
+  const fail = (path, reason) => failPath(path, reason, options, stats);
+
+  for (const trans of translations) {
+    const { elementPath, run, sentence, attribute } = parseSegmentPath(trans.path);
+
+    // Inline runs and sentences have no attributes of their own
+    if (!isWellFormedPath(elementPath) || ((run !== null || sentence !== null) && attribute)) {
+      fail(trans.path, PATH_FAILURES.MALFORMED);
+      continue;
+    }
+
+    let node;
+    let edited = false;
+    if (isStableId(elementPath)) {
+      // Stable IDs tolerate page edits: unresolvable ones are reported, not fatal
+      const resolved = resolveStableId(doc, elementPath, attribute, index);
+      if (!resolved || (attribute && !isTranslatableAttribute(resolved.node, attribute))) {
+        stats.orphaned++;
+        stats.orphanedPaths.push(trans.path);
+        log('WARN', 'Orphaned segment', { path: trans.path });
+        continue;
+      }
+      node = resolved.node;
+      if (resolved.reanchored) {
+        const resolvedPath = generatePath(node) + (attribute ? `@${attribute}` : '');
+        stats.reanchored++;
+        stats.reanchoredPaths.push({ path: trans.path, resolvedPath, distance: resolved.distance });
+        log('INFO', 'Re-anchored segment', { path: trans.path, resolvedPath, distance: resolved.distance });
+      }
+      // Re-anchored to edited content: the translation is of the old text
+      edited = resolved.distance > 0;
+    } else {
+      node = findByPath(doc, elementPath);
+    }
+
+    if (!node) {
+      fail(trans.path, PATH_FAILURES.NOT_FOUND);
+      continue;
+    }
+
+    if (attribute && !isTranslatableAttribute(node, attribute)) {
+      fail(trans.path, PATH_FAILURES.ATTRIBUTE_NOT_TRANSLATABLE);
+      continue;
+    }
+
+    // An inline run is a range of the container's child nodes, found as /extract numbered them
+    let runNodes = null;
+    if (run !== null) {
+      runNodes = collectInlineRuns(node, filters)[run];
+      if (!runNodes) {
+        fail(trans.path, PATH_FAILURES.NOT_FOUND);
+        continue;
+      }
+    }
+
+    // Two paths (or a positional path and a stable ID) may name the same target;
+    // a segment also overlaps its own sentences
+    const segmentKey = run !== null ? `#r${run}` : attribute;
+    const targetKey = sentence !== null ? `${segmentKey}#s${sentence}` : segmentKey;
+    const overlapKey = sentence !== null ? segmentKey : `${segmentKey}#s`;
+    if (!seen.has(node)) {
+      seen.set(node, new Set());
+    }
+    if (seen.get(node).has(targetKey) || seen.get(node).has(overlapKey)) {
+      fail(trans.path, PATH_FAILURES.DUPLICATE);
+      continue;
+    }
+    seen.get(node).add(targetKey);
+
+    // A sentence is a range of the segment's nodes, found as /extract split them; it's then
+    // handled like an inline run. Whitespace-sensitive and text-only segments aren't split.
+    if (sentence !== null) {
+      const segmentNodes = runNodes || Array.from(node.childNodes);
+      const cacheKey = `${generatePath(node)}${segmentKey}`;
+      if (!sentenceCache.has(cacheKey)) {
+        const splittable = !isTextOnlyElement(node) &&
+          !isWhitespaceSensitive(node, runNodes ? cloneRun(doc, runNodes) : cloneWithoutMedia(node));
+        sentenceCache.set(cacheKey, splittable ? splitSentences(segmentNodes, segmentationLocale(node, options)) : []);
+      }
+      seen.get(node).add(`${segmentKey}#s`);
+      runNodes = sentenceCache.get(cacheKey)[sentence];
+      if (!runNodes) {
+        fail(trans.path, PATH_FAILURES.NOT_FOUND);
+        continue;
+      }
+    }
+
+    // Media-free copy of the original segment content, as sent by /extract
+    const content = attribute ? null : (runNodes ? cloneRun(doc, runNodes) : cloneWithoutMedia(node));
+
+    // Whitespace sensitivity is decided on the original content, before anything is replaced
+    const preformatted = content ? isWhitespaceSensitive(node, content) : false;
+
+    // Do-not-translate terms are protected as /extract protected them
+    if (content) {
+      protectGlossaryTerms(content, protectedTerms, filters);
+    }
+
+    // Markup allowed back into this segment is whatever the original contained
+    const allowed = content ? collectAllowedMarkup(content) : null;
+
+    // Placeholder numbering is recomputed from the original segment, exactly as /extract did
+    const tags = style && content && !isTextOnlyElement(node)
+      ? encodePlaceholders(content, style, filters).tags
+      : null;
+
+    // Protected inline pieces (code, translate="no", ...) are restored from the original
+    const protectedElements = content ? collectProtected(content, filters) : [];
+
+    // Source text as /extract returned it, used as the translation memory key
+    const source = segmentSourceText(node, attribute, content, style, filters, preformatted);
+
+    // Plain source text, for glossary checks
+    const sourceText = attribute ? (node.getAttribute(attribute) || '') : content.textContent;
+
+    // Positional path of an attribute's element, to find it again if replace mode recreates it
+    const position = attribute ? generatePath(node) : null;
+
+    targets.push({ trans, node, runNodes, attribute, allowed, tags, protectedElements, filters, preformatted, source, sourceText, position, edited });
+  }
+
+  return targets;
+}
+
+// Rebuild a segment's source text the way /extract produced it
+function segmentSourceText(node, attribute, content, style, filters, preformatted) {
+  if (attribute) {
+    return (node.getAttribute(attribute) || '').trim();
+  }
+  if (node.tagName.toLowerCase() === 'title') {
+    return node.textContent.trim().replace(/\s+/g, ' ');
+  }
+  const html = style && !isTextOnlyElement(node) ? encodePlaceholders(content, style, filters).text : content.innerHTML;
+  return preformatted ? html : html.trim().replace(/\s+/g, ' ');
+}
+
+// Collect the inline tags found inside an element, with their attribute names and count
+// (e.g., Map { "a" => { attributes: Set { "href", "class" }, count: 2 } })
+function collectAllowedMarkup(element) {
+  const allowed = new Map();
+
+  for (const descendant of element.querySelectorAll('*')) {
+    const tag = descendant.tagName.toLowerCase();
+    if (!allowed.has(tag)) {
+      allowed.set(tag, { attributes: new Set(), count: 0 });
+    }
+    const markup = allowed.get(tag);
+    markup.count++;
+    for (const attr of descendant.attributes) {
+      markup.attributes.add(attr.name.toLowerCase());
+    }
+  }
+
+  return allowed;
+}
+
+// Check a URL attribute value against the allowed schemes, the way a browser parses it
+// (tabs, newlines and leading control characters are ignored, so "java\tscript:" is javascript:)
+function isSafeUrl(value) {
+  try {
+    return SAFE_URL_PROTOCOLS.has(new URL(value, URL_BASE).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Parse translated markup into an inert fragment, dropping or escaping anything
+// the original segment didn't contain. Returns the fragment and what was removed.
+function sanitizeTranslation(doc, text, allowed, mode = 'strip') {
+  const template = doc.createElement('template');
+  template.innerHTML = text;
+  const fragment = template.content;
+  const removed = [];
+
+  if (mode === 'off') {
+    return { fragment, removed };
+  }
+
+  // Dangerous elements the original segment had, still available to the translation
+  const originalDangerous = new Map();
+  for (const [tag, { count }] of allowed) {
+    if (DANGEROUS_ELEMENTS.has(tag)) {
+      originalDangerous.set(tag, count);
+    }
+  }
+
+  // Snapshot the elements first, since the tree is modified while iterating
+  for (const element of Array.from(fragment.querySelectorAll('*'))) {
+    // Skip elements already taken out along with a removed ancestor
+    if (!fragment.contains(element)) {
+      continue;
+    }
+
+    const tag = element.tagName.toLowerCase();
+    const introduced = DANGEROUS_ELEMENTS.has(tag) && !(originalDangerous.get(tag) > 0);
+    if (originalDangerous.has(tag) && !introduced) {
+      originalDangerous.set(tag, originalDangerous.get(tag) - 1);
+    }
+
+    if (introduced || !allowed.has(tag)) {
+      removed.push(tag);
+      if (mode === 'escape') {
+        element.replaceWith(doc.createTextNode(element.outerHTML));
+      } else if (introduced) {
+        element.remove();
+      } else {
+        // Unwrap: keep the translated text, drop the tag
+        element.replaceWith(...element.childNodes);
+      }
+      continue;
+    }
+
+    const allowedAttributes = allowed.get(tag).attributes;
+    for (const attr of Array.from(element.attributes)) {
+      const name = attr.name.toLowerCase();
+      const unsafe = name.startsWith('on') ||
+        !allowedAttributes.has(name) ||
+        (URL_ATTRIBUTES.has(name) && !isSafeUrl(attr.value));
+
+      if (unsafe) {
+        removed.push(`${tag}@${name}`);
+        element.removeAttribute(attr.name);
+      }
+    }
+  }
+
+  return { fragment, removed };
+}
+
+// Collect the outermost protected elements inside an element, in document order
+function collectProtected(element, filters) {
+  return Array.from(element.querySelectorAll(filters.protect))
+    .filter(el => !el.parentElement || !el.parentElement.closest(filters.protect));
+}
+
+// Put the original protected elements back over whatever the translation made of them:
+// pieces with the same markup first, then the rest by order. Returns the original elements
+// the translation dropped.
+function restoreProtected(fragment, protectedElements, filters) {
+  if (protectedElements.length === 0) {
+    return [];
+  }
+
+  const translated = collectProtected(fragment, filters);
+  const unused = [...protectedElements];
+  const changed = [];
+  for (const element of translated) {
+    const index = unused.findIndex(original => original.outerHTML === element.outerHTML);
+    if (index === -1) {
+      changed.push(element);
+      continue;
+    }
+    element.replaceWith(...restoredNodes(unused[index]));
+    unused.splice(index, 1);
+  }
+  for (const element of changed) {
+    if (unused.length === 0) {
+      break;
+    }
+    element.replaceWith(...restoredNodes(unused.shift()));
+  }
+  return unused;
+}
+
+// Copy of an original protected element to put into a translation: a do-not-translate term
+// goes back without its wrapper
+function restoredNodes(original) {
+  if (GLOSSARY_WRAPPERS.has(original)) {
+    return Array.from(original.childNodes, child => child.cloneNode(true));
+  }
+  return [original.cloneNode(true)];
+}
+
+// Record the protected elements a translation dropped in stats. Dropped do-not-translate
+// terms are glossary violations instead.
+function recordProtectedMissing(stats, path, dropped) {
+  const missing = dropped.filter(element => !GLOSSARY_WRAPPERS.has(element));
+  if (missing.length === 0) {
+    return;
+  }
+  const html = missing.map(element => element.outerHTML);
+  stats.protectedMissing++;
+  stats.protectedMissingPaths.push({ path, missing: html });
+  log('WARN', 'Protected content missing from translation', { path, missing: html });
+}
+
+// Turn placeholders in a translation back into the original inline markup,
+// recording missing/unknown placeholders in stats
+function restorePlaceholders(trans, tags, options, stats) {
+  if (!tags) {
+    return trans.text;
+  }
+
+  const { html, missing, extra } = decodePlaceholders(trans.text, tags, PLACEHOLDER_STYLES[options.placeholders]);
+  if (missing.length > 0 || extra.length > 0) {
+    stats.placeholderMismatches++;
+    stats.placeholderMismatchPaths.push({ path: trans.path, missing, extra });
+    log('WARN', 'Placeholder mismatch', { path: trans.path, missing, extra });
+  }
+  return html;
+}
+
+// A translation as written into the document, in the form /extract gave its source (the
+// translation memory's key): the sanitized fragment with protected content restored, inline
+// tags as the source's placeholders in placeholder mode
+function writtenText(fragment, tags, options, preformatted) {
+  let html;
+  if (tags) {
+    html = encodeWithPlaceholders(fragment, tags, PLACEHOLDER_STYLES[options.placeholders]);
+  } else {
+    const container = fragment.ownerDocument.createElement('div');
+    container.append(fragment.cloneNode(true));
+    html = container.innerHTML;
+  }
+  return preformatted ? html : html.trim().replace(/\s+/g, ' ');
+}
+
+// Trim whitespace at the start and end of a fragment's text
+function trimFragment(fragment) {
+  const first = fragment.firstChild;
+  if (first && first.nodeType === first.TEXT_NODE) {
+    first.data = first.data.replace(/^\s+/, '');
+  }
+  const last = fragment.lastChild;
+  if (last && last.nodeType === last.TEXT_NODE) {
+    last.data = last.data.replace(/\s+$/, '');
+  }
+}
+
+// Record markup removed from a translation in stats
+function recordSanitized(stats, path, removed) {
+  if (removed.length === 0) {
+    return;
+  }
+  stats.sanitized++;
+  stats.sanitizedPaths.push({ path, removed });
+  log('WARN', 'Sanitized translation markup', { path, removed });
+}
+
+// Resolve "auto" output mode: full documents are serialized whole, fragments as body innerHTML
+function resolveOutputMode(html, output = 'auto') {
+  if (output !== 'auto') {
+    return output;
+  }
+  return DOCUMENT_MARKER.test(html) ? 'document' : 'fragment';
+}
+
+// Serialize the processed DOM according to the output mode
+function serializeOutput(dom, outputMode) {
+  if (outputMode === 'document') {
+    return dom.serialize();
+  }
+  return dom.window.document.body.innerHTML;
+}
+
+// Writing direction of a language tag (e.g., "ar" -> "rtl")
+function languageDirection(lang) {
+  const primary = lang.split(/[-_]/)[0].toLowerCase();
+  return RTL_LANGUAGES.has(primary) ? 'rtl' : 'ltr';
+}
+
+// Set lang and dir of an element to the target language
+function setLanguage(element, targetLang) {
+  element.setAttribute('lang', targetLang);
+  element.setAttribute('dir', languageDirection(targetLang));
+}
+
+// Set <html lang> and dir to the target language
+function applyTargetLanguage(doc, targetLang) {
+  setLanguage(doc.documentElement, targetLang);
+}
+
+// Combine original and translated plain text (attributes, <title>) in layout order
+function combineBilingualText(original, translation, layout) {
+  if (!original) {
+    return translation;
+  }
+  return layout.order === 'translation-first'
+    ? `${translation}${layout.separator}${original}`
+    : `${original}${layout.separator}${translation}`;
+}
+
+// Insert a translated fragment next to the original content according to the layout.
+// For an inline run, the wrapper goes right after (or before) the run's nodes.
+// Returns the inserted element.
+function insertBilingual(doc, node, fragment, layout, runNodes = null) {
+  const translationFirst = layout.order === 'translation-first';
+  // A run has no element of its own to copy, so "sibling" falls back to a wrapper
+  const sibling = layout.mode === 'sibling' && !runNodes;
+  let element;
+
+  if (sibling) {
+    // Shallow copy keeps the tag and attributes, minus the id which must stay unique
+    element = node.cloneNode(false);
+    element.removeAttribute('id');
+    element.append(fragment);
+  } else {
+    element = doc.createElement(layout.tag);
+    const divider = layout.mode === 'inline'
+      ? doc.createTextNode(layout.separator)
+      : doc.createElement('br');
+    if (translationFirst) {
+      element.append(fragment, divider);
+    } else {
+      element.append(divider, fragment);
+    }
+  }
+
+  if (layout.className) {
+    element.classList.add(...layout.className.split(/\s+/).filter(Boolean));
+  }
+
+  if (sibling) {
+    node[translationFirst ? 'before' : 'after'](element);
+  } else if (runNodes) {
+    if (translationFirst) {
+      runNodes[0].before(element);
+    } else {
+      runNodes[runNodes.length - 1].after(element);
+    }
+  } else {
+    node[translationFirst ? 'prepend' : 'append'](element);
+  }
+
+  return element;
+}
+
+// Insert a translation into a converted Markdown or plain-text document, where wrapper
+// markup would be written out as raw HTML. A block gets a copy of itself holding the
+// translation (a separate paragraph, heading or list item paragraph); a table cell goes into
+// a copy of its row, made once per row in `rows`. A header row's copy always follows the
+// separator, since a table can only have one header row.
+// Returns the inserted element, or null when the node isn't part of a converted block.
+function insertSourceBilingual(node, fragment, layout, rows) {
+  const translationFirst = layout.order === 'translation-first';
+  const row = node.closest('tr[data-md-block]');
+
+  if (row) {
+    let copy = rows.get(row);
+    if (!copy) {
+      copy = row.cloneNode(true);
+      copy.setAttribute('data-md-copy', '');
+      const header = row.nextElementSibling?.hasAttribute('data-md-separator') ? row.nextElementSibling : null;
+      if (header) {
+        header.after(copy);
+      } else {
+        row[translationFirst ? 'before' : 'after'](copy);
+      }
+      rows.set(row, copy);
+    }
+    const cell = copy.children[Array.prototype.indexOf.call(row.children, node)];
+    cell.replaceChildren(fragment);
+    return cell;
+  }
+
+  if (!node.hasAttribute('data-md-block')) {
+    return null;
+  }
+  const copy = node.cloneNode(false);
+  copy.setAttribute('data-md-copy', '');
+  copy.append(fragment);
+  node[translationFirst ? 'before' : 'after'](copy);
+  return copy;
+}
+
+// Merge translations into HTML
+export function mergeTranslations(html, translations, options = {}) {
+  try {
+    const { dom, source, glossary } = loadDocument(html, options);
+    const doc = dom.window.document;
+    
+    translations = expandDuplicates(translations);
+    
+    // Language of the original, for translation memory entries
+    const sourceLang = options.sourceLang || doc.documentElement.getAttribute('lang');
+    const applied = [];
+    
+    // Statistics tracking
+    let stats = {
+      total: translations.length,
+      merged: 0,
+      skipped: 0,
+      skippedPaths: [],
+      sanitized: 0,
+      sanitizedPaths: [],
+      protectedMissing: 0,
+      protectedMissingPaths: [],
+      reanchored: 0,
+      reanchoredPaths: [],
+      orphaned: 0,
+      orphanedPaths: [],
+      failed: 0,
+      failedPaths: []
+    };
+    
+    if (options.placeholders) {
+      stats.placeholderMismatches = 0;
+      stats.placeholderMismatchPaths = [];
+    }
+    
+    if (glossary.length > 0) {
+      stats.glossaryViolations = 0;
+      stats.glossaryViolationPaths = [];
+    }
+    
+    if (options.qa !== false) {
+      stats.qaIssues = 0;
+      stats.qaIssuePaths = [];
+    }
+    
+    const targets = checkTranslations(resolveTargets(doc, translations, options, stats, glossary), options, stats);
+    
+    const layout = { ...DEFAULT_LAYOUT, ...options.layout };
+    // Copies of Markdown table rows holding their cells' translations
+    const rows = new Map();
+    
+    for (const { trans, node, runNodes, attribute, allowed, tags, protectedElements, filters, preformatted, source: segmentSource, sourceText, edited } of targets) {
+      // Skip empty or whitespace-only text
+      if (!trans.text || trans.text.trim().length === 0) {
+        stats.skipped++;
+        stats.skippedPaths.push(trans.path);
+        log('WARN', 'Skipping empty translation', { path: trans.path });
+        continue;
+      }
+      
+      // Plain text of the translation as applied, for glossary checks, and the translation as
+      // written, for the translation memory
+      let translatedText = trans.text;
+      let written = trans.text;
+      if (attribute) {
+        // Attributes can't hold markup, so combine as "original / translation"
+        const original = node.getAttribute(attribute) || '';
+        node.setAttribute(attribute, combineBilingualText(original, trans.text, layout));
+      } else if (isTextOnlyElement(node)) {
+        translatedText = trans.plainText ?? trans.text;
+        written = translatedText;
+        keepOptionValue(node);
+        node.textContent = combineBilingualText(node.textContent.trim(), translatedText, layout);
+      } else {
+        const text = restorePlaceholders(trans, tags, options, stats);
+        const { fragment, removed } = sanitizeTranslation(doc, text, allowed, options.sanitize);
+        recordSanitized(stats, trans.path, removed);
+        recordProtectedMissing(stats, trans.path, restoreProtected(fragment, protectedElements, filters));
+        translatedText = fragment.textContent;
+        written = writtenText(fragment, tags, options, preformatted);
+        
+        // Markdown and plain text get native blocks rather than wrapper markup
+        const copied = source && !runNodes && insertSourceBilingual(node, fragment, layout, rows);
+        if (!copied) {
+          const inserted = insertBilingual(doc, node, fragment, layout, runNodes);
+          if (options.targetLang) {
+            setLanguage(inserted, options.targetLang);
+          }
+          
+          // Link original and translation (e.g., data-pair="3") for CSS/JS toggling
+          if (layout.pairAttribute) {
+            const pairId = String(stats.merged + 1);
+            node.setAttribute(layout.pairAttribute, pairId);
+            inserted.setAttribute(layout.pairAttribute, pairId);
+          }
+        }
+      }
+      
+      checkGlossaryTerms(glossary, trans.path, sourceText, translatedText, stats);
+      stats.merged++;
+      // A translation of the old text isn't remembered for the edited one
+      if (!edited) {
+        applied.push({ source: segmentSource, text: written });
+      }
+    }
+    
+    const { transhtml, output } = serializeDocument(dom, source, html, options);
+    dom.window.close();
+    
+    // Return result with statistics (and the applied pairs, for the translation memory)
+    return { transhtml, output, stats, memory: { sourceLang, applied } };
+  } catch (error) {
+    throw processingError(error, 'Merge exception');
+  }
+}
+
+// Replace translations in HTML (pure translation mode)
+export function replaceTranslations(html, translations, options = {}) {
+  try {
+    const { dom, source, glossary } = loadDocument(html, options);
+    const doc = dom.window.document;
+    
+    translations = expandDuplicates(translations);
+    
+    // Language of the original, for translation memory entries
+    const sourceLang = options.sourceLang || doc.documentElement.getAttribute('lang');
+    const applied = [];
+    
+    // Statistics tracking
+    let stats = {
+      total: translations.length,
+      replaced: 0,
+      skipped: 0,
+      skippedPaths: [],
+      sanitized: 0,
+      sanitizedPaths: [],
+      protectedMissing: 0,
+      protectedMissingPaths: [],
+      reanchored: 0,
+      reanchoredPaths: [],
+      orphaned: 0,
+      orphanedPaths: [],
+      failed: 0,
+      failedPaths: []
+    };
+    
+    if (options.placeholders) {
+      stats.placeholderMismatches = 0;
+      stats.placeholderMismatchPaths = [];
+    }
+    
+    if (glossary.length > 0) {
+      stats.glossaryViolations = 0;
+      stats.glossaryViolationPaths = [];
+    }
+    
+    if (options.qa !== false) {
+      stats.qaIssues = 0;
+      stats.qaIssuePaths = [];
+    }
+    
+    const targets = checkTranslations(resolveTargets(doc, translations, options, stats, glossary), options, stats);
+    
+    // Attributes are written last: replacing a block's content recreates the elements inside it
+    const attributeTargets = [];
+    
+    for (const target of targets) {
+      const { trans, node, runNodes, attribute, allowed, tags, protectedElements, filters, preformatted, source, sourceText, edited } = target;
+      
+      // Skip empty or whitespace-only text to avoid deleting original content
+      if (!trans.text || trans.text.trim().length === 0) {
+        stats.skipped++;
+        stats.skippedPaths.push(trans.path);
+        log('WARN', 'Skipping empty translation', { path: trans.path });
+        continue;
+      }
+      
+      if (attribute) {
+        attributeTargets.push(target);
+        continue;
+      }
+      
+      // An earlier replacement may have taken this segment out of the document
+      if (!node.isConnected || (runNodes && !runNodes.every(runNode => runNode.isConnected))) {
+        failPath(trans.path, PATH_FAILURES.DETACHED, options, stats);
+        continue;
+      }
+      
+      // Replace node content with translation
+      let translatedText = trans.text;
+      let written;
+      if (isTextOnlyElement(node)) {
+        // Translations imported from XLIFF/PO also carry the markup-free text
+        translatedText = trans.plainText ?? trans.text;
+        written = translatedText;
+        keepOptionValue(node);
+        node.textContent = translatedText;
+      } else {
+        const text = restorePlaceholders(trans, tags, options, stats);
+        const { fragment, removed } = sanitizeTranslation(doc, text, allowed, options.sanitize);
+        recordSanitized(stats, trans.path, removed);
+        recordProtectedMissing(stats, trans.path, restoreProtected(fragment, protectedElements, filters));
+        translatedText = fragment.textContent;
+        written = writtenText(fragment, tags, options, preformatted);
+        
+        // Keep the original leading/trailing whitespace around normal segments;
+        // whitespace-sensitive segments take the translation verbatim
+        const segmentNodes = runNodes || Array.from(node.childNodes);
+        const first = segmentNodes[0];
+        const last = segmentNodes[segmentNodes.length - 1];
+        const { leading, trailing } = edgeWhitespace(first, last);
+        if (!preformatted) {
+          trimFragment(fragment);
+        }
+        
+        // Media and scripts aren't part of the segment text: the original elements move into
+        // the translation, so they (and their attribute targets) stay in the document
+        const media = segmentMedia(segmentNodes);
+        
+        // Only a run's own nodes are replaced; neighboring block children stay
+        const anchor = runNodes ? doc.createComment('') : null;
+        if (runNodes) {
+          first.before(anchor);
+          runNodes.forEach(runNode => runNode.remove());
+        }
+        
+        if (media.leading.length > 0) {
+          fragment.prepend(...media.leading, media.leadingGap ? ' ' : '');
+        }
+        if (media.trailing.length > 0) {
+          fragment.append(media.trailingGap ? ' ' : '', ...media.trailing);
+        }
+        if (!preformatted) {
+          fragment.prepend(leading);
+          fragment.append(trailing);
+        }
+        
+        if (runNodes) {
+          anchor.replaceWith(fragment);
+        } else {
+          node.replaceChildren(fragment);
+        }
+      }
+      
+      checkGlossaryTerms(glossary, trans.path, sourceText, translatedText, stats);
+      stats.replaced++;
+      // A translation of the old text isn't remembered for the edited one
+      if (!edited) {
+        applied.push({ source, text: written });
+      }
+    }
+    
+    // An attribute whose element was recreated is written to the element now at its position,
+    // if it's still the same kind of element; otherwise the translation fails as detached
+    for (const { trans, node, attribute, position, source, sourceText, edited } of attributeTargets) {
+      const element = node.isConnected ? node : findByPath(doc, position);
+      if (!element || element.tagName !== node.tagName || !isTranslatableAttribute(element, attribute)) {
+        failPath(trans.path, PATH_FAILURES.DETACHED, options, stats);
+        continue;
+      }
+      
+      element.setAttribute(attribute, trans.text);
+      checkGlossaryTerms(glossary, trans.path, sourceText, trans.text, stats);
+      stats.replaced++;
+      if (!edited) {
+        applied.push({ source, text: trans.text });
+      }
+    }
+    
+    // Pure translation: the document now declares the target language
+    if (options.targetLang) {
+      applyTargetLanguage(doc, options.targetLang);
+    }
+    
+    const { transhtml, output } = serializeDocument(dom, source, html, options);
+    dom.window.close();
+    
+    // Return result with statistics (and the applied pairs, for the translation memory)
+    return { transhtml, output, stats, memory: { sourceLang, applied } };
+  } catch (error) {
+    throw processingError(error, 'Replace exception');
+  }
+}
+
+// Validate a list of { path, text } translations. Deduplicated segments from /extract
+// may also carry the paths that share their text in `duplicates`.
+export function isValidTranslationList(translations) {
+  if (!Array.isArray(translations)) {
+    return false;
+  }
+  return translations.every(trans =>
+    typeof trans === 'object' && trans !== null &&
+    typeof trans.path === 'string' &&
+    typeof trans.text === 'string' &&
+    (!('duplicates' in trans) || isStringList(trans.duplicates))
+  );
+}
+
+// Validate the optional fields shared by /merge, /replace and /translate
+export function hasValidMergeOptions(json) {
+  if ('output' in json && !OUTPUT_MODES.has(json.output)) {
+    return false;
+  }
+  if ('placeholders' in json && !Object.hasOwn(PLACEHOLDER_STYLES, json.placeholders)) {
+    return false;
+  }
+  if (('include' in json && !isStringList(json.include)) || ('exclude' in json && !isStringList(json.exclude))) {
+    return false;
+  }
+  if ('layout' in json && !isValidLayout(json.layout)) {
+    return false;
+  }
+  if ('strict' in json && typeof json.strict !== 'boolean') {
+    return false;
+  }
+  if ('sanitize' in json && !SANITIZE_MODES.has(json.sanitize)) {
+    return false;
+  }
+  if (!isOptionalLanguage(json.targetLang) || !isOptionalLanguage(json.sourceLang)) {
+    return false;
+  }
+  if ('remember' in json && typeof json.remember !== 'boolean') {
+    return false;
+  }
+  if ('glossary' in json && !isValidGlossary(json.glossary)) {
+    return false;
+  }
+  if ('qa' in json && !isValidQaOptions(json.qa)) {
+    return false;
+  }
+  return hasValidSourceFormat(json);
+}
+
+// Translation memory lookup modes for /extract
+const TM_LOOKUP_MODES = new Set(['mark', 'prefill']);
+
+// Language recorded when neither the request nor <html lang> names the source language
+export const UNDETERMINED_LANG = 'und';
+
+// Normalize source text for translation memory keys (Unicode NFC, collapsed whitespace)
+export function normalizeTmText(text) {
+  return text.normalize('NFC').trim().replace(/\s+/g, ' ');
+}
+
+// Normalize a language tag for translation memory keys (e.g., "zh_CN" -> "zh-cn")
+export function normalizeTmLang(lang) {
+  return lang ? lang.trim().replace(/_/g, '-').toLowerCase() : UNDETERMINED_LANG;
+}
+
+// TM key: normalized source text plus language pair
+export function tmKey(source, sourceLang, targetLang) {
+  return `${normalizeTmLang(sourceLang)}\u0000${normalizeTmLang(targetLang)}\u0000${normalizeTmText(source)}`;
+}
+
+// Segment kind for matching: attribute values and whitespace-sensitive text only match their own kind
+function segmentKind(segment) {
+  if (parseSegmentPath(segment.path).attribute) {
+    return 'attribute';
+  }
+  return segment.preformatted ? 'pre' : 'html';
+}
+
+// Comparison key of a segment's source text
+export function segmentTextKey(segment) {
+  const text = segment.preformatted ? segment.text : normalizeTmText(segment.text);
+  return `${segmentKind(segment)}|${text}`;
+}
+
+// Diff the segments of two page versions. A new segment whose text also appears in the
+// old version keeps that segment's translation (the one at the same path when possible).
+// Other new segments are returned for translation: "changed" when an old segment between
+// the same unchanged neighbors was edited, "untranslated" when the old text had no
+// translation, and "added" otherwise.
+export function diffSegments(oldSegments, newSegments, translations) {
+  const previous = new Map(expandDuplicates(translations).map(trans => [trans.path, trans.text]));
+  const oldKeys = oldSegments.map(segmentTextKey);
+  const newKeys = newSegments.map(segmentTextKey);
+
+  // Old translated segments by text, in document order
+  const translatedByText = new Map();
+  oldSegments.forEach((segment, index) => {
+    if (previous.has(segment.path)) {
+      if (!translatedByText.has(oldKeys[index])) {
+        translatedByText.set(oldKeys[index], []);
+      }
+      translatedByText.get(oldKeys[index]).push(index);
+    }
+  });
+
+  // Carry translations over to new segments with unchanged text
+  const matchedOld = new Array(newSegments.length).fill(null);
+  const usedOld = new Set();
+  newSegments.forEach((segment, index) => {
+    const candidates = translatedByText.get(newKeys[index]);
+    if (!candidates) {
+      return;
+    }
+    const samePath = candidates.find(oldIndex => oldSegments[oldIndex].path === segment.path);
+    const oldIndex = samePath ?? candidates.find(candidate => !usedOld.has(candidate)) ?? candidates[0];
+    matchedOld[index] = oldIndex;
+    usedOld.add(oldIndex);
+  });
+
+  // Old segments whose text is gone from the new version
+  const remainingKeys = new Set(newKeys);
+  const removedOld = oldSegments.map((segment, index) => index).filter(index => !remainingKeys.has(oldKeys[index]));
+
+  const segments = [];
+  const carried = [];
+  const pairedOld = new Set();
+  const stats = { total: newSegments.length, unchanged: 0, changed: 0, untranslated: 0, added: 0, removed: removedOld.length };
+
+  newSegments.forEach((segment, index) => {
+    if (matchedOld[index] !== null) {
+      carried.push({ path: segment.path, text: previous.get(oldSegments[matchedOld[index]].path) });
+      stats.unchanged++;
+      return;
+    }
+
+    if (oldKeys.includes(newKeys[index])) {
+      segments.push({ ...segment, status: 'untranslated' });
+      stats.untranslated++;
+      return;
+    }
+
+    // Old segments between the nearest carried neighbors are the candidates for an edit
+    let lower = -1;
+    for (let i = index - 1; i >= 0; i--) {
+      if (matchedOld[i] !== null) {
+        lower = matchedOld[i];
+        break;
+      }
+    }
+    let upper = oldSegments.length;
+    for (let i = index + 1; i < newSegments.length; i++) {
+      if (matchedOld[i] !== null) {
+        upper = matchedOld[i];
+        break;
+      }
+    }
+
+    const edited = removedOld.find(oldIndex =>
+      oldIndex > lower && oldIndex < upper && !pairedOld.has(oldIndex) &&
+      segmentKind(oldSegments[oldIndex]) === segmentKind(segment)
+    );
+
+    if (edited === undefined) {
+      segments.push({ ...segment, status: 'added' });
+      stats.added++;
+      return;
+    }
+
+    pairedOld.add(edited);
+    const old = oldSegments[edited];
+    const changed = { ...segment, status: 'changed', previousPath: old.path, previousText: old.text };
+    if (previous.has(old.path)) {
+      changed.previousTranslation = previous.get(old.path);
+    }
+    segments.push(changed);
+    stats.changed++;
+  });
+
+  const removed = removedOld.filter(index => !pairedOld.has(index)).map(index => oldSegments[index].path);
+  stats.removed = removed.length;
+
+  return { segments, carried, removed, stats };
+}
+
+// Segment file formats for /extract: JSON, XLIFF 2.0, XLIFF 1.2 and gettext PO
+export const FILE_FORMATS = new Set(['json', 'xliff', 'xliff12', 'po']);
+
+// Formats /merge and /replace accept as `file` (XLIFF 1.2 and 2.0 are told apart by version)
+export const IMPORT_FORMATS = new Set(['xliff', 'xliff12', 'po']);
+
+const XLIFF2_NAMESPACE = 'urn:oasis:names:tc:xliff:document:2.0';
+const XLIFF12_NAMESPACE = 'urn:oasis:names:tc:xliff:document:1.2';
+
+// XLIFF 1.2 target states of translations that still need review
+const XLIFF12_REVIEW_STATES = new Set([
+  'new', 'needs-adaptation', 'needs-l10n', 'needs-review-adaptation',
+  'needs-review-l10n', 'needs-review-translation'
+]);
+
+// Placeholder tokens in XML placeholder text (<x1>, </x1>, <x1/>)
+const XML_PLACEHOLDER_PATTERN = /<(\/?)x(\d+)\s*(\/?)>/g;
+
+// Tags whose text names the section a segment belongs to
+const SECTION_HEADINGS = 'h1, h2, h3, h4, h5, h6';
+
+// Length of the section heading quoted in context notes
+const CONTEXT_HEADING_LENGTH = 80;
+
+// Escape text for XML content and attribute values
+function escapeXml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Undo escapeHtml
+function unescapeHtml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&amp;/g, '&');
+}
+
+// Describe where a segment sits, for translators: element, attribute and section heading.
+// `plain` marks segments that hold text, not markup (attributes, <title>).
+function segmentContext(doc, path) {
+  const { elementPath, run, attribute } = parseSegmentPath(path);
+  const element = findByPath(doc, elementPath);
+  const notes = [];
+  if (!element) {
+    return { notes, plain: Boolean(attribute) };
+  }
+
+  notes.push(`Element: ${structuralFingerprint(element) || 'body'}${run !== null ? ' (text between blocks)' : ''}`);
+  if (attribute) {
+    notes.push(`Attribute: ${attribute}`);
+  }
+
+  // Nearest heading before the segment (none for headings themselves)
+  let heading = null;
+  if (!element.matches(SECTION_HEADINGS)) {
+    for (const candidate of doc.body.querySelectorAll(SECTION_HEADINGS)) {
+      if (!(candidate.compareDocumentPosition(element) & candidate.DOCUMENT_POSITION_FOLLOWING)) {
+        break;
+      }
+      heading = candidate;
+    }
+  }
+  const headingText = heading ? heading.textContent.trim().replace(/\s+/g, ' ') : '';
+  if (headingText) {
+    notes.push(`Section: ${headingText.substring(0, CONTEXT_HEADING_LENGTH)}`);
+  }
+
+  return { notes, plain: Boolean(attribute) || element.tagName.toLowerCase() === 'title' };
+}
+
+// Split a segment into text and placeholder tokens. Text of markup segments is unescaped,
+// since file formats carry plain text around their inline tags.
+function tokenizeSegment(text, plain) {
+  if (plain) {
+    return [{ type: 'text', value: text }];
+  }
+
+  const tokens = [];
+  let last = 0;
+  for (const match of text.matchAll(XML_PLACEHOLDER_PATTERN)) {
+    if (match.index > last) {
+      tokens.push({ type: 'text', value: unescapeHtml(text.substring(last, match.index)) });
+    }
+    const type = match[1] ? 'close' : (match[3] ? 'empty' : 'open');
+    tokens.push({ type, id: match[2] });
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) {
+    tokens.push({ type: 'text', value: unescapeHtml(text.substring(last)) });
+  }
+  return tokens;
+}
+
+// XLIFF 2.0 unit IDs are NMTOKENs, so other path characters are written as _HEX_
+function xliffUnitId(path) {
+  return path.replace(/[^A-Za-z0-9.:-]/g, char => `_${char.codePointAt(0).toString(16)}_`);
+}
+
+// Closing tag HTML for an opening tag from the tag map ('<a href="/">' -> '</a>')
+function closingTagHtml(open) {
+  const match = /^<([a-z0-9-]+)/i.exec(open);
+  return match ? `</${match[1].toLowerCase()}>` : '';
+}
+
+// Serialize segments as XLIFF 2.0 with <pc>/<ph> inline codes backed by <originalData>
+function exportXliff2(segments, details, targetLang) {
+  const units = segments.map(segment => {
+    const { notes, plain } = details.contexts.get(segment);
+    const tags = segment.tags || {};
+    const data = [];
+
+    const content = tokenizeSegment(segment.text, plain).map(token => {
+      if (token.type === 'text') {
+        return escapeXml(token.value);
+      }
+      if (token.type === 'empty') {
+        data.push(`<data id="d${token.id}">${escapeXml(tags[token.id] || '')}</data>`);
+        return `<ph id="${token.id}" dataRef="d${token.id}"/>`;
+      }
+      if (token.type === 'open') {
+        data.push(`<data id="d${token.id}">${escapeXml(tags[token.id] || '')}</data>`);
+        data.push(`<data id="d${token.id}e">${escapeXml(closingTagHtml(tags[token.id] || ''))}</data>`);
+        return `<pc id="${token.id}" dataRefStart="d${token.id}" dataRefEnd="d${token.id}e">`;
+      }
+      return '</pc>';
+    }).join('');
+
+    const lines = [`    <unit id="${escapeXml(xliffUnitId(segment.path))}" name="${escapeXml(segment.path)}">`];
+    if (notes.length) {
+      lines.push('      <notes>');
+      notes.forEach(note => lines.push(`        <note category="context">${escapeXml(note)}</note>`));
+      lines.push('      </notes>');
+    }
+    if (data.length) {
+      lines.push('      <originalData>');
+      data.forEach(entry => lines.push(`        ${entry}`));
+      lines.push('      </originalData>');
+    }
+    const space = segment.preformatted ? ' xml:space="preserve"' : '';
+    lines.push(`      <segment><source${space}>${content}</source></segment>`);
+    lines.push('    </unit>');
+    return lines.join('\n');
+  });
+
+  const trgLang = targetLang ? ` trgLang="${escapeXml(targetLang)}"` : '';
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<xliff xmlns="${XLIFF2_NAMESPACE}" version="2.0" srcLang="${escapeXml(details.lang || UNDETERMINED_LANG)}"${trgLang}>`,
+    '  <file id="f1">',
+    ...units,
+    '  </file>',
+    '</xliff>',
+    ''
+  ].join('\n');
+}
+
+// Serialize segments as XLIFF 1.2 with <g>/<x> inline codes
+function exportXliff12(segments, details, targetLang) {
+  const units = segments.map(segment => {
+    const { notes, plain } = details.contexts.get(segment);
+
+    const content = tokenizeSegment(segment.text, plain).map(token => {
+      if (token.type === 'text') {
+        return escapeXml(token.value);
+      }
+      if (token.type === 'empty') {
+        return `<x id="${token.id}"/>`;
+      }
+      return token.type === 'open' ? `<g id="${token.id}">` : '</g>';
+    }).join('');
+
+    const space = segment.preformatted ? ' xml:space="preserve"' : '';
+    return [
+      `      <trans-unit id="${escapeXml(segment.path)}" resname="${escapeXml(segment.path)}"${space}>`,
+      `        <source>${content}</source>`,
+      ...notes.map(note => `        <note>${escapeXml(note)}</note>`),
+      '      </trans-unit>'
+    ].join('\n');
+  });
+
+  const targetLanguage = targetLang ? ` target-language="${escapeXml(targetLang)}"` : '';
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<xliff xmlns="${XLIFF12_NAMESPACE}" version="1.2">`,
+    `  <file original="document" datatype="html" source-language="${escapeXml(details.lang || UNDETERMINED_LANG)}"${targetLanguage}>`,
+    '    <body>',
+    ...units,
+    '    </body>',
+    '  </file>',
+    '</xliff>',
+    ''
+  ].join('\n');
+}
+
+// Quote a PO string
+function quotePo(text) {
+  const escaped = text
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\t/g, '\\t')
+    .replace(/\r/g, '\\r')
+    .replace(/\n/g, '\\n');
+  return `"${escaped}"`;
+}
+
+// Serialize segments as a gettext PO file: msgctxt holds the path, inline tags stay as <x1> placeholders
+function exportPo(segments, details, targetLang) {
+  const header = [
+    'msgid ""',
+    'msgstr ""',
+    quotePo('Content-Type: text/plain; charset=UTF-8\n'),
+    quotePo(`X-Source-Language: ${details.lang || UNDETERMINED_LANG}\n`)
+  ];
+  if (targetLang) {
+    header.push(quotePo(`Language: ${targetLang}\n`));
+  }
+
+  const entries = segments.map(segment => {
+    const { notes, plain } = details.contexts.get(segment);
+    const text = tokenizeSegment(segment.text, plain).map(token => {
+      if (token.type === 'text') {
+        return token.value;
+      }
+      return token.type === 'empty' ? `<x${token.id}/>` : (token.type === 'open' ? `<x${token.id}>` : `</x${token.id}>`);
+    }).join('');
+
+    return [
+      ...notes.map(note => `#. ${note}`),
+      ...(segment.preformatted ? ['#. Whitespace is significant'] : []),
+      `msgctxt ${quotePo(segment.path)}`,
+      `msgid ${quotePo(text)}`,
+      'msgstr ""'
+    ].join('\n');
+  });
+
+  return [header.join('\n'), ...entries].join('\n\n') + '\n';
+}
+
+// File exporters by /extract format
+export const SEGMENT_EXPORTERS = {
+  xliff: exportXliff2,
+  xliff12: exportXliff12,
+  po: exportPo
+};
+
+// Convert translated plain text with XML placeholders back into segment text
+// (markup segments) and markup-free text (attributes, <title>)
+function placeholderTextToTranslation(path, text) {
+  const plainText = text.replace(XML_PLACEHOLDER_PATTERN, '');
+  if (parseSegmentPath(path).attribute) {
+    return { path, text: plainText };
+  }
+
+  let html = '';
+  let last = 0;
+  for (const match of text.matchAll(XML_PLACEHOLDER_PATTERN)) {
+    html += escapeHtml(text.substring(last, match.index)) + match[0];
+    last = match.index + match[0].length;
+  }
+  html += escapeHtml(text.substring(last));
+  return { path, text: html, plainText };
+}
+
+// Read the content of an XLIFF <target>, turning inline codes back into XML placeholders
+function xliffInlineText(node) {
+  let text = '';
+  for (const child of node.childNodes) {
+    if (child.nodeType === child.TEXT_NODE || child.nodeType === child.CDATA_SECTION_NODE) {
+      text += child.data;
+    } else if (child.nodeType === child.ELEMENT_NODE) {
+      const id = child.getAttribute('id');
+      switch (child.localName) {
+        case 'pc':
+        case 'g':
+          text += `<x${id}>${xliffInlineText(child)}</x${id}>`;
+          break;
+        case 'ph':
+        case 'x':
+          text += `<x${id}/>`;
+          break;
+        case 'sc':
+          text += `<x${id}>`;
+          break;
+        case 'ec':
+          text += `</x${child.getAttribute('startRef') || id}>`;
+          break;
+        default:
+          // Annotations (<mrk>, ...) keep their text
+          text += xliffInlineText(child);
+      }
+    }
+  }
+  return text;
+}
+
+// Child elements of a node by local name
+function childElements(node, localName) {
+  return Array.from(node.children).filter(child => child.localName === localName);
+}
+
+// Parse a filled-in XLIFF 2.0 or 1.2 file. Returns null when it isn't XLIFF.
+function importXliff(file) {
+  let dom;
+  try {
+    dom = new JSDOM(file, { contentType: 'application/xml' });
+  } catch (error) {
+    return null;
+  }
+
+  const root = dom.window.document.documentElement;
+  const imported = { translations: [], untranslated: [], needsReview: [] };
+  if (root.localName !== 'xliff') {
+    dom.window.close();
+    return null;
+  }
+
+  if (root.getAttribute('version') === '1.2') {
+    for (const unit of root.getElementsByTagNameNS('*', 'trans-unit')) {
+      const path = unit.getAttribute('resname') || unit.getAttribute('id');
+      const target = childElements(unit, 'target')[0];
+      const text = target ? xliffInlineText(target) : '';
+      if (!path) {
+        continue;
+      }
+      if (!text.trim() || target.getAttribute('state') === 'needs-translation') {
+        imported.untranslated.push(path);
+        continue;
+      }
+      if (XLIFF12_REVIEW_STATES.has(target.getAttribute('state'))) {
+        imported.needsReview.push(path);
+      }
+      imported.translations.push(placeholderTextToTranslation(path, text));
+    }
+  } else {
+    for (const unit of root.getElementsByTagNameNS('*', 'unit')) {
+      const path = unit.getAttribute('name') ||
+        (unit.getAttribute('id') || '').replace(/_([0-9a-f]+)_/g, (match, hex) => String.fromCodePoint(parseInt(hex, 16)));
+      const segments = childElements(unit, 'segment');
+      const targets = segments.map(segment => childElements(segment, 'target')[0]);
+      const text = targets.map(target => (target ? xliffInlineText(target) : '')).join('');
+      if (!path) {
+        continue;
+      }
+      if (!text.trim()) {
+        imported.untranslated.push(path);
+        continue;
+      }
+      // A filled-in target still in the "initial" state hasn't been confirmed
+      if (segments.some(segment => segment.getAttribute('state') === 'initial')) {
+        imported.needsReview.push(path);
+      }
+      imported.translations.push(placeholderTextToTranslation(path, text));
+    }
+  }
+
+  dom.window.close();
+  return imported;
+}
+
+// Read a PO string literal
+function unquotePo(literal) {
+  const match = /^"(.*)"\s*$/.exec(literal.trim());
+  if (!match) {
+    return null;
+  }
+  return match[1].replace(/\\(.)/g, (escape, char) => ({ n: '\n', t: '\t', r: '\r' }[char] ?? char));
+}
+
+// Parse a filled-in PO file. Entries are matched by msgctxt (the segment path);
+// fuzzy entries are reported as needing review. Returns null when a line can't be parsed.
+function importPo(file) {
+  const entries = [];
+  let entry = null;
+  let field = null;
+
+  for (const rawLine of file.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    // Obsolete (#~) entries and blank lines end nothing on their own
+    if (!line || line.startsWith('#~')) {
+      continue;
+    }
+
+    // A comment or keyword after msgstr starts the next entry
+    const startsEntry = line.startsWith('#') || /^(msgctxt|msgid)\b/.test(line);
+    if (!entry || (startsEntry && entry.msgstr !== undefined)) {
+      entry = { flags: new Set() };
+      entries.push(entry);
+    }
+
+    if (line.startsWith('#,')) {
+      line.substring(2).split(',').forEach(flag => entry.flags.add(flag.trim()));
+      continue;
+    }
+    if (line.startsWith('#')) {
+      continue;
+    }
+
+    const keyword = /^(msgctxt|msgid_plural|msgid|msgstr(?:\[(\d+)\])?)\s+(".*")$/.exec(line);
+    let value;
+    if (keyword) {
+      // Plural forms keep only the first translation
+      field = keyword[1].startsWith('msgstr') ? 'msgstr' : keyword[1];
+      value = unquotePo(keyword[3]);
+      if (keyword[2] && keyword[2] !== '0') {
+        field = null;
+        continue;
+      }
+      entry[field] = '';
+    } else {
+      value = unquotePo(line);
+    }
+    if (value === null) {
+      return null;
+    }
+    if (field) {
+      entry[field] += value;
+    }
+  }
+
+  const imported = { translations: [], untranslated: [], needsReview: [] };
+  for (const { flags, msgctxt, msgstr } of entries) {
+    // The header and entries without a path aren't segments
+    if (!msgctxt) {
+      continue;
+    }
+    if (!msgstr || !msgstr.trim()) {
+      imported.untranslated.push(msgctxt);
+      continue;
+    }
+    if (flags.has('fuzzy')) {
+      imported.needsReview.push(msgctxt);
+    }
+    imported.translations.push(placeholderTextToTranslation(msgctxt, msgstr));
+  }
+  return imported;
+}
+
+// File importers by /merge and /replace format
+export const SEGMENT_IMPORTERS = {
+  xliff: importXliff,
+  xliff12: importXliff,
+  po: importPo
+};
+
+// Document formats accepted in the `html` field
+const SOURCE_FORMATS = new Set(['html', 'xhtml', 'markdown', 'text']);
+
+// Front-matter keys extracted for translation by default
+const FRONT_MATTER_FIELDS = ['title', 'description', 'summary', 'excerpt'];
+
+// Markdown block syntax (CommonMark subset)
+const MD_FENCE = /^ {0,3}(`{3,}|~{3,})/;
+const MD_HEADING = /^( {0,3}#{1,6})([ \t]+)(.*?)([ \t]+#+[ \t]*)?$/;
+const MD_SETEXT_UNDERLINE = /^ {0,3}(=+|-+)[ \t]*$/;
+const MD_THEMATIC_BREAK = /^ {0,3}([-*_])([ \t]*\1){2,}[ \t]*$/;
+const MD_HTML_BLOCK = /^ {0,3}<(\/?[a-zA-Z][\w-]*|!--|!\[CDATA\[|\?|![A-Z])/;
+const MD_REFERENCE_DEFINITION = /^ {0,3}\[[^\]]+\]:[ \t]*\S/;
+const MD_BLOCKQUOTE = /^( {0,3}>[ \t]?)(.*)$/;
+const MD_LIST_ITEM = /^([ \t]*)([-*+]|\d{1,9}[.)])([ \t]+(?:\[[ xX]\][ \t]+)?)(.*)$/;
+const MD_TABLE_SEPARATOR = /^[ \t]*\|?[ \t]*:?-+:?[ \t]*(\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+const MD_INDENTED_CODE = /^( {4}|\t)/;
+
+// Split a document into lines, remembering whether it ended with a newline
+function splitLines(source) {
+  const lines = source.split('\n');
+  const finalNewline = lines.length > 1 && lines[lines.length - 1] === '';
+  if (finalNewline) {
+    lines.pop();
+  }
+  return { lines, finalNewline };
+}
+
+// Find the end of a link label starting at "[" (index of the matching "]"), or -1
+function findLabelEnd(text, start) {
+  let depth = 0;
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text[i] === '[') {
+      depth++;
+    } else if (text[i] === ']' && --depth === 0) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+// Unquote a Markdown link title ("...", '...' or (...))
+function unquoteLinkTitle(title) {
+  return title ? title.slice(1, -1).replace(/\\(.)/g, '$1') : null;
+}
+
+// Build <a>/<img> HTML for a parsed Markdown link destination. The raw destination is
+// kept in data-md-link when it differs from the URL, so it's written back unchanged.
+function linkAttributesHtml(urlAttribute, destination, title) {
+  const url = destination.startsWith('<') ? destination.slice(1, -1) : destination;
+  let attrs = ` ${urlAttribute}="${escapeHtml(url)}"`;
+  if (url !== destination) {
+    attrs += ` data-md-link="${escapeHtml(destination)}"`;
+  }
+  if (title !== null) {
+    attrs += ` title="${escapeHtml(title)}"`;
+  }
+  return attrs;
+}
+
+// Convert inline Markdown to HTML: emphasis, code spans, links, images, autolinks,
+// hard breaks and inline HTML (passed through)
+function markdownInlineToHtml(text) {
+  const destinationPattern = /^\(\s*(<[^>\n]*>|[^\s()]*(?:\([^\s()]*\)[^\s()]*)*)(?:\s+("(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'|\((?:\\.|[^)\\])*\)))?\s*\)/;
+  let html = '';
+  let i = 0;
+
+  while (i < text.length) {
+    const rest = text.substring(i);
+    const previous = i > 0 ? text[i - 1] : '';
+    let match;
+
+    if (rest[0] === '\\' && rest[1] === '\n') {
+      html += '<br>';
+      i += 2;
+    } else if (rest[0] === '\\' && /^[!-/:-@[-`{-~]$/.test(rest[1] || '')) {
+      html += escapeHtml(rest[1]);
+      i += 2;
+    } else if ((match = /^ {2,}\n/.exec(rest))) {
+      html += '<br>';
+      i += match[0].length;
+    } else if ((match = /^(`+)([\s\S]*?[^`])\1(?!`)/.exec(rest))) {
+      const code = /^ .* $/s.test(match[2]) ? match[2].slice(1, -1) : match[2];
+      html += `<code>${escapeHtml(code)}</code>`;
+      i += match[0].length;
+    } else if ((match = /^<([a-z][a-z0-9+.-]{1,31}:[^\s<>]*)>/i.exec(rest))) {
+      html += `<a href="${escapeHtml(match[1])}">${escapeHtml(match[1])}</a>`;
+      i += match[0].length;
+    } else if ((match = /^<\/?[a-zA-Z][\w-]*(?:\s+[^<>]*?)?\/?>|^<!--[\s\S]*?-->/.exec(rest))) {
+      html += match[0];
+      i += match[0].length;
+    } else if ((rest.startsWith('![') || rest[0] === '[')) {
+      const image = rest[0] === '!';
+      const labelStart = image ? 1 : 0;
+      const labelEnd = findLabelEnd(rest, labelStart);
+      const label = labelEnd === -1 ? null : rest.substring(labelStart + 1, labelEnd);
+      const after = labelEnd === -1 ? '' : rest.substring(labelEnd + 1);
+      const inline = label !== null ? destinationPattern.exec(after) : null;
+      const reference = label !== null && !inline ? /^\[([^\]]*)\]/.exec(after) : null;
+
+      if (inline || reference) {
+        const length = labelEnd + 1 + (inline || reference)[0].length;
+        if (image) {
+          const alt = label.replace(/\\(.)/g, '$1');
+          html += inline
+            ? `<img${linkAttributesHtml('src', inline[1], unquoteLinkTitle(inline[2]))} alt="${escapeHtml(alt)}">`
+            : `<img data-md-ref="${escapeHtml(reference[1])}" alt="${escapeHtml(alt)}">`;
+        } else {
+          const attrs = inline
+            ? linkAttributesHtml('href', inline[1], unquoteLinkTitle(inline[2]))
+            : ` data-md-ref="${escapeHtml(reference[1])}"`;
+          html += `<a${attrs}>${markdownInlineToHtml(label)}</a>`;
+        }
+        i += length;
+      } else {
+        html += escapeHtml(rest.substring(0, labelStart + 1));
+        i += labelStart + 1;
+      }
+    } else if ((match = /^(\*\*|__)(?=\S)([\s\S]*?\S)\1/.exec(rest)) && !(match[1] === '__' && /\w/.test(previous))) {
+      html += `<strong>${markdownInlineToHtml(match[2])}</strong>`;
+      i += match[0].length;
+    } else if ((match = /^~~(?=\S)([\s\S]*?\S)~~/.exec(rest))) {
+      html += `<del>${markdownInlineToHtml(match[1])}</del>`;
+      i += match[0].length;
+    } else if ((match = /^([*_])(?=\S)([\s\S]*?\S)\1(?!\1)/.exec(rest)) &&
+               !(match[1] === '_' && (/\w/.test(previous) || /\w/.test(text[i + match[0].length] || '')))) {
+      html += `<em>${markdownInlineToHtml(match[2])}</em>`;
+      i += match[0].length;
+    } else {
+      html += escapeHtml(rest[0]);
+      i++;
+    }
+  }
+
+  return html;
+}
+
+// Escape Markdown syntax characters in translated text
+function escapeMarkdown(text) {
+  return text
+    .replace(/([\\`*[\]])/g, '\\$1')
+    .replace(/<(?=[a-zA-Z/!?])/g, '\\<')
+    .replace(/(^|\W)_|_(?=\W|$)/g, (match, before) => (before === undefined ? '\\_' : `${before}\\_`));
+}
+
+// Code span with a backtick fence longer than any backtick run in the code
+function markdownCodeSpan(code) {
+  const longest = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longest + 1);
+  const padding = code.startsWith('`') || code.endsWith('`') ? ' ' : '';
+  return `${fence}${padding}${code}${padding}${fence}`;
+}
+
+// Quote a link title for Markdown
+function markdownLinkTitle(element) {
+  const title = element.getAttribute('title');
+  return title === null ? '' : ` "${title.replace(/(["\\])/g, '\\$1')}"`;
+}
+
+// Markdown destinations of the links and images in a converted block, in document order
+function markdownDestinations(element) {
+  const destinations = { a: [], img: [] };
+  for (const child of element.querySelectorAll('a, img')) {
+    const tag = child.tagName.toLowerCase();
+    destinations[tag].push({
+      url: child.getAttribute(tag === 'a' ? 'href' : 'src') || '',
+      link: child.getAttribute('data-md-link'),
+      ref: child.getAttribute('data-md-ref')
+    });
+  }
+  return destinations;
+}
+
+// Convert inline HTML back to Markdown. Elements without Markdown syntax stay as inline HTML.
+// With `destinations` (from markdownDestinations), links and images take their destination
+// from the source link or image at the same position, so translations can't change URLs.
+function htmlToMarkdownInline(node, destinations = null) {
+  let out = '';
+  for (const child of node.childNodes) {
+    if (child.nodeType === child.TEXT_NODE) {
+      out += escapeMarkdown(child.data.replace(/\s+/g, ' '));
+      continue;
+    }
+    if (child.nodeType !== child.ELEMENT_NODE) {
+      continue;
+    }
+
+    const tag = child.tagName.toLowerCase();
+    const inner = () => htmlToMarkdownInline(child, destinations);
+    const original = (tag === 'a' || tag === 'img') && destinations ? destinations[tag].shift() : null;
+    const ref = original ? original.ref : child.getAttribute('data-md-ref');
+    const link = original ? original.link : child.getAttribute('data-md-link');
+    switch (tag) {
+      case 'br':
+        out += '\\\n';
+        break;
+      case 'strong':
+      case 'b':
+        out += `**${inner()}**`;
+        break;
+      case 'em':
+      case 'i':
+        out += `*${inner()}*`;
+        break;
+      case 'del':
+      case 's':
+        out += `~~${inner()}~~`;
+        break;
+      case 'code':
+        out += markdownCodeSpan(child.textContent);
+        break;
+      case 'a': {
+        const href = original ? original.url : child.getAttribute('href') || '';
+        if (ref !== null) {
+          out += `[${inner()}][${ref}]`;
+        } else if (href && child.textContent === href && /^[a-z][a-z0-9+.-]*:/i.test(href) && !child.hasAttribute('title')) {
+          out += `<${href}>`;
+        } else {
+          out += `[${inner()}](${link || href}${markdownLinkTitle(child)})`;
+        }
+        break;
+      }
+      case 'img': {
+        const alt = escapeMarkdown(child.getAttribute('alt') || '');
+        const src = original ? original.url : child.getAttribute('src') || '';
+        out += ref !== null
+          ? `![${alt}][${ref}]`
+          : `![${alt}](${link || src}${markdownLinkTitle(child)})`;
+        break;
+      }
+      default:
+        // Inline HTML is valid Markdown; its content is still converted
+        out += VOID_ELEMENTS.has(tag) ? openingTagHtml(child) : `${openingTagHtml(child)}${inner()}</${tag}>`;
+    }
+  }
+  return out;
+}
+
+// Plain text of converted content: line breaks become newlines, other whitespace collapses
+function htmlToPlainText(node) {
+  let out = '';
+  for (const child of node.childNodes) {
+    if (child.nodeType === child.TEXT_NODE) {
+      out += child.data.replace(/\s+/g, ' ');
+    } else if (child.nodeType === child.ELEMENT_NODE) {
+      out += child.tagName.toLowerCase() === 'br' ? '\n' : htmlToPlainText(child);
+    }
+  }
+  return out;
+}
+
+// Split a Markdown table row into its cells
+function splitTableRow(line) {
+  const cells = [];
+  let cell = '';
+  const body = line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '');
+  for (let i = 0; i < body.length; i++) {
+    if (body[i] === '\\' && body[i + 1] === '|') {
+      cell += '\\|';
+      i++;
+    } else if (body[i] === '|') {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += body[i];
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+// Parse simple "key: value" front-matter lines, returning the translatable fields
+function parseFrontMatterFields(lines, fields) {
+  const found = [];
+  lines.forEach((line, index) => {
+    const match = /^([A-Za-z0-9_-]+):[ \t]*(.*?)[ \t]*$/.exec(line);
+    if (!match || !fields.includes(match[1]) || !match[2] || /^[|>[{&*!#]/.test(match[2])) {
+      return;
+    }
+    let value = match[2];
+    if (/^".*"$/.test(value)) {
+      try {
+        value = JSON.parse(value);
+      } catch (error) {
+        return;
+      }
+    } else if (/^'.*'$/.test(value)) {
+      value = value.slice(1, -1).replace(/''/g, "'");
+    }
+    found.push({ line: index, key: match[1], value });
+  });
+  return found;
+}
+
+// Convert Markdown to HTML for the walker. Translatable blocks become elements marked
+// with data-md-block; everything else (code, HTML blocks, blank lines, ...) is kept as
+// raw chunks in <template data-md-raw> so it's written back byte for byte.
+function markdownToHtml(markdown, options) {
+  const { lines, finalNewline } = splitLines(markdown);
+  const fields = options.frontMatter || FRONT_MATTER_FIELDS;
+  const blocks = [];
+  const chunks = [];
+  let html = '';
+  let rawLines = [];
+
+  const flushRaw = () => {
+    if (rawLines.length) {
+      html += `<template data-md-raw="${chunks.length}"></template>`;
+      chunks.push(rawLines);
+      rawLines = [];
+    }
+  };
+  const addBlock = (block, tag, innerHtml) => {
+    flushRaw();
+    const index = blocks.length;
+    blocks.push({ ...block, originalHtml: null });
+    html += `<${tag} data-md-block="${index}">${innerHtml}</${tag}>`;
+  };
+
+  const startsBlock = (line) => MD_FENCE.test(line) || MD_HEADING.test(line) || MD_THEMATIC_BREAK.test(line) ||
+    MD_HTML_BLOCK.test(line) || MD_BLOCKQUOTE.test(line) || MD_LIST_ITEM.test(line);
+
+  let i = 0;
+
+  // Front matter: only the values of translatable keys become segments
+  if (lines[0] === '---') {
+    const end = lines.findIndex((line, index) => index > 0 && (line === '---' || line === '...'));
+    if (end !== -1) {
+      const body = lines.slice(1, end);
+      const found = parseFrontMatterFields(body, fields);
+      html += '<header data-md-front-matter>';
+      const frontMatter = { kind: 'frontMatter', lines: lines.slice(0, end + 1), fields: [] };
+      for (const field of found) {
+        frontMatter.fields.push({ ...field, block: blocks.length });
+        blocks.push({ kind: 'field', originalHtml: null });
+        html += `<p data-md-block="${blocks.length - 1}">${escapeHtml(field.value)}</p>`;
+      }
+      html += '</header>';
+      chunks.push(frontMatter);
+      i = end + 1;
+    }
+  }
+
+  let afterList = false;
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      rawLines.push(line);
+      i++;
+      continue;
+    }
+
+    // Fenced code: kept with its fences
+    const fence = MD_FENCE.exec(line);
+    if (fence) {
+      const closing = new RegExp(`^ {0,3}${fence[1][0] === '`' ? '`' : '~'}{${fence[1].length},}[ \\t]*$`);
+      let end = i + 1;
+      while (end < lines.length && !closing.test(lines[end])) {
+        end++;
+      }
+      rawLines.push(...lines.slice(i, end + 1));
+      i = end + 1;
+      afterList = false;
+      continue;
+    }
+
+    // Indented code (not an indented paragraph of a list item)
+    if (MD_INDENTED_CODE.test(line) && !afterList) {
+      while (i < lines.length && (MD_INDENTED_CODE.test(lines[i]) || !lines[i].trim())) {
+        rawLines.push(lines[i++]);
+      }
+      continue;
+    }
+
+    // HTML blocks, reference definitions and thematic breaks are left unchanged
+    if (MD_HTML_BLOCK.test(line)) {
+      while (i < lines.length && lines[i].trim()) {
+        rawLines.push(lines[i++]);
+      }
+      afterList = false;
+      continue;
+    }
+    if (MD_REFERENCE_DEFINITION.test(line) || MD_THEMATIC_BREAK.test(line)) {
+      rawLines.push(line);
+      i++;
+      continue;
+    }
+
+    const heading = MD_HEADING.exec(line);
+    if (heading) {
+      const level = heading[1].trim().length;
+      addBlock({ kind: 'heading', lines: [line], prefix: heading[1] + heading[2], suffix: heading[4] || '' },
+        `h${level}`, markdownInlineToHtml(heading[3]));
+      i++;
+      afterList = false;
+      continue;
+    }
+
+    if (MD_BLOCKQUOTE.test(line)) {
+      const prefix = MD_BLOCKQUOTE.exec(line)[1];
+      const start = i;
+      const content = [];
+      while (i < lines.length && MD_BLOCKQUOTE.test(lines[i])) {
+        content.push(MD_BLOCKQUOTE.exec(lines[i])[2]);
+        i++;
+      }
+      // Quotes holding other blocks (lists, code, nested quotes) are left unchanged
+      if (content.some(text => startsBlock(text) || MD_INDENTED_CODE.test(text)) || content.some(text => !text.trim())) {
+        rawLines.push(...lines.slice(start, i));
+      } else {
+        addBlock({ kind: 'quote', lines: lines.slice(start, i), prefix, continuation: prefix }, 'blockquote',
+          markdownInlineToHtml(content.join('\n')));
+      }
+      afterList = false;
+      continue;
+    }
+
+    const item = MD_LIST_ITEM.exec(line);
+    if (item && !MD_THEMATIC_BREAK.test(line)) {
+      const prefix = item[1] + item[2] + item[3];
+      const start = i;
+      const content = [item[4]];
+      i++;
+      while (i < lines.length && lines[i].trim() && !MD_LIST_ITEM.test(lines[i]) && !startsBlock(lines[i].trimStart())) {
+        content.push(lines[i].trim());
+        i++;
+      }
+      addBlock({ kind: 'item', lines: lines.slice(start, i), prefix, continuation: ' '.repeat(prefix.length) }, 'li',
+        markdownInlineToHtml(content.join('\n')));
+      afterList = true;
+      continue;
+    }
+
+    // Tables: a header row followed by a separator row; each row's cells are segments
+    if (line.includes('|') && i + 1 < lines.length && MD_TABLE_SEPARATOR.test(lines[i + 1]) && lines[i + 1].includes('-')) {
+      flushRaw();
+      html += '<table data-md-table><tbody>';
+      let row = i;
+      while (row < lines.length && lines[row].trim() && lines[row].includes('|')) {
+        if (row === i + 1) {
+          html += `<tr data-md-separator="${escapeHtml(lines[row])}"></tr>`;
+        } else {
+          const cellTag = row === i ? 'th' : 'td';
+          const cells = splitTableRow(lines[row]).map(cell => `<${cellTag}>${markdownInlineToHtml(cell)}</${cellTag}>`).join('');
+          blocks.push({ kind: 'row', lines: [lines[row]], piped: lines[row].trim().startsWith('|'), originalHtml: null });
+          html += `<tr data-md-block="${blocks.length - 1}">${cells}</tr>`;
+        }
+        row++;
+      }
+      html += '</tbody></table>';
+      i = row;
+      afterList = false;
+      continue;
+    }
+
+    // Paragraph, or a setext heading when underlined
+    const start = i;
+    const content = [line.trim()];
+    i++;
+    while (i < lines.length && lines[i].trim() && !startsBlock(lines[i]) && !MD_SETEXT_UNDERLINE.test(lines[i])) {
+      content.push(lines[i].trim());
+      i++;
+    }
+    const indent = /^[ \t]*/.exec(line)[0];
+    afterList = afterList && indent.length > 0;
+    if (i < lines.length && MD_SETEXT_UNDERLINE.test(lines[i])) {
+      // The underline belongs to the block, so a bilingual copy gets one too
+      addBlock({ kind: 'setext', lines: lines.slice(start, i + 1), prefix: indent, continuation: indent, underline: lines[i] },
+        lines[i].trim()[0] === '=' ? 'h1' : 'h2', markdownInlineToHtml(content.join('\n')));
+      i++;
+    } else {
+      addBlock({ kind: 'paragraph', lines: lines.slice(start, i), prefix: indent, continuation: indent }, 'p',
+        markdownInlineToHtml(content.join('\n')));
+    }
+  }
+  flushRaw();
+
+  return { format: 'markdown', html: `<body>${html}</body>`, blocks, chunks, finalNewline };
+}
+
+// Convert plain text to HTML: each paragraph (separated by blank lines) is a <p>,
+// with its line breaks kept as <br>
+function textToHtml(text) {
+  const { lines, finalNewline } = splitLines(text);
+  const blocks = [];
+  const chunks = [];
+  let html = '';
+  let i = 0;
+
+  while (i < lines.length) {
+    const start = i;
+    if (!lines[i].trim()) {
+      while (i < lines.length && !lines[i].trim()) {
+        i++;
+      }
+      html += `<template data-md-raw="${chunks.length}"></template>`;
+      chunks.push(lines.slice(start, i));
+      continue;
+    }
+
+    while (i < lines.length && lines[i].trim()) {
+      i++;
+    }
+    const paragraph = lines.slice(start, i);
+    const indent = /^[ \t]*/.exec(paragraph[0])[0];
+    blocks.push({ kind: 'text', lines: paragraph, prefix: indent, continuation: indent, originalHtml: null });
+    html += `<p data-md-block="${blocks.length - 1}">${paragraph.map(line => escapeHtml(line.trim())).join('<br>')}</p>`;
+  }
+
+  return { format: 'text', html: `<body>${html}</body>`, blocks, chunks, finalNewline };
+}
+
+// Write a converted block back. Unchanged blocks keep their original lines. `repeated` is
+// set for the second block of a bilingual pair; a list item continues as a paragraph then.
+function renderSourceBlock(element, block, format, repeated = false) {
+  const prefix = repeated && block.kind === 'item' ? block.continuation : block.prefix;
+  if (element.innerHTML === block.originalHtml && !element.hasAttribute('data-md-copy')) {
+    return prefix === block.prefix ? block.lines : [prefix + block.lines[0].slice(block.prefix.length), ...block.lines.slice(1)];
+  }
+
+  if (format === 'text') {
+    return htmlToPlainText(element).trim().split('\n').map((line, index) =>
+      (index === 0 ? prefix : block.continuation) + line.trim());
+  }
+
+  const destinations = { a: [...block.destinations.a], img: [...block.destinations.img] };
+  if (block.kind === 'row') {
+    const cells = Array.from(element.children).map(cell =>
+      htmlToMarkdownInline(cell, destinations).replace(/\\\n/g, ' ').replace(/\|/g, '\\|').trim());
+    const row = cells.join(' | ');
+    return [block.piped ? `| ${row} |` : row];
+  }
+
+  const text = htmlToMarkdownInline(element, destinations).trim();
+  if (block.kind === 'heading') {
+    return [block.prefix + text.replace(/\\?\n/g, ' ') + block.suffix];
+  }
+  const lines = text.split('\n').map((line, index) => (index === 0 ? prefix : block.continuation) + line.trim());
+  return block.kind === 'setext' ? [...lines, block.underline] : lines;
+}
+
+// Write front matter back, replacing only the values of translated keys
+function renderFrontMatter(header, chunk, blocks) {
+  const lines = chunk.lines.slice();
+  for (const field of chunk.fields) {
+    const elements = header.querySelectorAll(`[data-md-block="${field.block}"]`);
+    // Bilingual layouts leave more than one value; keep them on one line
+    const value = Array.from(elements).map(element => htmlToPlainText(element).trim()).join(BILINGUAL_SEPARATOR).replace(/\n/g, BILINGUAL_SEPARATOR);
+    if (elements.length !== 1 || elements[0].innerHTML !== blocks[field.block].originalHtml) {
+      lines[field.line + 1] = `${field.key}: ${JSON.stringify(value)}`;
+    }
+  }
+  return lines;
+}
+
+// Write a converted document back to Markdown or plain text
+function renderSource(doc, source) {
+  const out = [];
+  let previousBlock = null;
+
+  const renderBlock = (element) => {
+    const index = element.getAttribute('data-md-block');
+    const block = source.blocks[index];
+    const repeated = index === previousBlock;
+    // A bilingual copy of a paragraph needs a blank line, or it would join the original
+    if (repeated && ['paragraph', 'setext', 'quote', 'item', 'text'].includes(block.kind)) {
+      out.push('');
+    }
+    out.push(...renderSourceBlock(element, block, source.format, repeated));
+    previousBlock = index;
+  };
+
+  for (const child of doc.body.children) {
+    if (child.hasAttribute('data-md-raw')) {
+      out.push(...source.chunks[child.getAttribute('data-md-raw')]);
+      previousBlock = null;
+    } else if (child.hasAttribute('data-md-front-matter')) {
+      out.push(...renderFrontMatter(child, source.chunks.find(chunk => chunk.kind === 'frontMatter'), source.blocks));
+    } else if (child.hasAttribute('data-md-table')) {
+      for (const row of child.querySelectorAll('tr')) {
+        if (row.hasAttribute('data-md-separator')) {
+          out.push(row.getAttribute('data-md-separator'));
+        } else if (row.hasAttribute('data-md-block')) {
+          renderBlock(row);
+        }
+      }
+      previousBlock = null;
+    } else if (child.hasAttribute('data-md-block')) {
+      renderBlock(child);
+    } else {
+      // Anything a layout added outside the converted blocks
+      out.push(source.format === 'text' ? htmlToPlainText(child).trim() : htmlToMarkdownInline(child).trim());
+      previousBlock = null;
+    }
+  }
+
+  return out.join('\n') + (source.finalNewline ? '\n' : '');
+}
+
+// Parse the request document. Markdown and plain text are converted to HTML first;
+// `source` then holds what's needed to write the result back in that format.
+// `glossary` holds the request's glossary terms, matched against the document.
+function loadDocument(html, options) {
+  let source = null;
+  if (options.sourceFormat === 'markdown') {
+    source = markdownToHtml(html, options);
+  } else if (options.sourceFormat === 'text') {
+    source = textToHtml(html);
+  } else if (options.sourceFormat === 'xhtml') {
+    // The HTML parser would keep the XML declaration as a bogus comment
+    html = html.replace(XML_DECLARATION_PATTERN, '');
+  }
+
+  const dom = new JSDOM(source ? source.html : html, { url: 'http://localhost' });
+  if (source) {
+    // Baseline for telling edited blocks from untouched ones, and the link destinations
+    // translations can't change
+    for (const element of dom.window.document.querySelectorAll('[data-md-block]')) {
+      const block = source.blocks[element.getAttribute('data-md-block')];
+      block.originalHtml = element.innerHTML;
+      block.destinations = markdownDestinations(element);
+    }
+  }
+
+  // Glossary terms for the document's language pair. Do-not-translate terms are protected in
+  // each segment's copy (protectGlossaryTerms), never in the document.
+  const doc = dom.window.document;
+  const glossary = resolveGlossary(options, options.sourceLang || doc.documentElement.getAttribute('lang'));
+
+  return { dom, source, glossary };
+}
+
+// Serialize the processed document: HTML per the output mode, XHTML, or back to Markdown/plain text
+function serializeDocument(dom, source, html, options) {
+  if (source) {
+    return { transhtml: renderSource(dom.window.document, source), output: source.format };
+  }
+  if (options.sourceFormat === 'xhtml') {
+    return { transhtml: serializeXhtml(dom), output: 'xhtml' };
+  }
+  const output = resolveOutputMode(html, options.output);
+  return { transhtml: serializeOutput(dom, output), output };
+}
+
+// Total uncompressed size of an EPUB archive's files
+const MAX_EPUB_UNCOMPRESSED_SIZE = 200 * 1024 * 1024; // 200MB
+
+const XHTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+const XML_DECLARATION = '<?xml version="1.0" encoding="utf-8"?>';
+const XML_DECLARATION_PATTERN = /^\uFEFF?\s*<\?xml[^>]*\?>\s*/;
+const DUBLIN_CORE_NAMESPACE = 'http://purl.org/dc/elements/1.1/';
+
+// Zip record signatures
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const ZIP_CENTRAL_HEADER = 0x02014b50;
+const ZIP_END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+// Path prefixes of EPUB metadata segments (manifest item IDs can't contain ":")
+const EPUB_METADATA_PREFIX = 'opf:title.';
+const EPUB_NCX_PREFIX = 'ncx:text.';
+
+// Read the files of a zip archive (stored or deflated; no zip64).
+// Throws when the archive is malformed or expands beyond the size limit.
+function readZip(buffer) {
+  let end = -1;
+  for (let offset = buffer.length - 22; offset >= Math.max(0, buffer.length - 22 - 0xffff); offset--) {
+    if (buffer.readUInt32LE(offset) === ZIP_END_OF_CENTRAL_DIRECTORY) {
+      end = offset;
+      break;
+    }
+  }
+  if (end === -1) {
+    throw new Error('Zip end of central directory not found');
+  }
+
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  let remaining = MAX_EPUB_UNCOMPRESSED_SIZE;
+  const files = [];
+
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== ZIP_CENTRAL_HEADER) {
+      throw new Error('Invalid zip central directory');
+    }
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (buffer.readUInt32LE(localOffset) !== ZIP_LOCAL_HEADER) {
+      throw new Error('Invalid zip local header');
+    }
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const raw = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    if (size > remaining) {
+      throw new Error('Zip contents too large');
+    }
+    remaining -= size;
+
+    let data;
+    if (method === 0) {
+      data = Buffer.from(raw);
+    } else if (method === 8) {
+      data = inflateRawSync(raw, { maxOutputLength: Math.max(size, 1) });
+    } else {
+      throw new Error(`Unsupported zip compression method ${method}`);
+    }
+    files.push({ name, data });
+  }
+
+  return files;
+}
+
+// Write a zip archive. Files marked `store` (the EPUB mimetype) aren't compressed.
+function writeZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  // DOS date and time of now
+  const now = new Date();
+  const time = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+  const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+  for (const file of files) {
+    const name = Buffer.from(file.name, 'utf8');
+    const method = file.store ? 0 : 8;
+    const data = file.store ? file.data : deflateRawSync(file.data);
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(ZIP_LOCAL_HEADER, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(0x0800, 6); // UTF-8 names
+    header.writeUInt16LE(method, 8);
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    header.writeUInt32LE(crc32(file.data), 14);
+    header.writeUInt32LE(data.length, 18);
+    header.writeUInt32LE(file.data.length, 22);
+    header.writeUInt16LE(name.length, 26);
+    header.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(ZIP_CENTRAL_HEADER, 0);
+    central.writeUInt16LE(20, 4);
+    header.copy(central, 6, 4, 30);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(header, name, data);
+    centrals.push(central, name);
+    offset += header.length + name.length + data.length;
+  }
+
+  const centralSize = centrals.reduce((sum, part) => sum + part.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(ZIP_END_OF_CENTRAL_DIRECTORY, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, ...centrals, end]);
+}
+
+// Parse an XML file of the archive
+function parseXml(text) {
+  return new JSDOM(text, { contentType: 'application/xml' });
+}
+
+// Serialize a parsed XML file, keeping an XML declaration
+function serializeXml(dom) {
+  return `${XML_DECLARATION}\n${new dom.window.XMLSerializer().serializeToString(dom.window.document)}`;
+}
+
+// Serialize an HTML-parsed XHTML document back to well-formed XHTML
+function serializeXhtml(dom) {
+  const doc = dom.window.document;
+  // The XML serializer declares the XHTML namespace itself
+  for (const element of doc.querySelectorAll('[xmlns]')) {
+    if (element.namespaceURI === XHTML_NAMESPACE) {
+      element.removeAttribute('xmlns');
+    }
+  }
+  // Keep xml:lang in step with a lang changed by targetLang
+  const root = doc.documentElement;
+  if (root.hasAttribute('xml:lang') && root.hasAttribute('lang')) {
+    root.setAttribute('xml:lang', root.getAttribute('lang'));
+  }
+  return `${XML_DECLARATION}\n${new dom.window.XMLSerializer().serializeToString(doc)}`;
+}
+
+// Elements of an XML document by local name, in any namespace
+function xmlElements(doc, localName) {
+  return Array.from(doc.getElementsByTagNameNS('*', localName));
+}
+
+// Open an EPUB: its files, the OPF package, and the XHTML documents to translate in
+// reading order (spine, then the navigation document if it isn't in the spine).
+// Returns null when the archive has no package document; throws on malformed zip or XML.
+function openEpub(buffer) {
+  const files = readZip(buffer);
+  const byName = new Map(files.map(file => [file.name, file]));
+
+  const container = byName.get('META-INF/container.xml');
+  if (!container) {
+    return null;
+  }
+  const rootfile = xmlElements(parseXml(container.data.toString('utf8')).window.document, 'rootfile')[0];
+  const opfPath = rootfile && rootfile.getAttribute('full-path');
+  if (!opfPath || !byName.has(opfPath)) {
+    return null;
+  }
+
+  const opfDom = parseXml(byName.get(opfPath).data.toString('utf8'));
+  const opf = opfDom.window.document;
+  const baseDir = posix.dirname(opfPath);
+  const resolveHref = href => posix.join(baseDir, decodeURIComponent(href.split('#')[0]));
+
+  const manifest = new Map(xmlElements(opf, 'item').map(item => [item.getAttribute('id'), {
+    id: item.getAttribute('id'),
+    name: resolveHref(item.getAttribute('href') || ''),
+    mediaType: item.getAttribute('media-type'),
+    properties: (item.getAttribute('properties') || '').split(/\s+/)
+  }]));
+
+  const documents = [];
+  for (const itemref of xmlElements(opf, 'itemref')) {
+    const item = manifest.get(itemref.getAttribute('idref'));
+    if (item && item.mediaType === 'application/xhtml+xml' && byName.has(item.name) && !documents.includes(item)) {
+      documents.push(item);
+    }
+  }
+  for (const item of manifest.values()) {
+    if (item.properties.includes('nav') && byName.has(item.name) && !documents.includes(item)) {
+      documents.push(item);
+    }
+  }
+
+  // EPUB 2 table of contents
+  const spine = xmlElements(opf, 'spine')[0];
+  const ncxItem = (spine && manifest.get(spine.getAttribute('toc'))) ||
+    Array.from(manifest.values()).find(item => item.mediaType === 'application/x-dtbncx+xml');
+  const ncx = ncxItem && byName.has(ncxItem.name) ? ncxItem : null;
+
+  return { files, byName, opfPath, opfDom, documents, ncx };
+}
+
+// Text elements of the NCX that are shown to readers (book title and navigation labels)
+function ncxTextElements(doc) {
+  return xmlElements(doc, 'text').filter(element => ['docTitle', 'navLabel'].includes(element.parentElement?.localName));
+}
+
+// Extract segments from every document of an EPUB. Document segments are prefixed with
+// the manifest item ID ("chapter1/html.0.body.0.p.0"); <dc:title> and NCX labels get
+// "opf:title.N" and "ncx:text.N" paths.
+function extractEpubSegments(epub, options) {
+  const results = [];
+
+  xmlElements(epub.opfDom.window.document, 'title').forEach((title, index) => {
+    const text = title.textContent.trim();
+    if (title.namespaceURI === DUBLIN_CORE_NAMESPACE && text) {
+      results.push({ path: `${EPUB_METADATA_PREFIX}${index}`, text });
+    }
+  });
+
+  if (epub.ncx) {
+    const ncx = parseXml(epub.byName.get(epub.ncx.name).data.toString('utf8'));
+    ncxTextElements(ncx.window.document).forEach((element, index) => {
+      const text = element.textContent.trim().replace(/\s+/g, ' ');
+      if (text) {
+        results.push({ path: `${EPUB_NCX_PREFIX}${index}`, text });
+      }
+    });
+    ncx.window.close();
+  }
+
+  // Deduplicate across the whole book, not per document
+  for (const item of epub.documents) {
+    const xhtml = epub.byName.get(item.name).data.toString('utf8');
+    const segments = extractTextNodes(xhtml, { ...options, sourceFormat: 'xhtml', dedupe: false });
+    for (const segment of segments) {
+      results.push({ ...segment, path: `${item.id}/${segment.path}` });
+    }
+  }
+
+  return options.dedupe ? dedupeSegments(results) : results;
+}
+
+// Prefix the paths recorded in a document's stats with its manifest item ID
+function prefixStatsPaths(entries, prefix) {
+  return entries.map(entry => {
+    if (typeof entry === 'string') {
+      return `${prefix}/${entry}`;
+    }
+    const prefixed = { ...entry, path: `${prefix}/${entry.path}` };
+    if (entry.resolvedPath) {
+      prefixed.resolvedPath = `${prefix}/${entry.resolvedPath}`;
+    }
+    return prefixed;
+  });
+}
+
+// Add a document's stats to the book's: counts are summed, path lists prefixed and joined
+function addEpubStats(total, stats, prefix) {
+  for (const [key, value] of Object.entries(stats)) {
+    if (key === 'total') {
+      continue;
+    }
+    if (Array.isArray(value)) {
+      total[key] = (total[key] || []).concat(prefixStatsPaths(value, prefix));
+    } else if (typeof value === 'number') {
+      total[key] = (total[key] || 0) + value;
+    }
+  }
+}
+
+// Translate an EPUB: documents go through mergeTranslations or replaceTranslations,
+// metadata titles and NCX labels are set (or combined, in merge mode) as plain text.
+// Returns { epub, stats, memory } with the new archive.
+function translateEpub(epub, translations, options, mode) {
+  const apply = mode === 'merge' ? mergeTranslations : replaceTranslations;
+  const appliedKey = mode === 'merge' ? 'merged' : 'replaced';
+  const layout = { ...DEFAULT_LAYOUT, ...options.layout };
+  const stats = { total: translations.length, [appliedKey]: 0, skipped: 0, skippedPaths: [], failed: 0, failedPaths: [] };
+  const changed = new Map();
+  const applied = [];
+
+  // Strict mode throws an InvalidPathError on the first bad path; otherwise collect it and go on
+  const fail = (path) => {
+    log('WARN', 'Translation path failed', { path, reason: PATH_FAILURES.NOT_FOUND });
+    if (options.strict !== false) {
+      throw new InvalidPathError(path, PATH_FAILURES.NOT_FOUND);
+    }
+    stats.failed++;
+    stats.failedPaths.push({ path, reason: PATH_FAILURES.NOT_FOUND });
+  };
+
+  // Group translations by target file
+  const byDocument = new Map(epub.documents.map(item => [item.id, []]));
+  const metadata = [];
+  const ncx = [];
+  for (const trans of expandDuplicates(translations)) {
+    if (trans.path.startsWith(EPUB_METADATA_PREFIX)) {
+      metadata.push(trans);
+    } else if (trans.path.startsWith(EPUB_NCX_PREFIX)) {
+      ncx.push(trans);
+    } else {
+      const slash = trans.path.indexOf('/');
+      const group = slash === -1 ? null : byDocument.get(trans.path.substring(0, slash));
+      if (!group) {
+        fail(trans.path);
+        continue;
+      }
+      group.push({ ...trans, path: trans.path.substring(slash + 1) });
+    }
+  }
+
+  // Plain-text targets (metadata, NCX): a translation per element index
+  const applyText = (elements, list, prefix) => {
+    for (const trans of list) {
+      const element = elements[parseInt(trans.path.substring(prefix.length), 10)];
+      if (!element) {
+        fail(trans.path);
+        continue;
+      }
+      if (!trans.text.trim()) {
+        stats.skipped++;
+        stats.skippedPaths.push(trans.path);
+        continue;
+      }
+      const original = element.textContent.trim().replace(/\s+/g, ' ');
+      element.textContent = mode === 'merge' ? combineBilingualText(original, trans.text, layout) : trans.text;
+      stats[appliedKey]++;
+      applied.push({ source: original, text: trans.text });
+    }
+  };
+
+  const opf = epub.opfDom.window.document;
+  const titles = xmlElements(opf, 'title').map(title => (title.namespaceURI === DUBLIN_CORE_NAMESPACE ? title : null));
+  applyText(titles, metadata, EPUB_METADATA_PREFIX);
+  // A pure translation is in the target language
+  if (mode === 'replace' && options.targetLang) {
+    for (const language of xmlElements(opf, 'language')) {
+      if (language.namespaceURI === DUBLIN_CORE_NAMESPACE) {
+        language.textContent = options.targetLang;
+      }
+    }
+  }
+  changed.set(epub.opfPath, Buffer.from(serializeXml(epub.opfDom), 'utf8'));
+
+  if (epub.ncx && ncx.length) {
+    const ncxDom = parseXml(epub.byName.get(epub.ncx.name).data.toString('utf8'));
+    applyText(ncxTextElements(ncxDom.window.document), ncx, EPUB_NCX_PREFIX);
+    changed.set(epub.ncx.name, Buffer.from(serializeXml(ncxDom), 'utf8'));
+    ncxDom.window.close();
+  }
+
+  for (const item of epub.documents) {
+    const group = byDocument.get(item.id);
+    if (!group.length) {
+      continue;
+    }
+    const xhtml = epub.byName.get(item.name).data.toString('utf8');
+    let result;
+    try {
+      result = apply(xhtml, group, { ...options, sourceFormat: 'xhtml' });
+    } catch (error) {
+      // Errors name the paths the client sent, with the chapter prefix
+      if (error instanceof InvalidPathError) {
+        throw new InvalidPathError(`${item.id}/${error.path}`, error.reason);
+      }
+      if (error instanceof QaFailedError) {
+        throw new QaFailedError(prefixStatsPaths(error.issues, item.id));
+      }
+      throw error;
+    }
+    addEpubStats(stats, result.stats, item.id);
+    applied.push(...result.memory.applied);
+    changed.set(item.name, Buffer.from(result.transhtml, 'utf8'));
+  }
+
+  // The mimetype file must come first and be stored uncompressed
+  const files = epub.files.map(file => ({
+    name: file.name,
+    data: changed.get(file.name) || file.data,
+    store: file.name === 'mimetype'
+  }));
+  files.sort((a, b) => (b.name === 'mimetype') - (a.name === 'mimetype'));
+
+  const sourceLang = options.sourceLang || xmlElements(opf, 'language')[0]?.textContent.trim();
+  return { epub: writeZip(files), stats, memory: { sourceLang, applied } };
+}
+
+// Open an EPUB and extract it, or translate `options.translations` into it in merge or replace
+// mode. Returns { documents, texts } or { documents, epub, stats, memory }. The archive may be
+// any Uint8Array (worker threads receive Buffers as such).
+export function processEpub(buffer, options = {}, mode = 'extract') {
+  let epub;
+  try {
+    epub = openEpub(Buffer.from(buffer.buffer, buffer.byteOffset, buffer.length));
+  } catch (error) {
+    throw new InvalidInputError(`Unreadable EPUB file: ${error.message}`);
+  }
+  if (!epub) {
+    throw new InvalidInputError('Invalid EPUB file');
+  }
+
+  const documents = epub.documents.length;
+  if (mode === 'extract') {
+    return { documents, texts: extractEpubSegments(epub, options) };
+  }
+  return { documents, ...translateEpub(epub, options.translations, options, mode) };
+}
+
+// Wrappers of do-not-translate terms, made by protectGlossaryTerms. Restoring one puts back
+// the term alone.
+const GLOSSARY_WRAPPERS = new WeakSet();
+
+// Glossary violation reasons
+const GLOSSARY_VIOLATIONS = {
+  TERM_MISSING: 'term_missing', // The glossary translation of a source term isn't used
+  PROTECTED_TERM_MISSING: 'protected_term_missing' // A do-not-translate term was dropped or changed
+};
+
+// Scripts written without spaces, where terms may start or end mid-word
+const UNSPACED_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+const WORD_CHARACTER = /[\p{L}\p{N}_]/u;
+
+// Validate a glossary entry: a term with its translation, or a do-not-translate term
+export function isValidGlossaryEntry(entry) {
+  return typeof entry === 'object' && entry !== null &&
+    typeof entry.source === 'string' && entry.source.trim() !== '' &&
+    (!('doNotTranslate' in entry) || typeof entry.doNotTranslate === 'boolean') &&
+    (!('caseSensitive' in entry) || typeof entry.caseSensitive === 'boolean') &&
+    (entry.doNotTranslate === true || (typeof entry.target === 'string' && entry.target.trim() !== '')) &&
+    isOptionalLanguage(entry.sourceLang) && isOptionalLanguage(entry.targetLang);
+}
+
+// Validate the optional inline `glossary` of a request
+export function isValidGlossary(glossary) {
+  return Array.isArray(glossary) && glossary.every(isValidGlossaryEntry);
+}
+
+// Check if a stored glossary language applies to a request language
+// ("und" applies to any language, "en" to "en-US")
+export function glossaryLanguageMatches(entryLang, lang) {
+  const normalized = normalizeTmLang(lang);
+  return entryLang === UNDETERMINED_LANG || entryLang === normalized || normalized.startsWith(`${entryLang}-`);
+}
+
+// Regular expression matching a term as whole words (term edges in unspaced scripts match anywhere)
+function glossaryTermPattern(text, caseSensitive) {
+  const chars = Array.from(text);
+  const wordEdge = char => WORD_CHARACTER.test(char) && !UNSPACED_SCRIPT.test(char);
+  const escaped = text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+  const before = wordEdge(chars[0]) ? '(?<![\\p{L}\\p{N}_])' : '';
+  const after = wordEdge(chars[chars.length - 1]) ? '(?![\\p{L}\\p{N}_])' : '';
+  return new RegExp(`${before}${escaped}${after}`, caseSensitive ? 'gu' : 'giu');
+}
+
+// Glossary terms for a document. Entries with languages (such as a stored glossary) apply to
+// matching language pairs, exact languages over "und"; entries without apply to every pair and
+// win for the same term. Longest terms come first, so they're matched before shorter terms
+// they contain.
+function resolveGlossary(options, sourceLang) {
+  const specificity = langs => (langs.sourceLang !== UNDETERMINED_LANG) + (langs.targetLang !== UNDETERMINED_LANG);
+  const scoped = new Map();
+  const terms = new Map();
+
+  for (const entry of options.glossary || []) {
+    const source = normalizeTmText(entry.source);
+    const key = source.toLowerCase();
+    const term = {
+      source,
+      target: entry.doNotTranslate ? null : entry.target,
+      doNotTranslate: entry.doNotTranslate === true,
+      caseSensitive: entry.caseSensitive === true
+    };
+    if (!('sourceLang' in entry) && !('targetLang' in entry)) {
+      terms.set(key, term);
+      continue;
+    }
+
+    const langs = { sourceLang: normalizeTmLang(entry.sourceLang), targetLang: normalizeTmLang(entry.targetLang) };
+    if (!glossaryLanguageMatches(langs.sourceLang, sourceLang) || !glossaryLanguageMatches(langs.targetLang, options.targetLang)) {
+      continue;
+    }
+    if (!scoped.has(key) || specificity(langs) > specificity(scoped.get(key).langs)) {
+      scoped.set(key, { term, langs });
+    }
+  }
+  for (const [key, { term }] of scoped) {
+    if (!terms.has(key)) {
+      terms.set(key, term);
+    }
+  }
+
+  return Array.from(terms.values(), entry => ({
+    source: entry.source,
+    target: entry.target,
+    doNotTranslate: entry.doNotTranslate,
+    pattern: glossaryTermPattern(entry.source, entry.caseSensitive),
+    // What the translation must contain: the glossary translation, or the term itself
+    expected: glossaryTermPattern(entry.doNotTranslate ? entry.source : entry.target, entry.caseSensitive)
+  })).sort((a, b) => b.source.length - a.source.length);
+}
+
+// Wrap do-not-translate terms in a segment's content in protected <span translate="no">
+// elements, so they're sent as placeholders (or protected markup) and restored from the
+// original. `content` is a detached copy: the document itself, and so its paths and stable IDs,
+// don't depend on the glossary. Returns the number of terms wrapped.
+function protectGlossaryTerms(content, terms, filters) {
+  const doc = content.ownerDocument;
+  const excluded = [filters.protect, ...TEXT_ONLY_ELEMENTS].join(', ');
+  let count = 0;
+
+  for (const term of terms) {
+    const walker = doc.createTreeWalker(content, doc.defaultView.NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    while (walker.nextNode()) {
+      if (!walker.currentNode.parentElement.closest(excluded)) {
+        textNodes.push(walker.currentNode);
+      }
+    }
+
+    for (const textNode of textNodes) {
+      // From the last match back, so earlier offsets stay valid
+      for (const match of Array.from(textNode.data.matchAll(term.pattern)).reverse()) {
+        const termNode = textNode.splitText(match.index);
+        termNode.splitText(match[0].length);
+        const wrapper = doc.createElement('span');
+        wrapper.setAttribute('translate', 'no');
+        termNode.replaceWith(wrapper);
+        wrapper.append(termNode);
+        GLOSSARY_WRAPPERS.add(wrapper);
+        count++;
+      }
+    }
+  }
+
+  return count;
+}
+
+// Plain text of an extracted segment (tags stripped, placeholders expanded from the tag map)
+function segmentPlainText(segment, style) {
+  let html = segment.text;
+  if (segment.tags && style) {
+    html = html.replace(style.pattern, (match, closing, id) => (closing ? '' : segment.tags[id] || ''));
+  }
+  return unescapeHtml(html.replace(/<[^>]*>/g, ''));
+}
+
+// Glossary entries whose term occurs in a text, as returned by /extract
+function matchGlossaryTerms(terms, text) {
+  return terms
+    .filter(term => text.search(term.pattern) !== -1)
+    .map(term => (term.doNotTranslate ? { source: term.source, doNotTranslate: true } : { source: term.source, target: term.target }));
+}
+
+// Check a translation against the glossary terms of its source text, recording violations in stats
+function checkGlossaryTerms(terms, path, sourceText, translatedText, stats) {
+  for (const term of terms) {
+    if (sourceText.search(term.pattern) === -1 || translatedText.search(term.expected) !== -1) {
+      continue;
+    }
+    const violation = term.doNotTranslate
+      ? { path, source: term.source, reason: GLOSSARY_VIOLATIONS.PROTECTED_TERM_MISSING }
+      : { path, source: term.source, target: term.target, reason: GLOSSARY_VIOLATIONS.TERM_MISSING };
+    stats.glossaryViolations++;
+    stats.glossaryViolationPaths.push(violation);
+    log('WARN', 'Glossary violation', violation);
+  }
+}
+
+// Translation QA checks and the severity of their issues
+const QA_CHECKS = {
+  untranslated: 'warning', // The translation is a copy of the source
+  numbers: 'error', // Numbers of the source are missing or changed
+  urls: 'error', // URLs or email addresses of the source are missing or changed
+  tags: 'error', // Inline tags (or placeholders) are unbalanced or differ from the source's
+  length: 'warning', // The translation is far longer or shorter than the source
+  script: 'warning' // Most letters aren't in the script of the target language
+};
+
+// Severities in increasing order (for `qa.threshold`), and what happens to failing translations
+const QA_SEVERITIES = ['warning', 'error'];
+const QA_ACTIONS = new Set(['skip', 'reject']);
+
+// Length check: default limit of the length ratio (either way), and shortest source checked.
+// CJK characters count twice, so ratios between CJK and other scripts stay near 1.
+const DEFAULT_QA_LENGTH_RATIO = 3;
+const QA_MIN_LENGTH = 20;
+const WIDE_CHARACTER = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/gu;
+
+// Script check: share of letters that must be in the target script, and fewest letters checked
+const QA_SCRIPT_SHARE = 0.5;
+const QA_MIN_LETTERS = 5;
+
+// Unicode scripts of the likely script (ISO 15924) of a target language
+const QA_SCRIPTS = {
+  Latn: ['Latin'],
+  Cyrl: ['Cyrillic'],
+  Grek: ['Greek'],
+  Armn: ['Armenian'],
+  Geor: ['Georgian'],
+  Arab: ['Arabic'],
+  Hebr: ['Hebrew'],
+  Ethi: ['Ethiopic'],
+  Deva: ['Devanagari'],
+  Beng: ['Bengali'],
+  Guru: ['Gurmukhi'],
+  Gujr: ['Gujarati'],
+  Taml: ['Tamil'],
+  Telu: ['Telugu'],
+  Knda: ['Kannada'],
+  Mlym: ['Malayalam'],
+  Sinh: ['Sinhala'],
+  Thai: ['Thai'],
+  Laoo: ['Lao'],
+  Khmr: ['Khmer'],
+  Mymr: ['Myanmar'],
+  Hans: ['Han'],
+  Hant: ['Han'],
+  Jpan: ['Han', 'Hiragana', 'Katakana'],
+  Kore: ['Hangul', 'Han']
+};
+
+// Numbers (digit runs of any script: separators differ between languages), URLs and email
+// addresses, and HTML tags (with the same groups as the placeholder patterns)
+const QA_NUMBER = /\p{Nd}+/gu;
+const QA_URL = /\b(?:https?:\/\/|www\.)[^\s<>"']*[^\s<>"'.,;:!?)]|[\w.+-]+@[\w-]+(?:\.[\w-]+)+/gi;
+const QA_TAG = /<(\/?)([a-z][\w-]*)(?:\s[^>]*?)?(\/?)>/gi;
+const LETTER = /\p{L}/gu;
+const DECIMAL_DIGIT = /^\p{Nd}$/u;
+
+// A digit run with every digit as its ASCII digit ("٤٢" becomes "42"). Unicode encodes decimal
+// digits in runs from 0 to 9, so a digit's value is the count of digits right before it, modulo 10.
+function qaNumberValue(number) {
+  return Array.from(number, (digit) => {
+    const code = digit.codePointAt(0);
+    let before = 0;
+    while (DECIMAL_DIGIT.test(String.fromCodePoint(code - before - 1))) {
+      before++;
+    }
+    return before % 10;
+  }).join('');
+}
+
+// Validate the optional `qa` settings of /merge and /replace
+function isValidQaOptions(qa) {
+  if (typeof qa === 'boolean') {
+    return true;
+  }
+  if (typeof qa !== 'object' || qa === null || Array.isArray(qa)) {
+    return false;
+  }
+  if ('checks' in qa && !(Array.isArray(qa.checks) && qa.checks.every(check => Object.hasOwn(QA_CHECKS, check)))) {
+    return false;
+  }
+  if ('threshold' in qa && !QA_SEVERITIES.includes(qa.threshold)) {
+    return false;
+  }
+  // An action only applies to translations failing the threshold, so it needs one
+  if ('action' in qa && !(QA_ACTIONS.has(qa.action) && 'threshold' in qa)) {
+    return false;
+  }
+  return !('maxLengthRatio' in qa) || (typeof qa.maxLengthRatio === 'number' && qa.maxLengthRatio > 1);
+}
+
+// Likely script of a language (e.g., "Cyrl" for "ru"), or null if unknown
+function languageScript(lang) {
+  try {
+    return new Intl.Locale(lang).maximize().script || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// QA settings of a request, resolved once per document
+function resolveQa(options) {
+  const qa = typeof options.qa === 'object' ? options.qa : {};
+  const scriptCode = options.targetLang ? languageScript(options.targetLang) : null;
+  const scripts = Object.hasOwn(QA_SCRIPTS, scriptCode) ? QA_SCRIPTS[scriptCode] : null;
+  return {
+    checks: new Set(qa.checks || Object.keys(QA_CHECKS)),
+    threshold: qa.threshold ? QA_SEVERITIES.indexOf(qa.threshold) : null,
+    reject: qa.action === 'reject',
+    maxLengthRatio: qa.maxLengthRatio || DEFAULT_QA_LENGTH_RATIO,
+    script: scripts ? { code: scriptCode, pattern: new RegExp(`[${scripts.map(name => `\\p{Script=${name}}`).join('')}]`, 'u') } : null,
+    style: options.placeholders ? PLACEHOLDER_STYLES[options.placeholders] : null
+  };
+}
+
+// Plain text of a segment as /extract returns it (tags and placeholders stripped)
+function qaPlainText(text, style) {
+  const html = style ? text.replace(style.pattern, '') : text;
+  return unescapeHtml(html.replace(/<[^>]*>/g, '')).normalize('NFKC');
+}
+
+// Length of a text with CJK characters counted twice
+function qaTextLength(text) {
+  return text.length + (text.match(WIDE_CHARACTER) || []).length;
+}
+
+// Items of a list that another list lacks, counting repeats
+function missingItems(items, others) {
+  const counts = new Map();
+  for (const item of others) {
+    counts.set(item, (counts.get(item) || 0) + 1);
+  }
+  return items.filter((item) => {
+    const count = counts.get(item) || 0;
+    counts.set(item, count - 1);
+    return count <= 0;
+  });
+}
+
+// Inline tags of a text as "b", "/b" and "br/" tokens (placeholders as "1", "/1", "1/"),
+// or null when they're unbalanced
+function tagTokens(text, pattern) {
+  const tokens = [];
+  const open = [];
+  for (const [, closing, name, empty] of text.matchAll(pattern)) {
+    const tag = name.toLowerCase();
+    if (empty || VOID_ELEMENTS.has(tag)) {
+      tokens.push(`${tag}/`);
+    } else if (closing) {
+      if (open.pop() !== tag) {
+        return null;
+      }
+      tokens.push(`/${tag}`);
+    } else {
+      open.push(tag);
+      tokens.push(tag);
+    }
+  }
+  return open.length === 0 ? tokens : null;
+}
+
+// Compare a translation with its source segment; returns its issues as
+// { path, check, severity, ...details }
+function findQaIssues({ trans, node, attribute, tags, source }, qa) {
+  const textOnly = !attribute && isTextOnlyElement(node);
+  const style = tags ? qa.style : null;
+  const sourceText = attribute ? source.normalize('NFKC') : qaPlainText(source, style);
+  const translatedText = attribute || textOnly ? (trans.plainText ?? trans.text).normalize('NFKC') : qaPlainText(trans.text, style);
+  const issues = [];
+  const report = (check, details = {}) => issues.push({ path: trans.path, check, severity: QA_CHECKS[check], ...details });
+
+  if (qa.checks.has('untranslated') && sourceText.search(LETTER) !== -1 &&
+    translatedText.trim().replace(/\s+/g, ' ') === sourceText.trim().replace(/\s+/g, ' ')) {
+    report('untranslated');
+  }
+
+  for (const [check, pattern, normalize] of [['numbers', QA_NUMBER, qaNumberValue], ['urls', QA_URL, value => value]]) {
+    if (!qa.checks.has(check)) {
+      continue;
+    }
+    const expected = (sourceText.match(pattern) || []).map(normalize);
+    const found = (translatedText.match(pattern) || []).map(normalize);
+    const missing = missingItems(expected, found);
+    const extra = missingItems(found, expected);
+    if (missing.length > 0 || extra.length > 0) {
+      report(check, { missing, extra });
+    }
+  }
+
+  if (qa.checks.has('tags') && !attribute && !textOnly) {
+    const pattern = style ? style.pattern : QA_TAG;
+    const expected = tagTokens(source, pattern);
+    const found = tagTokens(trans.text, pattern);
+    if (expected && !found) {
+      report('tags', { unbalanced: true });
+    } else if (expected) {
+      const missing = missingItems(expected, found);
+      const extra = missingItems(found, expected);
+      if (missing.length > 0 || extra.length > 0) {
+        report('tags', { missing, extra });
+      }
+    }
+  }
+
+  const sourceLength = qaTextLength(sourceText.trim());
+  if (qa.checks.has('length') && sourceLength >= QA_MIN_LENGTH) {
+    const ratio = qaTextLength(translatedText.trim()) / sourceLength;
+    if (ratio > qa.maxLengthRatio || ratio < 1 / qa.maxLengthRatio) {
+      report('length', { ratio: Math.round(ratio * 100) / 100 });
+    }
+  }
+
+  const letters = translatedText.match(LETTER) || [];
+  if (qa.checks.has('script') && qa.script && letters.length >= QA_MIN_LETTERS) {
+    const share = letters.filter(letter => qa.script.pattern.test(letter)).length / letters.length;
+    if (share < QA_SCRIPT_SHARE) {
+      report('script', { script: qa.script.code });
+    }
+  }
+
+  return issues;
+}
+
+// QA pass over the resolved targets, before anything is applied: issues are recorded in stats,
+// and translations with issues at or above qa.threshold are skipped or, with qa.action
+// "reject", fail the whole request. Returns the targets to apply.
+function checkTranslations(targets, options, stats) {
+  if (options.qa === false) {
+    return targets;
+  }
+
+  const qa = resolveQa(options);
+  const failed = [];
+  const passed = targets.filter((target) => {
+    // Empty translations are skipped anyway
+    if (!target.trans.text || target.trans.text.trim().length === 0) {
+      return true;
+    }
+
+    const issues = findQaIssues(target, qa);
+    for (const issue of issues) {
+      stats.qaIssues++;
+      stats.qaIssuePaths.push(issue);
+      log('WARN', 'Translation QA issue', issue);
+    }
+
+    const failing = qa.threshold === null ? [] : issues.filter(issue => QA_SEVERITIES.indexOf(issue.severity) >= qa.threshold);
+    if (failing.length === 0) {
+      return true;
+    }
+    failed.push(...failing);
+    stats.skipped++;
+    stats.skippedPaths.push(target.trans.path);
+    log('WARN', 'Skipping translation that failed QA', { path: target.trans.path });
+    return false;
+  });
+
+  if (qa.reject && failed.length > 0) {
+    throw new QaFailedError(failed);
+  }
+  return passed;
+}
@@ -0,0 +1,29 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Per-request context (request ID, metrics route label, the authenticated API key's name)
+export const requestContext = new AsyncLocalStorage();
+
+// Logging helper
+export function log(level, message, context = {}) {
+  const timestamp = new Date().toISOString();
+  const keyName = requestContext.getStore()?.keyName;
+  const logEntry = {
+    timestamp,
+    level,
+    message,
+    ...(keyName ? { key: keyName } : {}),
+    ...context
+  };
+  const logLine = JSON.stringify(logEntry);
+
+  switch (level) {
+    case 'ERROR':
+      console.error(logLine);
+      break;
+    case 'WARN':
+      console.warn(logLine);
+      break;
+    default:
+      console.log(logLine);
+  }
+}
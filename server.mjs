@@ -1,10 +1,82 @@
 import http from 'http';
-import { JSDOM } from 'jsdom';
+import { AsyncResource } from 'async_hooks';
+import { createHash, randomUUID, timingSafeEqual } from 'crypto';
+import { appendFileSync, existsSync, mkdirSync, readFileSync, readdirSync, renameSync, rmSync, watchFile, writeFileSync } from 'fs';
+import { join } from 'path';
+import { availableParallelism } from 'os';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { Worker } from 'worker_threads';
+import { constants as zlibConstants, createBrotliCompress, createBrotliDecompress, createGunzip, createGzip } from 'zlib';
+import {
+  ExtractMergeError,
+  IMPORT_FORMATS,
+  InvalidInputError,
+  SEGMENT_EXPORTERS,
+  SEGMENT_IMPORTERS,
+  dedupeSegments,
+  diffSegments,
+  glossaryLanguageMatches,
+  hasValidExtractOptions,
+  hasValidMergeOptions,
+  isOptionalLanguage,
+  isStringList,
+  isValidGlossaryEntry,
+  isValidTranslationList,
+  normalizeTmLang,
+  normalizeTmText,
+  segmentTextKey,
+  setLogger,
+  tmKey
+} from './index.mjs';
+import { log, requestContext } from './log.mjs';
+import { DOM_JOBS } from './worker.mjs';
 
 // Configuration from environment variables
 const PORT = process.env.PORT || 3000;
 const API_TOKEN = process.env.API_TOKEN;
-const MAX_HTML_SIZE = 10 * 1024 * 1024; // 10MB
+const API_KEYS_FILE = process.env.API_KEYS_FILE;
+
+// API key defaults: rate limit window, quota period, and how often API_KEYS_FILE is checked for changes
+const DEFAULT_RATE_LIMIT_SECONDS = 60;
+const DEFAULT_QUOTA_PERIOD_SECONDS = 86400;
+const API_KEYS_POLL_INTERVAL_MS = 5000;
+
+// Largest HTML document (and JSON request body, after decompression) in MB
+const MAX_HTML_SIZE = (parseInt(process.env.MAX_HTML_SIZE_MB, 10) || 10) * 1024 * 1024;
+
+// Worker pool for DOM processing: size (0 processes on the main thread), queued jobs before
+// requests get 503, per-job time limit, and heap limit of each worker
+const WORKER_POOL_SIZE = process.env.WORKER_POOL_SIZE ? parseInt(process.env.WORKER_POOL_SIZE, 10) : availableParallelism();
+const WORKER_QUEUE_LIMIT = parseInt(process.env.WORKER_QUEUE_LIMIT, 10) || 100;
+const WORKER_TIMEOUT_MS = parseInt(process.env.WORKER_TIMEOUT_MS, 10) || 30000;
+const WORKER_MAX_MEMORY_MB = parseInt(process.env.WORKER_MAX_MEMORY_MB, 10) || 512;
+
+// Translation provider defaults for POST /translate (overridable per request)
+const TRANSLATE_PROVIDER = process.env.TRANSLATE_PROVIDER;
+const TRANSLATE_API_URL = process.env.TRANSLATE_API_URL;
+const TRANSLATE_API_KEY = process.env.TRANSLATE_API_KEY;
+const TRANSLATE_MODEL = process.env.TRANSLATE_MODEL;
+const TRANSLATE_BATCH_SIZE = parseInt(process.env.TRANSLATE_BATCH_SIZE, 10) || 50;
+const TRANSLATE_CONCURRENCY = parseInt(process.env.TRANSLATE_CONCURRENCY, 10) || 4;
+const TRANSLATE_MAX_RETRIES = /^\d+$/.test((process.env.TRANSLATE_MAX_RETRIES || '').trim()) ? parseInt(process.env.TRANSLATE_MAX_RETRIES, 10) : 3;
+const TRANSLATE_TIMEOUT_MS = parseInt(process.env.TRANSLATE_TIMEOUT_MS, 10) || 30000;
+const TRANSLATE_ALLOWED_HOSTS = (process.env.TRANSLATE_ALLOWED_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+
+// Translation memory file (JSON; without it the TM lives in memory only) and entries kept per API key
+const TM_FILE = process.env.TM_FILE;
+const TM_MAX_ENTRIES = parseInt(process.env.TM_MAX_ENTRIES, 10) || 100000;
+
+// Glossary file (JSON; without it the glossary lives in memory only) and entries kept per API key
+const GLOSSARY_FILE = process.env.GLOSSARY_FILE;
+const GLOSSARY_MAX_ENTRIES = parseInt(process.env.GLOSSARY_MAX_ENTRIES, 10) || 10000;
+
+// Batch jobs: store directory (without it, jobs live in memory only), documents processed at
+// once, how long finished jobs are kept, and webhook hosts allowed besides loopback
+const JOBS_DIR = process.env.JOBS_DIR;
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY, 10) || Math.max(WORKER_POOL_SIZE || 0, 1);
+const JOB_RETENTION_HOURS = parseInt(process.env.JOB_RETENTION_HOURS, 10) || 168;
+const JOB_WEBHOOK_HOSTS = (process.env.JOB_WEBHOOK_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
 
 // Service identification
 const SERVICE_NAME = 'JSDOM-extract-merge';
@@ -14,81 +86,437 @@ const HOMEPAGE_CONTENT = `${SERVICE_NAME}`;
 
 // Constants
 const CONTENT_TYPE_JSON = 'application/json';
+const CONTENT_TYPE_NDJSON = 'application/x-ndjson';
 const AUTH_HEADER_PREFIX = 'Bearer ';
 const HEADER_AUTH = 'authorization';
 const HEADER_CONTENT_TYPE = 'content-type';
+const HEADER_REQUEST_ID = 'x-request-id';
+
+// Incoming X-Request-Id values that are reused (others are replaced by a new ID)
+const REQUEST_ID_PATTERN = /^[\w.:+/=-]{1,128}$/;
+
+// Request body decoders by Content-Encoding (null: read as is)
+const REQUEST_DECODERS = {
+  identity: null,
+  gzip: createGunzip,
+  'x-gzip': createGunzip,
+  br: createBrotliDecompress
+};
+
+// Response encoders in order of preference, and the smallest body worth compressing. Brotli
+// runs at a moderate quality: the default (11) is too slow for large responses. Live bodies
+// flush after each chunk, so the client can decode it before the next one is produced.
+const RESPONSE_ENCODERS = {
+  br: live => createBrotliCompress({
+    params: { [zlibConstants.BROTLI_PARAM_QUALITY]: 5 },
+    ...(live && { flush: zlibConstants.BROTLI_OPERATION_FLUSH })
+  }),
+  gzip: live => createGzip(live ? { flush: zlibConstants.Z_SYNC_FLUSH } : {})
+};
+const MIN_COMPRESS_SIZE = 1024;
 
 // Error types
 const ERRORS = {
   AUTH_REQUIRED: 'AUTH_REQUIRED',
+  FORBIDDEN: 'FORBIDDEN',
+  RATE_LIMITED: 'RATE_LIMITED',
+  QUOTA_EXCEEDED: 'QUOTA_EXCEEDED',
+  SERVER_BUSY: 'SERVER_BUSY',
+  PROCESSING_TIMEOUT: 'PROCESSING_TIMEOUT',
   INVALID_INPUT: 'INVALID_INPUT',
+  PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',
+  UNSUPPORTED_ENCODING: 'UNSUPPORTED_ENCODING',
+  JOB_NOT_FOUND: 'JOB_NOT_FOUND',
   PROCESSING_ERROR: 'PROCESSING_ERROR'
 };
 
-// Logging helper
-function log(level, message, context = {}) {
-  const timestamp = new Date().toISOString();
-  const logEntry = {
-    timestamp,
-    level,
-    message,
-    ...context
-  };
-  const logLine = JSON.stringify(logEntry);
+// Validate required environment variables
+if (!API_TOKEN && !API_KEYS_FILE) {
+  log('ERROR', 'API_TOKEN or API_KEYS_FILE environment variable is required');
+  process.exit(1);
+}
 
-  switch (level) {
-    case 'ERROR':
-      console.error(logLine);
-      break;
-    case 'WARN':
-      console.warn(logLine);
-      break;
-    default:
-      console.log(logLine);
+// Engine log messages go to the server log
+setLogger(log);
+
+// Choose the response encoding from an Accept-Encoding header: the first of RESPONSE_ENCODERS
+// the client accepts (q > 0, directly or through "*"), or null
+function negotiateEncoding(acceptEncoding) {
+  if (typeof acceptEncoding !== 'string') {
+    return null;
+  }
+  const accepted = new Map();
+  for (const part of acceptEncoding.split(',')) {
+    const [name, ...params] = part.split(';').map(value => value.trim().toLowerCase());
+    const q = params.find(param => param.startsWith('q='));
+    accepted.set(name, q ? parseFloat(q.slice(2)) : 1);
   }
+  return Object.keys(RESPONSE_ENCODERS).find(encoding => (accepted.get(encoding) ?? accepted.get('*') ?? 0) > 0) || null;
 }
 
-// Validate required environment variables
-if (!API_TOKEN) {
-  log('ERROR', 'API_TOKEN environment variable is required');
-  process.exit(1);
+// Send a response body: a string, an iterable of strings streamed as the client reads them, or
+// a live async iterable whose chunks are sent as they're produced. Streamed bodies and strings
+// of at least MIN_COMPRESS_SIZE are compressed when the request accepts it. A client that goes
+// away mid-stream is logged; the returned promise never rejects.
+function sendResponse(res, statusCode, contentType, body) {
+  const context = requestContext.getStore();
+  const streamed = typeof body !== 'string';
+  const live = streamed && Symbol.asyncIterator in body;
+  const encoding = streamed || body.length >= MIN_COMPRESS_SIZE ? context?.encoding : null;
+  res.writeHead(statusCode, {
+    'Content-Type': contentType,
+    Vary: 'Accept-Encoding',
+    ...(encoding && { 'Content-Encoding': encoding })
+  });
+
+  if (!streamed && !encoding) {
+    res.end(body);
+    return Promise.resolve();
+  }
+  const source = Readable.from(streamed ? body : [body]);
+  const streams = encoding ? [source, RESPONSE_ENCODERS[encoding](live), res] : [source, res];
+  return pipeline(...streams).catch((error) => {
+    log('WARN', 'Response not completed', { requestId: context?.requestId, error: error.message });
+  });
 }
 
 // Send JSON response helper
 function sendJsonResponse(res, statusCode, data) {
-  res.writeHead(statusCode, { 'Content-Type': CONTENT_TYPE_JSON });
-  res.end(JSON.stringify(data));
+  if (data.error) {
+    incrementMetric(METRICS.errors, { error: data.error });
+  }
+  sendResponse(res, statusCode, CONTENT_TYPE_JSON, JSON.stringify(data));
+}
+
+// NDJSON lines of a list of values, serialized one at a time
+function* ndjsonLines(values) {
+  for (const value of values) {
+    yield `${JSON.stringify(value)}\n`;
+  }
+}
+
+// Lines produced while a job runs, as a live async iterable: each read takes the lines
+// pushed since the last one, or waits for more until the queue is closed
+function createLineQueue() {
+  let lines = [];
+  let closed = false;
+  let wake = null;
+  return {
+    push(line) {
+      lines.push(line);
+      wake?.();
+    },
+    close() {
+      closed = true;
+      wake?.();
+    },
+    async *[Symbol.asyncIterator]() {
+      for (;;) {
+        if (lines.length > 0) {
+          const ready = lines.join('');
+          lines = [];
+          yield ready;
+        } else if (closed) {
+          return;
+        } else {
+          await new Promise((resolve) => { wake = resolve; });
+          wake = null;
+        }
+      }
+    }
+  };
+}
+
+// Check whether the client asked for an NDJSON response
+function acceptsNdjson(req) {
+  return (req.headers.accept || '').includes(CONTENT_TYPE_NDJSON);
+}
+
+// HTTP status of each error code thrown by the engine, the worker pool and the body reader
+const ERROR_STATUS = {
+  INVALID_INPUT: 400,
+  INVALID_PATH: 400,
+  PAYLOAD_TOO_LARGE: 413,
+  UNSUPPORTED_ENCODING: 415,
+  QA_FAILED: 422,
+  PROCESSING_ERROR: 500,
+  SERVER_BUSY: 503,
+  PROCESSING_TIMEOUT: 504
+};
+
+// Details sent with an error code: the path and reason of a bad translation path, the limit
+// (in bytes) of a body or document that is too large, and the issues of rejected translations
+const ERROR_DETAILS = {
+  INVALID_PATH: error => ({ path: error.path, reason: error.reason }),
+  PAYLOAD_TOO_LARGE: error => ({ limit: error.limit }),
+  QA_FAILED: error => ({ issues: error.issues })
+};
+
+// API error code of an error thrown while handling a request (a processing error if it has none)
+function errorCode(error) {
+  return Object.hasOwn(ERROR_STATUS, error.code) ? error.code : ERRORS.PROCESSING_ERROR;
+}
+
+// Respond to an error thrown while handling a request: engine, pool and body reader errors
+// carry their code (and details); anything else is a processing error
+function sendErrorResponse(res, error, message, context = {}) {
+  const code = errorCode(error);
+  const statusCode = ERROR_STATUS[code];
+  log(statusCode < 500 ? 'WARN' : 'ERROR', message, { ...context, code, error: error.message });
+  sendJsonResponse(res, statusCode, { error: code, ...ERROR_DETAILS[code]?.(error) });
+}
+
+// Error for a request body or document over its size limit (in bytes)
+function payloadTooLarge(limit) {
+  return new ExtractMergeError(ERRORS.PAYLOAD_TOO_LARGE, `Payload exceeds ${limit} bytes`, { limit });
+}
+
+// Respond 413 to a document over its size limit
+function sendPayloadTooLarge(res, limit) {
+  sendJsonResponse(res, 413, { error: ERRORS.PAYLOAD_TOO_LARGE, limit });
 }
 
 // Process request body with size limit
-function readRequestBody(req, res) {
+async function readRequestBody(req, res) {
+  return (await readRequestBuffer(req, res, MAX_HTML_SIZE)).toString();
+}
+
+// Read the raw request body (e.g., an uploaded EPUB), decoding gzip and br bodies. The limit
+// applies to the decoded size; past it the rest of the body is left unread and the connection
+// is closed after the 413 response.
+function readRequestBuffer(req, res, limit) {
   return new Promise((resolve, reject) => {
-    let body = '';
+    const encoding = (req.headers['content-encoding'] || 'identity').trim().toLowerCase();
+    if (!Object.hasOwn(REQUEST_DECODERS, encoding)) {
+      res.setHeader('Accept-Encoding', Object.keys(REQUEST_DECODERS).join(', '));
+      reject(new ExtractMergeError(ERRORS.UNSUPPORTED_ENCODING, `Unsupported Content-Encoding: ${encoding}`));
+      return;
+    }
+
+    const refuse = () => {
+      req.unpipe();
+      req.pause();
+      res.setHeader('Connection', 'close');
+      reject(payloadTooLarge(limit));
+    };
+
+    // An uncompressed body can be refused by its declared length
+    const decoder = REQUEST_DECODERS[encoding]?.();
+    if (!decoder && parseInt(req.headers['content-length'], 10) > limit) {
+      refuse();
+      return;
+    }
+
+    const body = decoder ? req.pipe(decoder) : req;
+    const chunks = [];
     let size = 0;
 
-    req.on('data', (chunk) => {
+    body.on('data', (chunk) => {
       size += chunk.length;
-      if (size > MAX_HTML_SIZE) {
-        req.destroy(new Error('Request body too large'));
+      if (size > limit) {
+        body.removeAllListeners('data');
+        decoder?.destroy();
+        refuse();
         return;
       }
-      body += chunk.toString();
+      chunks.push(chunk);
     });
 
-    req.on('end', () => {
-      resolve(body);
+    body.on('end', () => {
+      if (req.apiKey) {
+        recordQuotaUsage(req.apiKey, size);
+      }
+      resolve(Buffer.concat(chunks));
     });
 
-    req.on('error', (error) => {
-      if (error.message === 'Request body too large') {
-        sendJsonResponse(res, 400, { error: ERRORS.INVALID_INPUT });
-      }
-      reject(error);
+    req.on('error', reject);
+    decoder?.on('error', (error) => {
+      reject(new InvalidInputError(`Invalid ${encoding} request body: ${error.message}`));
     });
   });
 }
 
-// Validate Bearer Token
+// Hash a token for constant-time comparison (digests always have the same length)
+function tokenDigest(token) {
+  return createHash('sha256').update(token).digest();
+}
+
+// Check that a value is a positive integer
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+// Parse an entry of the API key file. The secret is given as `key`, or as its SHA-256 hex
+// digest in `sha256` so the file needn't hold it. Returns null for an invalid entry.
+function parseApiKey(entry) {
+  if (typeof entry !== 'object' || entry === null || typeof entry.name !== 'string' || !entry.name.trim()) {
+    return null;
+  }
+
+  let digest;
+  if (typeof entry.key === 'string' && entry.key !== '') {
+    digest = tokenDigest(entry.key);
+  } else if (typeof entry.sha256 === 'string' && /^[0-9a-f]{64}$/i.test(entry.sha256)) {
+    digest = Buffer.from(entry.sha256, 'hex');
+  } else {
+    return null;
+  }
+
+  const { rateLimit, quota } = entry;
+  if ('routes' in entry && !isStringList(entry.routes)) {
+    return null;
+  }
+  if (rateLimit !== undefined && !(isPositiveInteger(rateLimit?.requests) &&
+      (!('perSeconds' in rateLimit) || isPositiveInteger(rateLimit.perSeconds)))) {
+    return null;
+  }
+  if (quota !== undefined && !(isPositiveInteger(quota?.bytes) &&
+      (!('periodSeconds' in quota) || isPositiveInteger(quota.periodSeconds)))) {
+    return null;
+  }
+  const expiresAt = 'expiresAt' in entry ? Date.parse(entry.expiresAt) : null;
+  if (Number.isNaN(expiresAt)) {
+    return null;
+  }
+
+  return {
+    name: entry.name,
+    digest,
+    routes: entry.routes || null,
+    rateLimit: rateLimit ? { requests: rateLimit.requests, perSeconds: rateLimit.perSeconds || DEFAULT_RATE_LIMIT_SECONDS } : null,
+    quota: quota ? { bytes: quota.bytes, periodSeconds: quota.periodSeconds || DEFAULT_QUOTA_PERIOD_SECONDS } : null,
+    expiresAt
+  };
+}
+
+// Name of the API_TOKEN key
+const DEFAULT_KEY_NAME = 'default';
+
+// Load the key store: API_TOKEN (unrestricted, named "default") plus the keys of API_KEYS_FILE.
+// Throws when the file can't be read or has an invalid entry.
+function loadApiKeys() {
+  const keys = [];
+  if (API_TOKEN) {
+    keys.push({ name: DEFAULT_KEY_NAME, digest: tokenDigest(API_TOKEN), routes: null, rateLimit: null, quota: null, expiresAt: null });
+  }
+  if (API_KEYS_FILE) {
+    const data = JSON.parse(readFileSync(API_KEYS_FILE, 'utf8'));
+    if (!Array.isArray(data.keys)) {
+      throw new Error('Missing "keys" array');
+    }
+    for (const [index, entry] of data.keys.entries()) {
+      const key = parseApiKey(entry);
+      if (!key) {
+        throw new Error(`Invalid key entry ${index}`);
+      }
+      keys.push(key);
+    }
+  }
+  return keys;
+}
+
+let apiKeys = [];
+
+// (Re)load the key store. A broken file keeps the keys already loaded, so a bad edit
+// doesn't lock everyone out.
+function reloadApiKeys() {
+  try {
+    apiKeys = loadApiKeys();
+    log('INFO', 'API keys loaded', { file: API_KEYS_FILE, keys: apiKeys.length });
+  } catch (error) {
+    log('ERROR', 'Failed to load API keys', { file: API_KEYS_FILE, error: error.message });
+  }
+}
+
+reloadApiKeys();
+
+// Usage per key name (shared by overlapping keys during a rotation): rate limit tokens and quota bytes
+const keyUsage = new Map();
+
+// Find the unexpired key matching a token. Every key is compared, in constant time, so timing
+// reveals neither the key nor which one matched. Several keys may share a name, which lets a
+// new key go live before the old one expires.
+function findApiKey(token) {
+  const digest = tokenDigest(token);
+  const now = Date.now();
+  let match = null;
+  for (const key of apiKeys) {
+    const equal = timingSafeEqual(digest, key.digest);
+    if (equal && !match && (key.expiresAt === null || key.expiresAt > now)) {
+      match = key;
+    }
+  }
+  return match;
+}
+
+// Check a route against a key's allowed routes ("/tm/*" allows every route under /tm/)
+function isRouteAllowed(key, route) {
+  if (!key.routes) {
+    return true;
+  }
+  return key.routes.some(allowed => (allowed.endsWith('/*') ? route.startsWith(allowed.slice(0, -1)) : route === allowed));
+}
+
+// Usage record of a key name
+function usageOf(key) {
+  if (!keyUsage.has(key.name)) {
+    keyUsage.set(key.name, { tokens: null, refilledAt: null, bytes: 0, quotaResetAt: null });
+  }
+  return keyUsage.get(key.name);
+}
+
+// Check a request of `bytes` (its Content-Length, when known) against the key's byte quota.
+// Returns the seconds until the quota period ends if it would be exceeded, else null.
+function checkQuota(key, bytes, now) {
+  if (!key.quota) {
+    return null;
+  }
+  const usage = usageOf(key);
+  if (usage.quotaResetAt === null || now >= usage.quotaResetAt) {
+    usage.bytes = 0;
+    usage.quotaResetAt = now + key.quota.periodSeconds * 1000;
+  }
+  if (usage.bytes + Math.max(bytes, 1) > key.quota.bytes) {
+    return Math.ceil((usage.quotaResetAt - now) / 1000);
+  }
+  return null;
+}
+
+// Count received request bytes against the key's quota
+function recordQuotaUsage(key, bytes) {
+  if (key.quota) {
+    usageOf(key).bytes += bytes;
+  }
+}
+
+// Take a request from the key's token bucket (`requests` per `perSeconds`, refilled continuously).
+// Returns the seconds until a request is allowed when the bucket is empty, else null.
+function takeRateLimitToken(key, now) {
+  if (!key.rateLimit) {
+    return null;
+  }
+  const usage = usageOf(key);
+  const { requests, perSeconds } = key.rateLimit;
+  const perMs = requests / (perSeconds * 1000);
+  const elapsed = usage.refilledAt === null ? 0 : now - usage.refilledAt;
+  usage.tokens = Math.min(requests, (usage.tokens ?? requests) + elapsed * perMs);
+  usage.refilledAt = now;
+
+  if (usage.tokens < 1) {
+    return Math.ceil((1 - usage.tokens) / perMs / 1000);
+  }
+  usage.tokens -= 1;
+  return null;
+}
+
+// Send a 429 response with Retry-After
+function sendTooManyRequests(res, error, retryAfter) {
+  res.setHeader('Retry-After', String(retryAfter));
+  sendJsonResponse(res, 429, { error, retryAfter });
+}
+
+// Validate Bearer Token against the key store, then the key's routes, byte quota and rate limit.
+// Sends 401, 403 or 429 and returns false when the request may not proceed.
 function validateToken(req, res) {
   const authHeader = req.headers[HEADER_AUTH];
   if (!authHeader || !authHeader.startsWith(AUTH_HEADER_PREFIX)) {
@@ -96,12 +524,43 @@ function validateToken(req, res) {
     return false;
   }
 
-  const token = authHeader.substring(AUTH_HEADER_PREFIX.length);
-  if (token !== API_TOKEN) {
+  const key = findApiKey(authHeader.substring(AUTH_HEADER_PREFIX.length));
+  if (!key) {
     sendJsonResponse(res, 401, { error: ERRORS.AUTH_REQUIRED });
     return false;
   }
 
+  // Log lines of the rest of the request carry the key name; the body reader counts its bytes
+  const context = requestContext.getStore();
+  if (context) {
+    context.keyName = key.name;
+  }
+  req.apiKey = key;
+
+  // Routes are matched on the normalized path: no query string, no "." or ".." segments
+  const route = new URL(req.url, 'http://localhost').pathname;
+  if (!isRouteAllowed(key, route)) {
+    log('WARN', 'Route not allowed for API key', { route });
+    sendJsonResponse(res, 403, { error: ERRORS.FORBIDDEN });
+    return false;
+  }
+
+  const now = Date.now();
+  const contentLength = parseInt(req.headers['content-length'], 10) || 0;
+  const quotaRetryAfter = checkQuota(key, contentLength, now);
+  if (quotaRetryAfter !== null) {
+    log('WARN', 'API key quota exceeded', { route: req.url, retryAfter: quotaRetryAfter });
+    sendTooManyRequests(res, ERRORS.QUOTA_EXCEEDED, quotaRetryAfter);
+    return false;
+  }
+
+  const rateRetryAfter = takeRateLimitToken(key, now);
+  if (rateRetryAfter !== null) {
+    log('WARN', 'API key rate limit exceeded', { route: req.url, retryAfter: rateRetryAfter });
+    sendTooManyRequests(res, ERRORS.RATE_LIMITED, rateRetryAfter);
+    return false;
+  }
+
   return true;
 }
 
@@ -129,317 +588,80 @@ function parseInput(req, body, res) {
     return null;
   }
 
+  if (!hasValidExtractOptions(json)) {
+    sendJsonResponse(res, 400, { error: ERRORS.INVALID_INPUT });
+    return null;
+  }
+
   // Check size
   if (json.html.length > MAX_HTML_SIZE) {
-    sendJsonResponse(res, 400, { error: ERRORS.INVALID_INPUT });
+    sendPayloadTooLarge(res, MAX_HTML_SIZE);
     return null;
   }
 
   return json;
 }
 
-// List of block-level elements that should separate text content
-const BLOCK_ELEMENTS = new Set([
-  'address', 'article', 'aside', 'blockquote', 'dd', 'div',
-  'dl', 'dt', 'fieldset', 'figcaption', 'figure', 'footer', 'form',
-  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main',
-  'nav', 'ol', 'output', 'p', 'pre', 'section', 'table',
-  'tfoot', 'ul', 'tr', 'td', 'th', 'thead', 'tbody', 'colgroup'
-]);
-
-// Elements that should be skipped during extraction (no translation needed)
-const SKIP_ELEMENTS = new Set([
-  'picture',     // Picture containers
-  'img',         // Images
-  'svg',         // SVG graphics
-  'canvas',      // Canvas elements
-  'iframe',      // Embedded content
-  'video',       // Video elements
-  'audio',       // Audio elements
-  'map',         // Image maps
-  'object',      // Embedded objects
-  'embed',       // Embedded content
-  'track',       // Text tracks for media
-  'source'       // Media sources
-]);
-
-// Check if an element should be skipped (no translation needed)
-function shouldSkipElement(element) {
-  return element.nodeType === element.ELEMENT_NODE && SKIP_ELEMENTS.has(element.tagName.toLowerCase());
-}
-
-// Check if an element is a block-level element
-function isBlockElement(element) {
-  return element.nodeType === element.ELEMENT_NODE && BLOCK_ELEMENTS.has(element.tagName.toLowerCase());
-}
-
-// Check if an element contains only media elements (no translatable text)
-// Note: Caller ensures element is an ELEMENT_NODE
-function containsOnlyMedia(element) {
-  // Get all text content, excluding media elements
-  const clone = element.cloneNode(true);
-  
-  // Remove all media elements from clone
-  const mediaSelectors = Array.from(SKIP_ELEMENTS).join(',');
-  const mediaElements = clone.querySelectorAll(mediaSelectors);
-  mediaElements.forEach(el => el.remove());
-  
-  // Get remaining text content
-  const textContent = clone.textContent.trim();
-  
-  // If no text remains, this element only contains media
-  return textContent.length === 0;
-}
-
-// Generate path for a DOM node (e.g., "html.body.div.0.p.0")
-function generatePath(node) {
-  const parts = [];
-  
-  let current = node;
-  while (current && current.nodeType === current.ELEMENT_NODE) {
-    const tag = current.tagName ? current.tagName.toLowerCase() : '';
-    if (tag) {
-      // Get parent element
-      const parent = current.parentElement;
-      if (parent) {
-        // Count same-tag siblings before this node
-        let index = 0;
-        for (let sibling = parent.firstElementChild; sibling; sibling = sibling.nextElementSibling) {
-          if (sibling === current) break;
-          if (sibling.tagName === current.tagName) {
-            index++;
-          }
-        }
-        parts.unshift(`${tag}.${index}`);
-      } else {
-        // No parent, this is the root element
-        parts.unshift(`${tag}.0`);
-      }
-    }
-    current = current.parentElement;
-  }
-  
-  return parts.join('.');
-}
-
-// Extract text content with inline HTML tags preserved, along with paths
-function extractTextNodes(html, res) {
-  try {
-    // Create DOM environment using JSDOM
-    const dom = new JSDOM(html, { url: 'http://localhost' });
-    const doc = dom.window.document;
-
-    const results = [];
-
-    // Recursively walk the DOM tree and extract HTML with inline tags
-    function walk(node) {
-      if (node.nodeType !== node.ELEMENT_NODE) {
-        return;
-      }
-
-      // Skip elements that don't need translation (media, embeds, etc.)
-      if (shouldSkipElement(node)) {
-        return;
-      }
-
-      const isBlock = isBlockElement(node);
-      const hasBlockChildren = Array.from(node.childNodes).some(child => isBlockElement(child));
-
-      // If this is a block element with no block children, extract its HTML
-      if (isBlock && !hasBlockChildren) {
-        // Skip elements that contain only media (no translatable text)
-        if (containsOnlyMedia(node)) {
-          return;
-        }
-        
-        // Get innerHTML to preserve inline tags, but remove media elements
-        let clone = node.cloneNode(true);
-        const mediaSelectors = Array.from(SKIP_ELEMENTS).join(',');
-        const mediaElements = clone.querySelectorAll(mediaSelectors);
-        mediaElements.forEach(el => el.remove());
-        
-        let html = clone.innerHTML;
-        // Trim leading/trailing whitespace and normalize internal whitespace
-        html = html.trim().replace(/\s+/g, ' ');
-        if (html) {
-          const path = generatePath(node);
-          results.push({ path, text: html });
-        }
-        return;
-      }
-
-      // Otherwise, recursively process children
-      for (const child of node.childNodes) {
-        walk(child);
-      }
-    }
+// How /translate applies translations: bilingual merge or pure replace
+const TRANSLATE_MODES = new Set(['merge', 'replace']);
 
-    // Start traversal from document body children
-    for (const child of doc.body.childNodes) {
-      walk(child);
+// Mark or pre-fill the extracted segments the translation memory already knows
+function markTmMatches(results, options) {
+  for (const result of results) {
+    if (!('tmLang' in result)) {
+      continue;
     }
-
-    // Close the window to free resources
-    dom.window.close();
-
-    return results;
-  } catch (error) {
-    log('ERROR', 'HTML processing exception', { error: error.message, stack: error.stack });
-    sendJsonResponse(res, 500, { error: ERRORS.PROCESSING_ERROR });
-    return null;
-  }
-}
-
-// Find a DOM node by path (e.g., "html.0.body.0.div.0.p.0")
-function findByPath(doc, path) {
-  if (!path) return null;
-  
-  const parts = path.split('.');
-  if (parts.length < 4) return null; // Minimum: html.0.body.0.tag.index
-  
-  // Start from html element
-  let currentNode = doc.documentElement; // html element
-  
-  // Skip "html.0", start from "body.0"
-  let i = 2; // Start at body tag
-  while (i < parts.length) {
-    const tag = parts[i];
-    const index = parseInt(parts[i + 1], 10);
-    
-    if (isNaN(index)) return null;
-    
-    // Find the index-th child element with matching tag
-    let found = null;
-    let currentIndex = 0;
-    
-    for (let child = currentNode.firstElementChild; child; child = child.nextElementSibling) {
-      if (child.tagName.toLowerCase() === tag) {
-        if (currentIndex === index) {
-          found = child;
-          break;
-        }
-        currentIndex++;
+    const entry = lookupTranslation(result.text, result.tmLang, options.targetLang);
+    delete result.tmLang;
+    if (entry) {
+      result.tmMatch = true;
+      if (options.tm === 'prefill') {
+        result.translation = entry.target;
       }
     }
-    
-    if (!found) {
-      log('ERROR', 'Path not found', { path, tag, index, currentTag: currentNode.tagName });
-      return null;
-    }
-    
-    currentNode = found;
-    i += 2;
   }
-  
-  return currentNode;
 }
 
-// Merge translations into HTML
-function mergeTranslations(html, translations, res) {
-  try {
-    const dom = new JSDOM(html, { url: 'http://localhost' });
-    const doc = dom.window.document;
-    
-    // Statistics tracking
-    let stats = {
-      total: translations.length,
-      merged: 0,
-      skipped: 0,
-      skippedPaths: []
-    };
-    
-    for (const trans of translations) {
-      const node = findByPath(doc, trans.path);
-      
-      if (!node) {
-        log('WARN', 'Path not found', { path: trans.path });
-        sendJsonResponse(res, 400, { error: 'INVALID_PATH', path: trans.path });
-        dom.window.close();
-        return null;
-      }
-      
-      // Skip empty or whitespace-only text
-      if (!trans.text || trans.text.trim().length === 0) {
-        stats.skipped++;
-        stats.skippedPaths.push(trans.path);
-        log('WARN', 'Skipping empty translation', { path: trans.path });
-        continue;
-      }
-      
-      // Create bilingual span and append
-      const span = doc.createElement('span');
-      span.className = 'jsdom-extract-merge';
-      span.innerHTML = `<br>${trans.text}`;
-      node.appendChild(span);
-      
-      stats.merged++;
-    }
-    
-    const transhtml = doc.body.innerHTML;
-    dom.window.close();
-    
-    // Return result with statistics
-    return { transhtml, stats };
-  } catch (error) {
-    log('ERROR', 'Merge exception', { error: error.message, stack: error.stack });
-    sendJsonResponse(res, 500, { error: ERRORS.PROCESSING_ERROR });
-    return null;
-  }
-}
+// Extract a document as an NDJSON response, one segment per line, sending each batch of
+// segments as the worker finds it. The response starts with the first batch, so an error before
+// it gets the usual error response; a later one ends the body with an `{ "error" }` line.
+// Returns the number of segments sent.
+async function streamExtract(res, json) {
+  const { requestId } = requestContext.getStore();
+  const lines = createLineQueue();
+  let sending = null;
+  let textCount = 0;
+
+  // Batches arrive from the worker's message events, outside the request's context
+  const sendSegments = AsyncResource.bind((segments) => {
+    markTmMatches(segments, json);
+    textCount += segments.length;
+    lines.push(segments.map(segment => `${JSON.stringify(segment)}\n`).join(''));
+    sending ??= sendResponse(res, 200, CONTENT_TYPE_NDJSON, lines);
+  });
 
-// Replace translations in HTML (pure translation mode)
-function replaceTranslations(html, translations, res) {
   try {
-    const dom = new JSDOM(html, { url: 'http://localhost' });
-    const doc = dom.window.document;
-    
-    // Statistics tracking
-    let stats = {
-      total: translations.length,
-      replaced: 0,
-      skipped: 0,
-      skippedPaths: []
-    };
-    
-    for (const trans of translations) {
-      const node = findByPath(doc, trans.path);
-      
-      if (!node) {
-        log('WARN', 'Path not found', { path: trans.path });
-        sendJsonResponse(res, 400, { error: 'INVALID_PATH', path: trans.path });
-        dom.window.close();
-        return null;
-      }
-      
-      // Skip empty or whitespace-only text to avoid deleting original content
-      if (!trans.text || trans.text.trim().length === 0) {
-        stats.skipped++;
-        stats.skippedPaths.push(trans.path);
-        log('WARN', 'Skipping empty translation', { path: trans.path });
-        continue;
-      }
-      
-      // Replace node content with translation
-      node.innerHTML = trans.text;
-      
-      stats.replaced++;
-    }
-    
-    const transhtml = doc.body.innerHTML;
-    dom.window.close();
-    
-    // Return result with statistics
-    return { transhtml, stats };
+    await runDomJob('extractStream', [json.html, withStoredGlossary(json)], sendSegments);
   } catch (error) {
-    log('ERROR', 'Replace exception', { error: error.message, stack: error.stack });
-    sendJsonResponse(res, 500, { error: ERRORS.PROCESSING_ERROR });
-    return null;
+    if (!sending) {
+      throw error;
+    }
+    const code = errorCode(error);
+    log('ERROR', 'HTML processing failed mid-stream', { requestId, code, error: error.message, textCount });
+    incrementMetric(METRICS.errors, { error: code });
+    lines.push(`${JSON.stringify({ error: code })}\n`);
+  } finally {
+    lines.close();
   }
+
+  recordSegmentsExtracted(textCount);
+  await (sending ?? sendResponse(res, 200, CONTENT_TYPE_NDJSON, lines));
+  return textCount;
 }
 
 // Handle POST /extract endpoint
 async function handleExtract(req, res) {
-  const requestId = Date.now().toString(36) + Math.random().toString(36).substring(2);
+  const { requestId } = requestContext.getStore();
 
   // Validate token first
   if (!validateToken(req, res)) {
@@ -460,21 +682,49 @@ async function handleExtract(req, res) {
 
     const htmlSize = json.html.length;
     log('INFO', 'Input validated', { requestId, htmlSize });
+    recordInputSize(htmlSize);
+
+    // XLIFF and PO files carry inline tags as XML placeholders, plus context notes
+    const format = json.format || 'json';
+    if (format !== 'json') {
+      const extracted = await runDomJob('extract', [json.html, withStoredGlossary({ ...json, placeholders: 'xml' }), true]);
+
+      const segments = extracted.texts;
+      markTmMatches(segments, json);
+      const file = SEGMENT_EXPORTERS[format](segments, extracted.details, json.targetLang);
+      recordSegmentsExtracted(segments.length);
+      sendJsonResponse(res, 200, { format, file });
+      log('INFO', 'Request completed successfully', { requestId, htmlSize, textCount: segments.length, format });
+      return;
+    }
 
-    // Extract text nodes with paths from HTML
-    const results = extractTextNodes(json.html, res);
-    if (results === null) {
-      log('ERROR', 'HTML processing failed', { requestId });
+    // NDJSON lines are sent as the segments are extracted (deduplicated segments only once the
+    // whole document is, since their duplicates are listed on the first of them)
+    if (acceptsNdjson(req) && !json.dedupe) {
+      const textCount = await streamExtract(res, json);
+      log('INFO', 'Request completed successfully', { requestId, htmlSize, textCount, format: 'ndjson' });
       return;
     }
 
-    // Return success response with paths and texts
+    // Extract text nodes with paths from HTML
+    const extracted = await runDomJob('extract', [json.html, withStoredGlossary(json), false]);
+
+    const results = extracted.texts;
+    markTmMatches(results, json);
+
+    // Return success response with paths and texts: one JSON document, or one segment per
+    // NDJSON line (serialized as the client reads them)
     const textCount = results.length;
+    recordSegmentsExtracted(textCount);
+    if (acceptsNdjson(req)) {
+      await sendResponse(res, 200, CONTENT_TYPE_NDJSON, ndjsonLines(results));
+      log('INFO', 'Request completed successfully', { requestId, htmlSize, textCount, format: 'ndjson' });
+      return;
+    }
     sendJsonResponse(res, 200, { texts: results });
     log('INFO', 'Request completed successfully', { requestId, htmlSize, textCount });
   } catch (error) {
-    log('ERROR', 'Unexpected error during processing', { requestId, error: error.message });
-    sendJsonResponse(res, 500, { error: ERRORS.PROCESSING_ERROR });
+    sendErrorResponse(res, error, 'HTML processing failed', { requestId });
   }
 }
 
@@ -499,24 +749,24 @@ function parseMergeInput(req, body, res) {
     return null;
   }
 
-  if (!('translations' in json) || !Array.isArray(json.translations)) {
+  // Translations come as a JSON array or as a filled-in XLIFF/PO file
+  if ('file' in json) {
+    if (typeof json.file !== 'string' || json.file.length > MAX_HTML_SIZE || !IMPORT_FORMATS.has(json.format) || 'translations' in json) {
+      sendJsonResponse(res, 400, { error: ERRORS.INVALID_INPUT });
+      return null;
+    }
+  } else if (!isValidTranslationList(json.translations)) {
     sendJsonResponse(res, 400, { error: ERRORS.INVALID_INPUT });
     return null;
   }
 
-  for (const trans of json.translations) {
-    if (!('path' in trans) || typeof trans.path !== 'string') {
-      sendJsonResponse(res, 400, { error: ERRORS.INVALID_INPUT });
-      return null;
-    }
-    if (!('text' in trans) || typeof trans.text !== 'string') {
-      sendJsonResponse(res, 400, { error: ERRORS.INVALID_INPUT });
-      return null;
-    }
+  if (!hasValidMergeOptions(json)) {
+    sendJsonResponse(res, 400, { error: ERRORS.INVALID_INPUT });
+    return null;
   }
 
   if (json.html.length > MAX_HTML_SIZE) {
-    sendJsonResponse(res, 400, { error: ERRORS.INVALID_INPUT });
+    sendPayloadTooLarge(res, MAX_HTML_SIZE);
     return null;
   }
 
@@ -525,7 +775,7 @@ function parseMergeInput(req, body, res) {
 
 // Handle POST /merge endpoint
 async function handleMerge(req, res) {
-  const requestId = Date.now().toString(36) + Math.random().toString(36).substring(2);
+  const { requestId } = requestContext.getStore();
 
   if (!validateToken(req, res)) {
     log('WARN', 'Authentication failed', { requestId, ip: req.socket.remoteAddress });
@@ -542,18 +792,28 @@ async function handleMerge(req, res) {
       return;
     }
 
+    const input = readTranslationInput(json, res);
+    if (!input) {
+      log('WARN', 'Invalid translation file', { requestId, format: json.format });
+      return;
+    }
+
     const htmlSize = json.html.length;
-    const transCount = json.translations.length;
+    const transCount = input.translations.length;
     log('INFO', 'Merge input validated', { requestId, htmlSize, transCount });
+    recordInputSize(htmlSize);
 
-    const result = mergeTranslations(json.html, json.translations, res);
-    if (result === null) {
-      log('ERROR', 'Merge failed', { requestId });
-      return;
+    const result = await runDomJob('merge', [json.html, input.translations, withStoredGlossary(input.options)]);
+    if (input.imported) {
+      addImportStats(result.stats, input.imported);
     }
 
+    rememberTranslations(result.memory, json);
+    recordTranslationStats(result.stats);
+
     sendJsonResponse(res, 200, { 
       transhtml: result.transhtml,
+      output: result.output,
       stats: result.stats 
     });
     
@@ -563,14 +823,13 @@ async function handleMerge(req, res) {
       ...result.stats 
     });
   } catch (error) {
-    log('ERROR', 'Unexpected error during merge', { requestId, error: error.message });
-    sendJsonResponse(res, 500, { error: ERRORS.PROCESSING_ERROR });
+    sendErrorResponse(res, error, 'Merge failed', { requestId });
   }
 }
 
 // Handle POST /replace endpoint
 async function handleReplace(req, res) {
-  const requestId = Date.now().toString(36) + Math.random().toString(36).substring(2);
+  const { requestId } = requestContext.getStore();
 
   if (!validateToken(req, res)) {
     log('WARN', 'Authentication failed', { requestId, ip: req.socket.remoteAddress });
@@ -587,18 +846,28 @@ async function handleReplace(req, res) {
       return;
     }
 
+    const input = readTranslationInput(json, res);
+    if (!input) {
+      log('WARN', 'Invalid translation file', { requestId, format: json.format });
+      return;
+    }
+
     const htmlSize = json.html.length;
-    const transCount = json.translations.length;
+    const transCount = input.translations.length;
     log('INFO', 'Replace input validated', { requestId, htmlSize, transCount });
+    recordInputSize(htmlSize);
 
-    const result = replaceTranslations(json.html, json.translations, res);
-    if (result === null) {
-      log('ERROR', 'Replace failed', { requestId });
-      return;
+    const result = await runDomJob('replace', [json.html, input.translations, withStoredGlossary(input.options)]);
+    if (input.imported) {
+      addImportStats(result.stats, input.imported);
     }
 
+    rememberTranslations(result.memory, json);
+    recordTranslationStats(result.stats);
+
     sendJsonResponse(res, 200, { 
       transhtml: result.transhtml,
+      output: result.output,
       stats: result.stats 
     });
     
@@ -608,38 +877,1988 @@ async function handleReplace(req, res) {
       ...result.stats 
     });
   } catch (error) {
-    log('ERROR', 'Unexpected error during replace', { requestId, error: error.message });
-    sendJsonResponse(res, 500, { error: ERRORS.PROCESSING_ERROR });
+    sendErrorResponse(res, error, 'Replace failed', { requestId });
   }
 }
 
-// Create HTTP server
-const server = http.createServer(async (req, res) => {
-  // Enable CORS (optional, for flexibility)
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+// Create an error raised by a translation provider; retryable errors are retried with backoff
+function providerError(message, retryable, retryAfterMs = null) {
+  const error = new Error(message);
+  error.retryable = retryable;
+  error.retryAfterMs = retryAfterMs;
+  return error;
+}
 
-  // Handle OPTIONS preflight request
-  if (req.method === 'OPTIONS') {
-    res.writeHead(204);
-    res.end();
-    return;
+// POST JSON to a provider endpoint and parse the JSON response
+async function postProviderJson(url, headers, payload) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': CONTENT_TYPE_JSON, ...headers },
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(TRANSLATE_TIMEOUT_MS)
+    });
+  } catch (error) {
+    throw providerError(`Provider request failed: ${error.message}`, true);
   }
 
-  // Homepage - Return service name (GET /)
-  if (req.method === 'GET' && req.url === '/') {
-    res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
-    res.end(HOMEPAGE_CONTENT);
-    return;
+  if (!response.ok) {
+    // 429 and 5xx are transient; honor Retry-After (in seconds) when given
+    const retryAfter = parseInt(response.headers.get('retry-after'), 10);
+    throw providerError(
+      `Provider responded with HTTP ${response.status}`,
+      response.status === 429 || response.status >= 500,
+      Number.isNaN(retryAfter) ? null : retryAfter * 1000
+    );
   }
 
-  // Health check endpoint (GET /healthz)
-  if (req.method === 'GET' && req.url === '/healthz') {
-    res.writeHead(200, { 'Content-Type': 'text/plain' });
-    res.end('OK');
-    return;
-  }
+  try {
+    return await response.json();
+  } catch (error) {
+    throw providerError('Provider returned invalid JSON', false);
+  }
+}
+
+// OpenAI-compatible chat completions: the batch is sent and returned as a JSON array
+async function translateWithOpenAI(texts, config, langs) {
+  const source = langs.sourceLang || 'the detected source language';
+  const data = await postProviderJson(`${config.url}/chat/completions`, {
+    Authorization: `Bearer ${config.apiKey}`
+  }, {
+    model: config.model,
+    temperature: 0,
+    messages: [
+      {
+        role: 'system',
+        content: `Translate each string of the JSON array from ${source} to ${langs.targetLang}. ` +
+          'Keep HTML tags, attributes and placeholders such as <x1>, <x2/> or {1}{/1} exactly as they are. ' +
+          'Reply with only a JSON array of translated strings, in the same order and of the same length.'
+      },
+      { role: 'user', content: JSON.stringify(texts) }
+    ]
+  });
+
+  const content = data?.choices?.[0]?.message?.content;
+  if (typeof content !== 'string') {
+    throw providerError('Provider response has no message content', false);
+  }
+
+  // Models sometimes wrap the array in a Markdown code fence
+  const jsonText = content.replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, '');
+  try {
+    return JSON.parse(jsonText);
+  } catch (error) {
+    throw providerError('Provider reply is not a JSON array', true);
+  }
+}
+
+// DeepL-style API (POST /v2/translate with HTML tag handling)
+async function translateWithDeepL(texts, config, langs) {
+  const payload = {
+    text: texts,
+    target_lang: langs.targetLang.toUpperCase(),
+    tag_handling: 'html'
+  };
+  if (langs.sourceLang) {
+    payload.source_lang = langs.sourceLang.split(/[-_]/)[0].toUpperCase();
+  }
+
+  const data = await postProviderJson(`${config.url}/v2/translate`, {
+    Authorization: `DeepL-Auth-Key ${config.apiKey}`
+  }, payload);
+
+  if (!Array.isArray(data?.translations)) {
+    throw providerError('Provider response has no translations', false);
+  }
+  return data.translations.map(item => item.text);
+}
+
+// LibreTranslate (POST /translate with an array of HTML strings)
+async function translateWithLibreTranslate(texts, config, langs) {
+  const payload = {
+    q: texts,
+    source: langs.sourceLang || 'auto',
+    target: langs.targetLang,
+    format: 'html'
+  };
+  if (config.apiKey) {
+    payload.api_key = config.apiKey;
+  }
+
+  const data = await postProviderJson(`${config.url}/translate`, {}, payload);
+  if (!Array.isArray(data?.translatedText)) {
+    throw providerError('Provider response has no translatedText array', false);
+  }
+  return data.translatedText;
+}
+
+// Local echo provider for tests: returns every text unchanged
+async function translateWithEcho(texts) {
+  return texts.slice();
+}
+
+// Available translation providers
+const TRANSLATION_PROVIDERS = {
+  openai: {
+    translate: translateWithOpenAI,
+    defaultUrl: 'https://api.openai.com/v1',
+    defaultModel: 'gpt-4o-mini',
+    requiresKey: true
+  },
+  deepl: {
+    translate: translateWithDeepL,
+    defaultUrl: 'https://api-free.deepl.com',
+    requiresKey: true
+  },
+  libretranslate: {
+    translate: translateWithLibreTranslate,
+    defaultUrl: 'https://libretranslate.com',
+    requiresKey: false
+  },
+  echo: {
+    translate: translateWithEcho,
+    requiresKey: false
+  }
+};
+
+// Hosts a request's provider URL may point to: the built-in providers' own, plus TRANSLATE_ALLOWED_HOSTS
+const PROVIDER_HOSTS = new Set(Object.values(TRANSLATION_PROVIDERS)
+  .filter(provider => provider.defaultUrl)
+  .map(provider => new URL(provider.defaultUrl).hostname));
+
+// Check a provider URL given in a request: http(s) to a built-in provider or TRANSLATE_ALLOWED_HOSTS host
+function isAllowedProviderUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return false;
+  }
+  return (url.protocol === 'http:' || url.protocol === 'https:') &&
+    (PROVIDER_HOSTS.has(url.hostname) || TRANSLATE_ALLOWED_HOSTS.includes(url.hostname));
+}
+
+// Merge request provider settings over the environment defaults.
+// Returns null when the provider is unknown, missing a required setting, or its URL isn't allowed.
+function resolveProviderConfig(requested = {}) {
+  const name = requested.name || TRANSLATE_PROVIDER;
+  const provider = Object.hasOwn(TRANSLATION_PROVIDERS, name) ? TRANSLATION_PROVIDERS[name] : null;
+  if (!provider) {
+    return null;
+  }
+
+  // Environment URL/model only apply to the environment's provider
+  const fromEnv = name === TRANSLATE_PROVIDER;
+  const defaultUrl = ((fromEnv && TRANSLATE_API_URL) || provider.defaultUrl || '').replace(/\/+$/, '');
+  const url = requested.url ? requested.url.replace(/\/+$/, '') : defaultUrl;
+  if (url !== defaultUrl && !isAllowedProviderUrl(url)) {
+    return null;
+  }
+
+  // The environment's key is only ever sent to the environment's URL: a request naming
+  // another URL has to bring its own key
+  const config = {
+    name,
+    url,
+    apiKey: requested.apiKey || (fromEnv && url === defaultUrl && TRANSLATE_API_KEY) || null,
+    model: requested.model || (fromEnv && TRANSLATE_MODEL) || provider.defaultModel || null
+  };
+
+  if (provider.requiresKey && !config.apiKey) {
+    return null;
+  }
+  return config;
+}
+
+// Wait for a number of milliseconds
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Run an async operation, retrying retryable errors with exponential backoff and jitter.
+// A Retry-After longer than TRANSLATE_TIMEOUT_MS isn't waited for: the operation fails instead.
+async function withRetry(operation, maxRetries) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await operation();
+    } catch (error) {
+      if (!error.retryable || attempt >= maxRetries || error.retryAfterMs > TRANSLATE_TIMEOUT_MS) {
+        throw error;
+      }
+      const backoff = Math.min(500 * 2 ** attempt, 8000) + Math.random() * 250;
+      await sleep(error.retryAfterMs ?? backoff);
+    }
+  }
+}
+
+// Map items through an async worker with at most `limit` calls in flight
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+}
+
+// Translate extracted segments in batches. A failed batch doesn't fail the request:
+// its segments are reported in errors and left out of the translations.
+// Segments with a translation memory `translation` are used as they are.
+async function translateSegments(segments, config, langs) {
+  const provider = TRANSLATION_PROVIDERS[config.name];
+  const translations = [];
+  const errors = [];
+
+  // Deduplicated segments keep their duplicate paths for /merge and /replace to expand
+  const toTranslation = (segment, text) => segment.duplicates
+    ? { path: segment.path, text, duplicates: segment.duplicates }
+    : { path: segment.path, text };
+
+  // Segments pre-filled from the translation memory skip the provider
+  const pending = [];
+  for (const segment of segments) {
+    if (typeof segment.translation === 'string') {
+      translations.push(toTranslation(segment, segment.translation));
+    } else {
+      pending.push(segment);
+    }
+  }
+
+  const batches = [];
+  for (let i = 0; i < pending.length; i += TRANSLATE_BATCH_SIZE) {
+    batches.push(pending.slice(i, i + TRANSLATE_BATCH_SIZE));
+  }
+
+  await mapWithConcurrency(batches, TRANSLATE_CONCURRENCY, async (batch) => {
+    const texts = batch.map(segment => segment.text);
+    try {
+      const translated = await withRetry(async () => {
+        const result = await provider.translate(texts, config, langs);
+        if (!Array.isArray(result) || result.length !== texts.length) {
+          throw providerError('Provider returned a different number of translations', true);
+        }
+        return result;
+      }, TRANSLATE_MAX_RETRIES);
+
+      batch.forEach((segment, index) => {
+        if (typeof translated[index] === 'string') {
+          translations.push(toTranslation(segment, translated[index]));
+        } else {
+          errors.push({ path: segment.path, error: 'Provider returned a non-string translation' });
+        }
+      });
+    } catch (error) {
+      log('WARN', 'Translation batch failed', { provider: config.name, size: batch.length, error: error.message });
+      for (const segment of batch) {
+        errors.push({ path: segment.path, error: error.message });
+      }
+    }
+  });
+
+  // Batches complete out of order; keep translations in document order
+  const order = new Map(segments.map((segment, index) => [segment.path, index]));
+  translations.sort((a, b) => order.get(a.path) - order.get(b.path));
+  errors.sort((a, b) => order.get(a.path) - order.get(b.path));
+
+  return { translations, errors };
+}
+
+// Parse and validate /translate input: extract options plus merge/replace options
+function parseTranslateInput(req, body, res) {
+  const json = parseInput(req, body, res);
+  if (!json) {
+    return null;
+  }
+
+  if (!('targetLang' in json) || !hasValidMergeOptions(json)) {
+    sendJsonResponse(res, 400, { error: ERRORS.INVALID_INPUT });
+    return null;
+  }
+
+  if ('mode' in json && !TRANSLATE_MODES.has(json.mode)) {
+    sendJsonResponse(res, 400, { error: ERRORS.INVALID_INPUT });
+    return null;
+  }
+
+  const provider = json.provider;
+  if (provider !== undefined) {
+    const validObject = typeof provider === 'object' && provider !== null && !Array.isArray(provider);
+    if (!validObject || ['name', 'url', 'apiKey', 'model'].some(key => key in provider && typeof provider[key] !== 'string')) {
+      sendJsonResponse(res, 400, { error: ERRORS.INVALID_INPUT });
+      return null;
+    }
+  }
+
+  return json;
+}
+
+// Handle POST /translate endpoint: extract, translate with a provider, then merge or replace
+async function handleTranslate(req, res) {
+  const { requestId } = requestContext.getStore();
+
+  if (!validateToken(req, res)) {
+    log('WARN', 'Authentication failed', { requestId, ip: req.socket.remoteAddress });
+    return;
+  }
+
+  log('INFO', 'Translate request received', { requestId });
+
+  try {
+    const body = await readRequestBody(req, res);
+    const json = parseTranslateInput(req, body, res);
+    if (!json) {
+      log('WARN', 'Invalid translate input', { requestId });
+      return;
+    }
+
+    const config = resolveProviderConfig(json.provider);
+    if (!config) {
+      log('WARN', 'Invalid translation provider', { requestId });
+      sendJsonResponse(res, 400, { error: ERRORS.INVALID_INPUT });
+      return;
+    }
+
+    const htmlSize = json.html.length;
+    const mode = json.mode || 'replace';
+    log('INFO', 'Translate input validated', { requestId, htmlSize, provider: config.name, mode });
+    recordInputSize(htmlSize);
+
+    const extracted = await runDomJob('extract', [json.html, withStoredGlossary(json), false]);
+
+    const segments = extracted.texts;
+    markTmMatches(segments, json);
+    recordSegmentsExtracted(segments.length);
+    const langs = { sourceLang: json.sourceLang || null, targetLang: json.targetLang };
+    const { translations, errors } = await translateSegments(segments, config, langs);
+
+    const result = await runDomJob(mode, [json.html, translations, withStoredGlossary(json)]);
+
+    rememberTranslations(result.memory, json);
+    recordTranslationStats(result.stats);
+
+    sendJsonResponse(res, 200, {
+      transhtml: result.transhtml,
+      output: result.output,
+      stats: result.stats,
+      errors
+    });
+
+    log('INFO', 'Translate completed successfully', {
+      requestId,
+      htmlSize,
+      provider: config.name,
+      segments: segments.length,
+      providerErrors: errors.length,
+      ...result.stats
+    });
+  } catch (error) {
+    sendErrorResponse(res, error, 'Translate failed', { requestId });
+  }
+}
+
+// Delay before writing TM changes to TM_FILE, so bursts of writes are saved once
+const TM_SAVE_DELAY_MS = 1000;
+
+// Default and maximum number of entries returned by /tm/search
+const TM_SEARCH_LIMIT = 50;
+const TM_SEARCH_MAX_LIMIT = 1000;
+
+// Entries of the TM or glossary, keyed by tmKey(), kept apart per API key name (API_TOKEN is
+// "default") and capped at maxEntries per key: past the cap, the least recently used entries
+// are dropped. With a file, entries are saved to it as { "namespaces": { "<key name>": [...] } }.
+function createEntryStore(label, file, maxEntries) {
+  const namespaces = new Map();
+  let saveTimer = null;
+
+  // Entries of the current request's API key
+  const current = () => {
+    const name = requestContext.getStore()?.keyName ?? DEFAULT_KEY_NAME;
+    if (!namespaces.has(name)) {
+      namespaces.set(name, new Map());
+    }
+    return namespaces.get(name);
+  };
+
+  // Add or move an entry to the most recently used end, dropping the oldest past the cap
+  const put = (entries, key, entry) => {
+    entries.delete(key);
+    entries.set(key, entry);
+    if (entries.size > maxEntries) {
+      const [oldest] = entries.keys();
+      entries.delete(oldest);
+      log('WARN', `${label} full, dropped least recently used entry`, { maxEntries });
+    }
+  };
+
+  // Files written before entries were kept per key hold a single { "entries": [...] } list
+  if (file && existsSync(file)) {
+    try {
+      const data = JSON.parse(readFileSync(file, 'utf8'));
+      const stored = data.namespaces || { [DEFAULT_KEY_NAME]: data.entries };
+      for (const [name, list] of Object.entries(stored)) {
+        const entries = new Map();
+        for (const entry of list) {
+          put(entries, tmKey(entry.source, entry.sourceLang, entry.targetLang), entry);
+        }
+        namespaces.set(name, entries);
+      }
+      log('INFO', `${label} loaded`, { file, keys: namespaces.size });
+    } catch (error) {
+      log('ERROR', `Failed to load ${label.toLowerCase()}`, { file, error: error.message });
+    }
+  }
+
+  // Write the entries through a temporary file, so a crash can't leave the file half-written
+  const save = () => {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+
+    try {
+      const stored = {};
+      for (const [name, entries] of namespaces) {
+        stored[name] = Array.from(entries.values());
+      }
+      const tmpFile = `${file}.tmp`;
+      writeFileSync(tmpFile, JSON.stringify({ namespaces: stored }));
+      renameSync(tmpFile, file);
+    } catch (error) {
+      log('ERROR', `Failed to save ${label.toLowerCase()}`, { file, error: error.message });
+    }
+  };
+
+  return {
+    // Entries of the current request's API key, least recently used first
+    entries: current,
+
+    // An entry of the current key, counted as used
+    get(key) {
+      const entries = current();
+      const entry = entries.get(key);
+      if (entry) {
+        put(entries, key, entry);
+      }
+      return entry;
+    },
+
+    // Add or replace an entry of the current key
+    set(key, entry) {
+      put(current(), key, entry);
+      this.changed();
+    },
+
+    // Schedule a save after a change, so bursts of writes are saved once (no-op without a file)
+    changed() {
+      if (file && !saveTimer) {
+        saveTimer = setTimeout(save, TM_SAVE_DELAY_MS);
+      }
+    },
+
+    // Save right away if a save is pending (on shutdown)
+    flush() {
+      if (saveTimer) {
+        save();
+      }
+    }
+  };
+}
+
+const translationMemory = createEntryStore('Translation memory', TM_FILE, TM_MAX_ENTRIES);
+
+// Store a translation; an existing entry for the same source and language pair is updated
+function recordTranslation(source, target, sourceLang, targetLang) {
+  const key = tmKey(source, sourceLang, targetLang);
+  const now = new Date().toISOString();
+  const existing = translationMemory.get(key);
+
+  if (existing) {
+    existing.target = target;
+    existing.updatedAt = now;
+    translationMemory.changed();
+  } else {
+    translationMemory.set(key, {
+      source: normalizeTmText(source),
+      target,
+      sourceLang: normalizeTmLang(sourceLang),
+      targetLang: normalizeTmLang(targetLang),
+      hits: 0,
+      createdAt: now,
+      updatedAt: now
+    });
+  }
+}
+
+// Find the stored translation of a source text, counting the hit
+function lookupTranslation(source, sourceLang, targetLang) {
+  const entry = translationMemory.get(tmKey(source, sourceLang, targetLang));
+  if (entry) {
+    entry.hits++;
+    translationMemory.changed();
+  }
+  return entry || null;
+}
+
+// Write the translations applied by /merge, /replace or /translate into the TM.
+// Entries are keyed by target language, so requests without targetLang aren't remembered.
+function rememberTranslations(memory, options) {
+  if (!options.targetLang || options.remember === false) {
+    return;
+  }
+  for (const { source, text } of memory.applied) {
+    if (source) {
+      recordTranslation(source, text, memory.sourceLang, options.targetLang);
+    }
+  }
+}
+
+// Check if a TM entry matches optional sourceLang/targetLang filters
+function matchesLanguagePair(entry, filters) {
+  return (!filters.sourceLang || entry.sourceLang === normalizeTmLang(filters.sourceLang)) &&
+    (!filters.targetLang || entry.targetLang === normalizeTmLang(filters.targetLang));
+}
+
+// POST /tm/import: add entries, replacing existing ones unless overwrite is false
+function importTmEntries(json) {
+  const { entries } = json;
+  const validEntry = entry => typeof entry === 'object' && entry !== null &&
+    typeof entry.source === 'string' && entry.source.trim() !== '' &&
+    typeof entry.target === 'string' && entry.target.trim() !== '' &&
+    isOptionalLanguage(entry.sourceLang) && typeof entry.targetLang === 'string' && entry.targetLang.trim() !== '';
+
+  if (!Array.isArray(entries) || !entries.every(validEntry) || ('overwrite' in json && typeof json.overwrite !== 'boolean')) {
+    return null;
+  }
+
+  let imported = 0;
+  let skipped = 0;
+  for (const entry of entries) {
+    if (json.overwrite === false && translationMemory.entries().has(tmKey(entry.source, entry.sourceLang, entry.targetLang))) {
+      skipped++;
+      continue;
+    }
+    recordTranslation(entry.source, entry.target, entry.sourceLang, entry.targetLang);
+    imported++;
+  }
+  return { imported, skipped };
+}
+
+// POST /tm/export: all entries, optionally for one language pair
+function exportTmEntries(json) {
+  if (!isOptionalLanguage(json.sourceLang) || !isOptionalLanguage(json.targetLang)) {
+    return null;
+  }
+  const entries = Array.from(translationMemory.entries().values()).filter(entry => matchesLanguagePair(entry, json));
+  return { entries };
+}
+
+// POST /tm/search: case-insensitive substring search over source and target text
+function searchTmEntries(json) {
+  const limit = json.limit ?? TM_SEARCH_LIMIT;
+  if (typeof json.query !== 'string' || !json.query.trim() ||
+      !isOptionalLanguage(json.sourceLang) || !isOptionalLanguage(json.targetLang) ||
+      !Number.isInteger(limit) || limit < 1 || limit > TM_SEARCH_MAX_LIMIT) {
+    return null;
+  }
+
+  const query = normalizeTmText(json.query).toLowerCase();
+  const entries = [];
+  for (const entry of translationMemory.entries().values()) {
+    if (entries.length >= limit) {
+      break;
+    }
+    const matches = entry.source.toLowerCase().includes(query) || entry.target.toLowerCase().includes(query);
+    if (matches && matchesLanguagePair(entry, json)) {
+      entries.push(entry);
+    }
+  }
+  return { entries };
+}
+
+// POST /tm/purge: delete entries by language pair and/or last update before a date.
+// At least one filter (or "all": true) is required, so an empty body can't wipe the TM.
+function purgeTmEntries(json) {
+  const before = 'before' in json ? Date.parse(json.before) : null;
+  if (!isOptionalLanguage(json.sourceLang) || !isOptionalLanguage(json.targetLang) ||
+      Number.isNaN(before) || ('all' in json && json.all !== true)) {
+    return null;
+  }
+  if (!json.all && !json.sourceLang && !json.targetLang && before === null) {
+    return null;
+  }
+
+  let purged = 0;
+  const entries = translationMemory.entries();
+  for (const [key, entry] of entries) {
+    if (matchesLanguagePair(entry, json) && (before === null || Date.parse(entry.updatedAt) < before)) {
+      entries.delete(key);
+      purged++;
+    }
+  }
+  if (purged > 0) {
+    translationMemory.changed();
+  }
+  return { purged };
+}
+
+// Translation memory endpoints and their operations. Each returns the response body,
+// or null for invalid input.
+const TM_ROUTES = {
+  '/tm/import': importTmEntries,
+  '/tm/export': exportTmEntries,
+  '/tm/search': searchTmEntries,
+  '/tm/purge': purgeTmEntries
+};
+
+// Parse a JSON object request body
+function parseJsonBody(req, body, res) {
+  const contentType = req.headers[HEADER_CONTENT_TYPE];
+  if (contentType && !contentType.includes(CONTENT_TYPE_JSON)) {
+    sendJsonResponse(res, 400, { error: ERRORS.INVALID_INPUT });
+    return null;
+  }
+
+  let json;
+  try {
+    json = JSON.parse(body);
+  } catch (error) {
+    sendJsonResponse(res, 400, { error: ERRORS.INVALID_INPUT });
+    return null;
+  }
+
+  if (typeof json !== 'object' || json === null || Array.isArray(json)) {
+    sendJsonResponse(res, 400, { error: ERRORS.INVALID_INPUT });
+    return null;
+  }
+  return json;
+}
+
+// Handle POST /tm/* endpoints
+async function handleTranslationMemory(req, res, operation) {
+  const { requestId } = requestContext.getStore();
+
+  if (!validateToken(req, res)) {
+    log('WARN', 'Authentication failed', { requestId, ip: req.socket.remoteAddress });
+    return;
+  }
+
+  log('INFO', 'Translation memory request received', { requestId, route: req.url });
+
+  try {
+    const body = await readRequestBody(req, res);
+    const json = parseJsonBody(req, body, res);
+    if (!json) {
+      log('WARN', 'Invalid translation memory input', { requestId });
+      return;
+    }
+
+    const result = operation(json);
+    if (!result) {
+      log('WARN', 'Invalid translation memory input', { requestId });
+      sendJsonResponse(res, 400, { error: ERRORS.INVALID_INPUT });
+      return;
+    }
+
+    sendJsonResponse(res, 200, result);
+    log('INFO', 'Translation memory request completed', { requestId, route: req.url, entries: translationMemory.entries().size });
+  } catch (error) {
+    sendErrorResponse(res, error, 'Translation memory request failed', { requestId });
+  }
+}
+
+// Parse and validate /diff input: extract options plus oldHtml and the previous translations
+function parseDiffInput(req, body, res) {
+  const json = parseInput(req, body, res);
+  if (!json) {
+    return null;
+  }
+
+  if (typeof json.oldHtml !== 'string') {
+    sendJsonResponse(res, 400, { error: ERRORS.INVALID_INPUT });
+    return null;
+  }
+
+  if (json.oldHtml.length > MAX_HTML_SIZE) {
+    sendPayloadTooLarge(res, MAX_HTML_SIZE);
+    return null;
+  }
+
+  if (!isValidTranslationList(json.translations)) {
+    sendJsonResponse(res, 400, { error: ERRORS.INVALID_INPUT });
+    return null;
+  }
+
+  return json;
+}
+
+// Handle POST /diff endpoint: find the segments of a new page version that need translation
+async function handleDiff(req, res) {
+  const { requestId } = requestContext.getStore();
+
+  if (!validateToken(req, res)) {
+    log('WARN', 'Authentication failed', { requestId, ip: req.socket.remoteAddress });
+    return;
+  }
+
+  log('INFO', 'Diff request received', { requestId });
+
+  try {
+    const body = await readRequestBody(req, res);
+    const json = parseDiffInput(req, body, res);
+    if (!json) {
+      log('WARN', 'Invalid diff input', { requestId });
+      return;
+    }
+
+    const htmlSize = json.html.length;
+    log('INFO', 'Diff input validated', { requestId, htmlSize, oldHtmlSize: json.oldHtml.length });
+    recordInputSize(htmlSize);
+
+    // Both versions are extracted segment by segment; dedupe applies to the result only
+    const extractOptions = withStoredGlossary({ ...json, dedupe: false, tm: undefined });
+    const oldExtracted = await runDomJob('extract', [json.oldHtml, extractOptions, false]);
+    const newExtracted = await runDomJob('extract', [json.html, extractOptions, false]);
+
+    const result = diffSegments(oldExtracted.texts, newExtracted.texts, json.translations);
+    if (json.dedupe) {
+      result.segments = dedupeSegments(result.segments);
+    }
+
+    sendJsonResponse(res, 200, result);
+    log('INFO', 'Diff completed successfully', { requestId, htmlSize, ...result.stats });
+  } catch (error) {
+    sendErrorResponse(res, error, 'Diff failed', { requestId });
+  }
+}
+
+// Get the translations of a /merge or /replace request, from the JSON array or an
+// imported file. File translations use XML placeholders, so merging decodes them as such.
+function readTranslationInput(json, res) {
+  if (!('file' in json)) {
+    return { translations: json.translations, options: json, imported: null };
+  }
+
+  const imported = SEGMENT_IMPORTERS[json.format](json.file);
+  if (!imported) {
+    sendJsonResponse(res, 400, { error: ERRORS.INVALID_INPUT });
+    return null;
+  }
+  return { translations: imported.translations, options: { ...json, placeholders: 'xml' }, imported };
+}
+
+// Report untranslated and needs-review units of an imported file in stats
+function addImportStats(stats, imported) {
+  stats.untranslated = imported.untranslated.length;
+  stats.untranslatedPaths = imported.untranslated;
+  stats.needsReview = imported.needsReview.length;
+  stats.needsReviewPaths = imported.needsReview;
+}
+
+// EPUB limits: archive size and body size of JSON requests (base64 plus translations)
+const MAX_EPUB_SIZE = 50 * 1024 * 1024; // 50MB
+const MAX_EPUB_BODY_SIZE = 100 * 1024 * 1024; // 100MB
+const CONTENT_TYPE_EPUB = 'application/epub+zip';
+// Read the EPUB of a request: a raw application/epub+zip body, or base64 in a JSON "epub" field.
+// Returns { json, buffer } or null after sending an error.
+function parseEpubInput(req, body, res, requireTranslations) {
+  const contentType = req.headers[HEADER_CONTENT_TYPE] || '';
+  let json = {};
+  let buffer;
+
+  if (contentType.includes(CONTENT_TYPE_EPUB)) {
+    // Raw uploads carry no options, so they can only be extracted
+    if (requireTranslations) {
+      sendJsonResponse(res, 400, { error: ERRORS.INVALID_INPUT });
+      return null;
+    }
+    buffer = body;
+  } else {
+    json = parseJsonBody(req, body.toString('utf8'), res);
+    if (!json) {
+      return null;
+    }
+    if (typeof json.epub !== 'string') {
+      sendJsonResponse(res, 400, { error: ERRORS.INVALID_INPUT });
+      return null;
+    }
+    buffer = Buffer.from(json.epub, 'base64');
+  }
+
+  if (buffer.length === 0) {
+    sendJsonResponse(res, 400, { error: ERRORS.INVALID_INPUT });
+    return null;
+  }
+
+  if (buffer.length > MAX_EPUB_SIZE) {
+    sendPayloadTooLarge(res, MAX_EPUB_SIZE);
+    return null;
+  }
+
+  // Same options as /extract and /merge; documents are always XHTML, segments always JSON
+  const valid = requireTranslations
+    ? isValidTranslationList(json.translations) && hasValidMergeOptions(json) && !('output' in json)
+    : hasValidExtractOptions(json) && !('format' in json && json.format !== 'json');
+  if (!valid || 'sourceFormat' in json) {
+    sendJsonResponse(res, 400, { error: ERRORS.INVALID_INPUT });
+    return null;
+  }
+
+  return { json, buffer };
+}
+
+// Handle POST /epub/extract, /epub/merge and /epub/replace
+async function handleEpub(req, res, mode) {
+  const { requestId } = requestContext.getStore();
+
+  if (!validateToken(req, res)) {
+    log('WARN', 'Authentication failed', { requestId, ip: req.socket.remoteAddress });
+    return;
+  }
+
+  log('INFO', 'EPUB request received', { requestId, mode });
+
+  try {
+    const body = await readRequestBuffer(req, res, MAX_EPUB_BODY_SIZE);
+    const input = parseEpubInput(req, body, res, mode !== 'extract');
+    if (!input) {
+      log('WARN', 'Invalid EPUB input', { requestId });
+      return;
+    }
+
+    const result = await runDomJob('epub', [input.buffer, withStoredGlossary(input.json), mode]);
+
+    const size = input.buffer.length;
+    if (mode === 'extract') {
+      markTmMatches(result.texts, input.json);
+      recordSegmentsExtracted(result.texts.length);
+      sendJsonResponse(res, 200, { texts: result.texts });
+      log('INFO', 'EPUB extract completed successfully', { requestId, size, documents: result.documents, textCount: result.texts.length });
+      return;
+    }
+
+    rememberTranslations(result.memory, input.json);
+    recordTranslationStats(result.stats);
+
+    // The archive comes back from the worker as a Uint8Array
+    const epub = Buffer.from(result.epub.buffer, result.epub.byteOffset, result.epub.length);
+    sendJsonResponse(res, 200, { epub: epub.toString('base64'), stats: result.stats });
+    log('INFO', 'EPUB translation completed successfully', { requestId, mode, size: epub.length, documents: result.documents, ...result.stats });
+  } catch (error) {
+    sendErrorResponse(res, error, 'EPUB processing failed', { requestId });
+  }
+}
+
+// EPUB endpoints
+const EPUB_ROUTES = {
+  '/epub/extract': 'extract',
+  '/epub/merge': 'merge',
+  '/epub/replace': 'replace'
+};
+
+// Glossary entries, keyed like the TM (term plus language pair)
+const glossaryEntries = createEntryStore('Glossary', GLOSSARY_FILE, GLOSSARY_MAX_ENTRIES);
+
+// Processing options with the stored glossary entries for the request's target language ahead
+// of its inline glossary; the engine picks each term's entry for the document's source language
+function withStoredGlossary(options) {
+  const stored = Array.from(glossaryEntries.entries().values()).filter(entry => glossaryLanguageMatches(entry.targetLang, options.targetLang));
+  return stored.length > 0 ? { ...options, glossary: [...stored, ...(options.glossary || [])] } : options;
+}
+
+// Store a glossary entry; an existing one for the same term and language pair is replaced
+function recordGlossaryEntry(entry, sourceLang, targetLang) {
+  const key = tmKey(entry.source, sourceLang, targetLang);
+  const now = new Date().toISOString();
+  const existing = glossaryEntries.entries().get(key);
+
+  glossaryEntries.set(key, {
+    source: normalizeTmText(entry.source),
+    target: entry.doNotTranslate ? null : entry.target,
+    doNotTranslate: entry.doNotTranslate === true,
+    caseSensitive: entry.caseSensitive === true,
+    sourceLang: normalizeTmLang(sourceLang),
+    targetLang: normalizeTmLang(targetLang),
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now
+  });
+}
+
+// POST /glossary/import: add entries for a language pair (per entry or for the whole request).
+// Translations need a target language; do-not-translate terms without languages apply to any pair.
+function importGlossaryEntries(json) {
+  const { entries } = json;
+  const validEntry = entry => isValidGlossaryEntry(entry) &&
+    isOptionalLanguage(entry.sourceLang) && isOptionalLanguage(entry.targetLang) &&
+    (entry.doNotTranslate === true || Boolean(entry.targetLang || json.targetLang));
+
+  if (!isOptionalLanguage(json.sourceLang) || !isOptionalLanguage(json.targetLang) ||
+      !Array.isArray(entries) || !entries.every(validEntry) || ('overwrite' in json && typeof json.overwrite !== 'boolean')) {
+    return null;
+  }
+
+  let imported = 0;
+  let skipped = 0;
+  for (const entry of entries) {
+    const sourceLang = entry.sourceLang || json.sourceLang;
+    const targetLang = entry.targetLang || json.targetLang;
+    if (json.overwrite === false && glossaryEntries.entries().has(tmKey(entry.source, sourceLang, targetLang))) {
+      skipped++;
+      continue;
+    }
+    recordGlossaryEntry(entry, sourceLang, targetLang);
+    imported++;
+  }
+  return { imported, skipped };
+}
+
+// POST /glossary/export: all entries, optionally for one language pair
+function exportGlossaryEntries(json) {
+  if (!isOptionalLanguage(json.sourceLang) || !isOptionalLanguage(json.targetLang)) {
+    return null;
+  }
+  const entries = Array.from(glossaryEntries.entries().values()).filter(entry => matchesLanguagePair(entry, json));
+  return { entries };
+}
+
+// POST /glossary/purge: delete entries by language pair and/or term ("all": true deletes everything)
+function purgeGlossaryEntries(json) {
+  if (!isOptionalLanguage(json.sourceLang) || !isOptionalLanguage(json.targetLang) ||
+      ('source' in json && (typeof json.source !== 'string' || !json.source.trim())) || ('all' in json && json.all !== true)) {
+    return null;
+  }
+  if (!json.all && !json.sourceLang && !json.targetLang && !json.source) {
+    return null;
+  }
+
+  const source = json.source ? normalizeTmText(json.source).toLowerCase() : null;
+  let purged = 0;
+  const entries = glossaryEntries.entries();
+  for (const [key, entry] of entries) {
+    if (matchesLanguagePair(entry, json) && (!source || entry.source.toLowerCase() === source)) {
+      entries.delete(key);
+      purged++;
+    }
+  }
+  if (purged > 0) {
+    glossaryEntries.changed();
+  }
+  return { purged };
+}
+
+// Glossary endpoints and their operations. Each returns the response body, or null for invalid input.
+const GLOSSARY_ROUTES = {
+  '/glossary/import': importGlossaryEntries,
+  '/glossary/export': exportGlossaryEntries,
+  '/glossary/purge': purgeGlossaryEntries
+};
+
+// Handle POST /glossary/* endpoints
+async function handleGlossary(req, res, operation) {
+  const { requestId } = requestContext.getStore();
+
+  if (!validateToken(req, res)) {
+    log('WARN', 'Authentication failed', { requestId, ip: req.socket.remoteAddress });
+    return;
+  }
+
+  log('INFO', 'Glossary request received', { requestId, route: req.url });
+
+  try {
+    const body = await readRequestBody(req, res);
+    const json = parseJsonBody(req, body, res);
+    if (!json) {
+      log('WARN', 'Invalid glossary input', { requestId });
+      return;
+    }
+
+    const result = operation(json);
+    if (!result) {
+      log('WARN', 'Invalid glossary input', { requestId });
+      sendJsonResponse(res, 400, { error: ERRORS.INVALID_INPUT });
+      return;
+    }
+
+    sendJsonResponse(res, 200, result);
+    log('INFO', 'Glossary request completed', { requestId, route: req.url, entries: glossaryEntries.entries().size });
+  } catch (error) {
+    sendErrorResponse(res, error, 'Glossary request failed', { requestId });
+  }
+}
+
+// Batch jobs: /jobs/submit body size and job modes
+const MAX_JOB_BODY_SIZE = 200 * 1024 * 1024; // 200MB
+const JOB_MODES = new Set(['extract', 'merge', 'replace']);
+
+// Documents read ahead of the running ones, so results can be written in submission order,
+// and how often finished jobs past JOB_RETENTION_HOURS are removed
+const JOB_WINDOW_FACTOR = 4;
+const JOB_CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+// A document finding the pool's queue full is retried every JOB_BUSY_RETRY_MS, at most
+// JOB_BUSY_MAX_RETRIES times, then fails with SERVER_BUSY
+const JOB_BUSY_RETRY_MS = 1000;
+const JOB_BUSY_MAX_RETRIES = 60;
+
+// Hosts a job webhook may call: loopback, plus JOB_WEBHOOK_HOSTS
+const LOOPBACK_HOSTS = new Set(['localhost', '127.0.0.1', '[::1]']);
+
+// Batch jobs by ID ({ id, key, mode, options, webhook, status, counters, timestamps }), the
+// queued ones (jobs run one at a time, JOB_CONCURRENCY documents at once), and without
+// JOBS_DIR their documents and result lines
+const batchJobs = new Map();
+const batchQueue = [];
+let batchRunning = false;
+
+// Check a webhook URL: http(s) to a loopback or JOB_WEBHOOK_HOSTS host
+function isValidWebhook(webhook) {
+  let url;
+  try {
+    url = new URL(webhook);
+  } catch (error) {
+    return false;
+  }
+  return (url.protocol === 'http:' || url.protocol === 'https:') &&
+    (LOOPBACK_HOSTS.has(url.hostname) || JOB_WEBHOOK_HOSTS.includes(url.hostname));
+}
+
+// A merge/replace job translation that reuses the translation of a segment in another
+// document of the job (extract jobs with dedupe list repeated segments this way)
+function isJobReference(trans) {
+  return typeof trans === 'object' && trans !== null && !('text' in trans) &&
+    typeof trans.path === 'string' &&
+    typeof trans.duplicateOf === 'object' && trans.duplicateOf !== null &&
+    typeof trans.duplicateOf.id === 'string' && typeof trans.duplicateOf.path === 'string' &&
+    (!('duplicates' in trans) || isStringList(trans.duplicates));
+}
+
+// Check a job document: optional ID, HTML, and translations for merge/replace jobs
+function isValidJobDocument(document, mode) {
+  if (typeof document !== 'object' || document === null || Array.isArray(document)) {
+    return false;
+  }
+  if ('id' in document && (typeof document.id !== 'string' || document.id === '')) {
+    return false;
+  }
+  if (typeof document.html !== 'string') {
+    return false;
+  }
+  if (mode === 'extract') {
+    return !('translations' in document);
+  }
+  return Array.isArray(document.translations) &&
+    document.translations.every(trans => isJobReference(trans) || isValidTranslationList([trans]));
+}
+
+// Translations of a job's documents by document ID and path (duplicate paths included),
+// for resolving references
+function jobTranslationIndex(documents) {
+  const index = new Map();
+  for (const document of documents) {
+    for (const trans of document.translations || []) {
+      if (!isJobReference(trans)) {
+        for (const path of [trans.path, ...(trans.duplicates || [])]) {
+          index.set(`${document.id}\n${path}`, trans.text);
+        }
+      }
+    }
+  }
+  return index;
+}
+
+// Parse NDJSON into its values (blank lines are skipped), or null when a line isn't JSON
+function parseNdjson(body) {
+  const values = [];
+  for (const line of body.split('\n')) {
+    if (line.trim() === '') {
+      continue;
+    }
+    try {
+      values.push(JSON.parse(line));
+    } catch (error) {
+      return null;
+    }
+  }
+  return values;
+}
+
+// Parse and validate /jobs/submit input. JSON bodies are an array of documents or an object
+// with `documents` and the job fields; NDJSON bodies are one document per line, optionally
+// after a first line with the job fields. Job fields are `mode`, `webhook` and the options
+// of /extract or /merge, applied to every document.
+function parseJobInput(req, body, res) {
+  const contentType = req.headers[HEADER_CONTENT_TYPE] || '';
+  let header = {};
+  let documents;
+
+  if (contentType.includes(CONTENT_TYPE_NDJSON)) {
+    documents = parseNdjson(body);
+    if (documents && documents.length > 0 && typeof documents[0] === 'object' && documents[0] !== null && !('html' in documents[0])) {
+      header = documents.shift();
+    }
+  } else {
+    if (contentType && !contentType.includes(CONTENT_TYPE_JSON)) {
+      sendJsonResponse(res, 400, { error: ERRORS.INVALID_INPUT });
+      return null;
+    }
+    try {
+      const json = JSON.parse(body);
+      if (Array.isArray(json)) {
+        documents = json;
+      } else if (typeof json === 'object' && json !== null) {
+        ({ documents, ...header } = json);
+      }
+    } catch (error) {
+      documents = null;
+    }
+  }
+
+  const { mode = 'extract', webhook, ...options } = header;
+  if (!Array.isArray(documents) || documents.length === 0 || !JOB_MODES.has(mode)) {
+    sendJsonResponse(res, 400, { error: ERRORS.INVALID_INPUT });
+    return null;
+  }
+
+  // Job options are those of /extract (JSON segments only) or /merge, without per-document fields
+  const validOptions = mode === 'extract'
+    ? hasValidExtractOptions(options) && !('format' in options && options.format !== 'json')
+    : hasValidMergeOptions(options);
+  if (!validOptions || ['html', 'translations', 'file'].some(field => field in options) ||
+    (webhook !== undefined && (typeof webhook !== 'string' || !isValidWebhook(webhook)))) {
+    sendJsonResponse(res, 400, { error: ERRORS.INVALID_INPUT });
+    return null;
+  }
+
+  // Documents without an ID are named by their position; IDs must be unique, and references
+  // must point to a translation in the job
+  const ids = new Set();
+  for (const [index, document] of documents.entries()) {
+    if (!isValidJobDocument(document, mode)) {
+      sendJsonResponse(res, 400, { error: ERRORS.INVALID_INPUT });
+      return null;
+    }
+    if (document.html.length > MAX_HTML_SIZE) {
+      sendPayloadTooLarge(res, MAX_HTML_SIZE);
+      return null;
+    }
+    document.id = document.id ?? String(index);
+    if (ids.has(document.id)) {
+      sendJsonResponse(res, 400, { error: ERRORS.INVALID_INPUT });
+      return null;
+    }
+    ids.add(document.id);
+  }
+  if (mode !== 'extract') {
+    const translations = jobTranslationIndex(documents);
+    const resolvable = documents.every(document => document.translations.every(trans =>
+      !isJobReference(trans) || translations.has(`${trans.duplicateOf.id}\n${trans.duplicateOf.path}`)));
+    if (!resolvable) {
+      sendJsonResponse(res, 400, { error: ERRORS.INVALID_INPUT });
+      return null;
+    }
+  }
+
+  return { mode, webhook: webhook || null, options, documents };
+}
+
+// Directory of a job in JOBS_DIR
+function batchDir(batch) {
+  return join(JOBS_DIR, batch.id);
+}
+
+// A job's state as stored and reported (documents and results are kept separately)
+function batchState(batch) {
+  const { id, key, mode, options, webhook, status, documents, processed, errors, segments, stats, error, createdAt, startedAt, finishedAt } = batch;
+  return { id, key, mode, options, webhook, status, documents, processed, errors, segments, stats, error, createdAt, startedAt, finishedAt };
+}
+
+// Response body of /jobs/status: the state without the key name, options and webhook
+function batchStatus(batch) {
+  const { key, options, webhook, ...status } = batchState(batch);
+  return status;
+}
+
+// Write a job's state to JOBS_DIR through a temporary file (no-op without JOBS_DIR)
+function saveBatchState(batch) {
+  if (!JOBS_DIR || batch.deleted) {
+    return;
+  }
+  const file = join(batchDir(batch), 'job.json');
+  writeFileSync(`${file}.tmp`, JSON.stringify(batchState(batch)));
+  renameSync(`${file}.tmp`, file);
+}
+
+// Documents of a job, from memory or JOBS_DIR
+function readBatchDocuments(batch) {
+  if (!JOBS_DIR) {
+    return batch.inputs;
+  }
+  return readFileSync(join(batchDir(batch), 'documents.ndjson'), 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+// Complete result lines of a job, from memory or JOBS_DIR (a line cut short by a crash is dropped)
+function readBatchResults(batch) {
+  if (!JOBS_DIR) {
+    return batch.results;
+  }
+  const file = join(batchDir(batch), 'results.ndjson');
+  if (!existsSync(file)) {
+    return [];
+  }
+  const lines = readFileSync(file, 'utf8').split('\n');
+  lines.pop();
+  return lines;
+}
+
+// Append result lines to a job
+function appendBatchResults(batch, lines) {
+  if (!JOBS_DIR) {
+    batch.results.push(...lines);
+  } else if (!batch.deleted) {
+    appendFileSync(join(batchDir(batch), 'results.ndjson'), lines.map(line => `${line}\n`).join(''));
+  }
+}
+
+// Count a result into a job's counters: processed documents, failed documents, extracted
+// segments, and the merged/replaced/skipped/failed translation stats
+function countBatchResult(batch, result) {
+  batch.processed++;
+  if (result.error) {
+    batch.errors++;
+  } else if (result.texts) {
+    batch.segments += result.texts.length;
+  } else {
+    for (const field of TRANSLATION_RESULTS) {
+      if (result.stats[field]) {
+        batch.stats[field] = (batch.stats[field] || 0) + result.stats[field];
+      }
+    }
+  }
+}
+
+// Create a job from validated /jobs/submit input and queue it
+function createBatchJob(input, key) {
+  const batch = {
+    id: randomUUID(),
+    key,
+    mode: input.mode,
+    options: input.options,
+    webhook: input.webhook,
+    status: 'queued',
+    documents: input.documents.length,
+    processed: 0,
+    errors: 0,
+    segments: 0,
+    stats: {},
+    error: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null
+  };
+
+  if (JOBS_DIR) {
+    mkdirSync(batchDir(batch), { recursive: true });
+    writeFileSync(join(batchDir(batch), 'documents.ndjson'), input.documents.map(document => `${JSON.stringify(document)}\n`).join(''));
+    saveBatchState(batch);
+  } else {
+    batch.inputs = input.documents;
+    batch.results = [];
+  }
+
+  batchJobs.set(batch.id, batch);
+  batchQueue.push(batch);
+  return batch;
+}
+
+// Process one document of a job into its result line: segments, the translated document,
+// or the error code (the job goes on). With the pool's queue full, the document waits and is
+// retried, unless the job was canceled meanwhile.
+async function processBatchDocument(batch, document, translations) {
+  recordInputSize(document.html.length);
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await runBatchDocument(batch, document, translations);
+    } catch (error) {
+      if (error.code === ERRORS.SERVER_BUSY && attempt < JOB_BUSY_MAX_RETRIES) {
+        await sleep(JOB_BUSY_RETRY_MS);
+        if (batch.status === 'running') {
+          continue;
+        }
+      }
+      const code = Object.hasOwn(ERROR_STATUS, error.code) ? error.code : ERRORS.PROCESSING_ERROR;
+      log('WARN', 'Job document failed', { job: batch.id, document: document.id, code, error: error.message });
+      return { id: document.id, error: code, ...ERROR_DETAILS[code]?.(error) };
+    }
+  }
+}
+
+// Run one document of a job on the pool
+async function runBatchDocument(batch, document, translations) {
+  const options = withStoredGlossary(batch.options);
+
+  if (batch.mode === 'extract') {
+    const { texts } = await runDomJob('extract', [document.html, options, false]);
+    markTmMatches(texts, batch.options);
+    recordSegmentsExtracted(texts.length);
+    return { id: document.id, texts };
+  }
+
+  const resolved = document.translations.map(trans => {
+    if (!isJobReference(trans)) {
+      return trans;
+    }
+    const { duplicateOf, ...rest } = trans;
+    return { ...rest, text: translations.get(`${duplicateOf.id}\n${duplicateOf.path}`) };
+  });
+  const result = await runDomJob(batch.mode, [document.html, resolved, options]);
+  rememberTranslations(result.memory, batch.options);
+  recordTranslationStats(result.stats);
+  return { id: document.id, transhtml: result.transhtml, output: result.output, stats: result.stats };
+}
+
+// With dedupe, a segment whose text came up in an earlier document of the job is replaced by
+// a reference to its first occurrence (`seen` maps segment text keys to { id, path }).
+// Results read back after a restart already hold their references.
+function dedupeBatchResult(result, seen) {
+  if (!result.texts) {
+    return result;
+  }
+  const texts = result.texts.map(segment => {
+    if (segment.duplicateOf) {
+      return segment;
+    }
+    const key = segmentTextKey(segment);
+    const first = seen.get(key);
+    if (!first) {
+      seen.set(key, { id: result.id, path: segment.path });
+      return segment;
+    }
+    return segment.duplicates
+      ? { path: segment.path, duplicates: segment.duplicates, duplicateOf: first }
+      : { path: segment.path, duplicateOf: first };
+  });
+  return { ...result, texts };
+}
+
+// Run a job: documents are processed JOB_CONCURRENCY at a time and their results appended in
+// submission order, with the job's state saved after each window, so a restarted server
+// resumes after the last result written
+async function runBatchJob(batch) {
+  batch.status = 'running';
+  batch.startedAt = batch.startedAt || new Date().toISOString();
+  saveBatchState(batch);
+  log('INFO', 'Job started', { job: batch.id, mode: batch.mode, documents: batch.documents, processed: batch.processed });
+
+  try {
+    const documents = readBatchDocuments(batch);
+    const translations = batch.mode === 'extract' ? null : jobTranslationIndex(documents);
+
+    // Segments of the results already written count as seen
+    const seen = new Map();
+    if (batch.mode === 'extract' && batch.options.dedupe) {
+      for (const line of readBatchResults(batch)) {
+        dedupeBatchResult(JSON.parse(line), seen);
+      }
+    }
+
+    const windowSize = JOB_CONCURRENCY * JOB_WINDOW_FACTOR;
+    while (batch.processed < documents.length && batch.status === 'running') {
+      const window = documents.slice(batch.processed, batch.processed + windowSize);
+      const results = await mapWithConcurrency(window, JOB_CONCURRENCY, document => processBatchDocument(batch, document, translations));
+      if (batch.status !== 'running') {
+        break;
+      }
+
+      const lines = results.map(result => {
+        const line = batch.options.dedupe ? dedupeBatchResult(result, seen) : result;
+        countBatchResult(batch, line);
+        return JSON.stringify(line);
+      });
+      appendBatchResults(batch, lines);
+      saveBatchState(batch);
+    }
+
+    if (batch.status === 'running') {
+      batch.status = 'completed';
+    }
+  } catch (error) {
+    log('ERROR', 'Job failed', { job: batch.id, error: error.message, stack: error.stack });
+    batch.status = 'failed';
+    batch.error = error.message;
+  }
+
+  batch.finishedAt = new Date().toISOString();
+  saveBatchState(batch);
+  log('INFO', 'Job finished', { job: batch.id, status: batch.status, processed: batch.processed, errors: batch.errors });
+  notifyWebhook(batch);
+}
+
+// Run queued jobs one after another, each in its own log context (the job's key name)
+async function runBatchQueue() {
+  if (batchRunning) {
+    return;
+  }
+  batchRunning = true;
+  while (batchQueue.length > 0) {
+    const batch = batchQueue.shift();
+    await requestContext.run({ requestId: batch.id, route: '/jobs/submit', keyName: batch.key }, () => runBatchJob(batch));
+  }
+  batchRunning = false;
+}
+
+// POST the status of a finished job to its webhook, retrying network errors, 429 and 5xx.
+// Redirects are not followed (they could lead off the allowed hosts) and count as failures.
+async function notifyWebhook(batch) {
+  if (!batch.webhook || batch.deleted) {
+    return;
+  }
+
+  try {
+    await withRetry(async () => {
+      let response;
+      try {
+        response = await fetch(batch.webhook, {
+          method: 'POST',
+          redirect: 'manual',
+          headers: { 'Content-Type': CONTENT_TYPE_JSON },
+          body: JSON.stringify(batchStatus(batch)),
+          signal: AbortSignal.timeout(TRANSLATE_TIMEOUT_MS)
+        });
+      } catch (error) {
+        throw providerError(`Webhook request failed: ${error.message}`, true);
+      }
+      if (!response.ok) {
+        throw providerError(`Webhook responded with HTTP ${response.status}`, response.status === 429 || response.status >= 500);
+      }
+    }, TRANSLATE_MAX_RETRIES);
+    log('INFO', 'Job webhook delivered', { job: batch.id });
+  } catch (error) {
+    log('WARN', 'Job webhook failed', { job: batch.id, error: error.message });
+  }
+}
+
+// Load the jobs in JOBS_DIR. Unfinished jobs are queued again: counters are recounted from the
+// complete result lines, and a result line cut short by a crash is removed.
+function loadBatchJobs() {
+  if (!JOBS_DIR || !existsSync(JOBS_DIR)) {
+    return;
+  }
+
+  for (const entry of readdirSync(JOBS_DIR, { withFileTypes: true })) {
+    const file = join(JOBS_DIR, entry.name, 'job.json');
+    if (!entry.isDirectory() || !existsSync(file)) {
+      continue;
+    }
+    try {
+      const batch = JSON.parse(readFileSync(file, 'utf8'));
+      batchJobs.set(batch.id, batch);
+      if (batch.status !== 'queued' && batch.status !== 'running') {
+        continue;
+      }
+
+      const lines = readBatchResults(batch);
+      writeFileSync(join(batchDir(batch), 'results.ndjson'), lines.map(line => `${line}\n`).join(''));
+      Object.assign(batch, { status: 'queued', processed: 0, errors: 0, segments: 0, stats: {} });
+      for (const line of lines) {
+        countBatchResult(batch, JSON.parse(line));
+      }
+      batchQueue.push(batch);
+    } catch (error) {
+      log('ERROR', 'Failed to load job', { file, error: error.message });
+    }
+  }
+
+  log('INFO', 'Jobs loaded', { dir: JOBS_DIR, jobs: batchJobs.size, resumed: batchQueue.length });
+}
+
+// Remove a job and its files
+function removeBatchJob(batch) {
+  batch.deleted = true;
+  batchJobs.delete(batch.id);
+  if (JOBS_DIR) {
+    rmSync(batchDir(batch), { recursive: true, force: true });
+  }
+}
+
+// Remove finished jobs older than JOB_RETENTION_HOURS
+function removeExpiredJobs() {
+  const cutoff = Date.now() - JOB_RETENTION_HOURS * 60 * 60 * 1000;
+  for (const batch of batchJobs.values()) {
+    if (batch.finishedAt && Date.parse(batch.finishedAt) < cutoff) {
+      removeBatchJob(batch);
+      log('INFO', 'Expired job removed', { job: batch.id });
+    }
+  }
+}
+
+// Stop a queued or running job; a running job stops after the documents in progress
+function cancelBatchJob(batch) {
+  if (batch.status === 'queued' || batch.status === 'running') {
+    const queued = batchQueue.indexOf(batch);
+    batch.status = 'canceled';
+    if (queued !== -1) {
+      batchQueue.splice(queued, 1);
+      batch.finishedAt = new Date().toISOString();
+      notifyWebhook(batch);
+    }
+    saveBatchState(batch);
+  }
+}
+
+// Batch job endpoints other than /jobs/submit. Each gets the caller's job and sends the response.
+const JOB_ROUTES = {
+  '/jobs/status': (res, batch) => {
+    sendJsonResponse(res, 200, batchStatus(batch));
+  },
+  // Result lines written so far, as NDJSON
+  '/jobs/results': (res, batch) => {
+    const lines = readBatchResults(batch);
+    sendResponse(res, 200, CONTENT_TYPE_NDJSON, lines.map(line => `${line}\n`));
+  },
+  '/jobs/cancel': (res, batch) => {
+    cancelBatchJob(batch);
+    sendJsonResponse(res, 200, batchStatus(batch));
+  },
+  '/jobs/delete': (res, batch) => {
+    cancelBatchJob(batch);
+    removeBatchJob(batch);
+    sendJsonResponse(res, 200, { id: batch.id, deleted: true });
+  }
+};
+
+// Handle POST /jobs/submit: store and queue a job, and respond 202 with its status
+async function handleJobSubmit(req, res) {
+  const { requestId } = requestContext.getStore();
+
+  if (!validateToken(req, res)) {
+    log('WARN', 'Authentication failed', { requestId, ip: req.socket.remoteAddress });
+    return;
+  }
+
+  log('INFO', 'Job request received', { requestId });
+
+  try {
+    const body = await readRequestBuffer(req, res, MAX_JOB_BODY_SIZE);
+    const input = parseJobInput(req, body.toString('utf8'), res);
+    if (!input) {
+      log('WARN', 'Invalid job input', { requestId });
+      return;
+    }
+
+    const batch = createBatchJob(input, requestContext.getStore().keyName);
+    sendJsonResponse(res, 202, batchStatus(batch));
+    log('INFO', 'Job submitted', { requestId, job: batch.id, mode: batch.mode, documents: batch.documents });
+    runBatchQueue();
+  } catch (error) {
+    sendErrorResponse(res, error, 'Job submission failed', { requestId });
+  }
+}
+
+// Handle POST /jobs/status, /jobs/results, /jobs/cancel and /jobs/delete ({ "id" }). Jobs are
+// visible to the key name that submitted them only; others get 404.
+async function handleJobRequest(req, res, operation) {
+  const { requestId } = requestContext.getStore();
+
+  if (!validateToken(req, res)) {
+    log('WARN', 'Authentication failed', { requestId, ip: req.socket.remoteAddress });
+    return;
+  }
+
+  try {
+    const body = await readRequestBody(req, res);
+    const json = parseJsonBody(req, body, res);
+    if (!json) {
+      log('WARN', 'Invalid job input', { requestId });
+      return;
+    }
+    if (typeof json.id !== 'string') {
+      log('WARN', 'Invalid job input', { requestId });
+      sendJsonResponse(res, 400, { error: ERRORS.INVALID_INPUT });
+      return;
+    }
+
+    const batch = batchJobs.get(json.id);
+    if (!batch || batch.key !== requestContext.getStore().keyName) {
+      log('WARN', 'Job not found', { requestId, job: json.id });
+      sendJsonResponse(res, 404, { error: ERRORS.JOB_NOT_FOUND });
+      return;
+    }
+
+    operation(res, batch);
+    log('INFO', 'Job request completed', { requestId, route: req.url, job: batch.id, status: batch.status });
+  } catch (error) {
+    sendErrorResponse(res, error, 'Job request failed', { requestId });
+  }
+}
+
+// Pool workers ({ worker, job, exiting, terminated }) and the jobs waiting for one
+const poolWorkers = [];
+const jobQueue = [];
+
+// Workers that crash are replaced after a delay doubling with each crash in a row, from
+// WORKER_RESTART_DELAY_MS up to WORKER_RESTART_MAX_DELAY_MS. After WORKER_MAX_CRASHES crashes
+// in a row the pool is failing: /readyz reports not ready until a worker finishes a job again.
+const WORKER_RESTART_DELAY_MS = 100;
+const WORKER_RESTART_MAX_DELAY_MS = 30000;
+const WORKER_MAX_CRASHES = 5;
+let workerCrashes = 0;
+
+// Queue depth and worker utilization, for log lines
+function poolStats() {
+  return {
+    queueDepth: jobQueue.length,
+    busyWorkers: poolWorkers.filter(slot => slot.job).length,
+    workers: poolWorkers.length
+  };
+}
+
+// Error outcome of a job that didn't finish in its worker
+function failedJob(code, message) {
+  return { error: { code, message } };
+}
+
+// Whether workers keep crashing (see WORKER_MAX_CRASHES)
+function workersFailing() {
+  return workerCrashes >= WORKER_MAX_CRASHES;
+}
+
+// Start a pool worker running worker.mjs. A worker that exits (crashed, out of memory or
+// timed out) is replaced: right away when it was terminated for a timeout, else after the
+// crash delay.
+function startPoolWorker() {
+  const slot = {
+    worker: new Worker(new URL('./worker.mjs', import.meta.url), { resourceLimits: { maxOldGenerationSizeMb: WORKER_MAX_MEMORY_MB } }),
+    job: null,
+    exiting: false,
+    terminated: false
+  };
+
+  slot.worker.on('message', (outcome) => {
+    if ('progress' in outcome) {
+      slot.job?.onProgress?.(outcome.progress);
+      return;
+    }
+    workerCrashes = 0;
+    finishJob(slot, outcome);
+  });
+  slot.worker.on('error', (error) => {
+    log('ERROR', 'Worker failed', { job: slot.job?.name, error: error.message, ...poolStats() });
+    slot.exiting = true;
+    finishJob(slot, failedJob(ERRORS.PROCESSING_ERROR, `Worker failed: ${error.message}`));
+  });
+  slot.worker.on('exit', () => {
+    slot.exiting = true;
+    finishJob(slot, failedJob(ERRORS.PROCESSING_ERROR, 'Worker exited'));
+    poolWorkers.splice(poolWorkers.indexOf(slot), 1);
+
+    if (slot.terminated) {
+      startPoolWorker();
+      dispatchJobs();
+      return;
+    }
+
+    workerCrashes++;
+    const delayMs = Math.min(WORKER_RESTART_DELAY_MS * 2 ** (workerCrashes - 1), WORKER_RESTART_MAX_DELAY_MS);
+    log(workersFailing() ? 'ERROR' : 'WARN', 'Worker crashed, restarting', { crashes: workerCrashes, delayMs, ...poolStats() });
+    setTimeout(() => {
+      startPoolWorker();
+      dispatchJobs();
+    }, delayMs).unref();
+
+    // Without a worker left to run them, queued jobs fail rather than wait for a restart
+    if (workersFailing() && poolWorkers.length === 0) {
+      for (const job of jobQueue.splice(0)) {
+        job.resolve({ ...failedJob(ERRORS.SERVER_BUSY, 'No worker available'), startedAt: Date.now() });
+      }
+    }
+  });
+
+  poolWorkers.push(slot);
+}
+
+// Hand queued jobs to idle workers. A job running past WORKER_TIMEOUT_MS has its worker terminated.
+function dispatchJobs() {
+  for (const slot of poolWorkers) {
+    if (jobQueue.length === 0) {
+      return;
+    }
+    if (slot.job || slot.exiting) {
+      continue;
+    }
+
+    const job = jobQueue.shift();
+    job.startedAt = Date.now();
+    job.timer = setTimeout(() => {
+      log('ERROR', 'Worker job timed out', { job: job.name, timeoutMs: WORKER_TIMEOUT_MS, ...poolStats() });
+      slot.exiting = true;
+      slot.terminated = true;
+      finishJob(slot, failedJob(ERRORS.PROCESSING_TIMEOUT, `Job timed out after ${WORKER_TIMEOUT_MS}ms`));
+      slot.worker.terminate();
+    }, WORKER_TIMEOUT_MS);
+    slot.job = job;
+    slot.worker.postMessage({ name: job.name, args: job.args, keyName: job.keyName });
+  }
+}
+
+// Settle a worker's current job (if any) with its outcome, then move on to the queue
+function finishJob(slot, outcome) {
+  const job = slot.job;
+  if (!job) {
+    return;
+  }
+  clearTimeout(job.timer);
+  slot.job = null;
+  job.resolve({ ...outcome, startedAt: job.startedAt });
+  dispatchJobs();
+}
+
+// Run a DOM processing job on the worker pool, or on the main thread without a pool, and
+// return its result. `onProgress` gets the job's progress (a streamed extract's segment
+// batches) as it runs. Throws the job's error, rebuilt from the worker's copy, or a SERVER_BUSY
+// or PROCESSING_TIMEOUT error when the queue is full, the workers keep crashing, or the job
+// times out.
+async function runDomJob(name, args, onProgress = null) {
+  if (!(WORKER_POOL_SIZE > 0)) {
+    return DOM_JOBS[name](...args, progress => onProgress?.(progress));
+  }
+
+  if (jobQueue.length >= WORKER_QUEUE_LIMIT) {
+    log('WARN', 'Worker queue full', { job: name, ...poolStats() });
+    throw new ExtractMergeError(ERRORS.SERVER_BUSY, 'Worker queue full');
+  }
+  if (workersFailing() && poolWorkers.length === 0) {
+    log('WARN', 'No worker available', { job: name, crashes: workerCrashes, ...poolStats() });
+    throw new ExtractMergeError(ERRORS.SERVER_BUSY, 'No worker available');
+  }
+
+  const queuedAt = Date.now();
+  const { result, error, startedAt } = await new Promise((resolve) => {
+    jobQueue.push({ name, args, keyName: requestContext.getStore()?.keyName, onProgress, resolve });
+    dispatchJobs();
+  });
+
+  log('INFO', 'Worker job finished', {
+    job: name,
+    waitMs: startedAt - queuedAt,
+    durationMs: Date.now() - startedAt,
+    ...(error ? { error: error.code } : {}),
+    ...poolStats()
+  });
+
+  if (error) {
+    const { code, message, ...details } = error;
+    throw new ExtractMergeError(code, message, details);
+  }
+  return result;
+}
+
+// Prometheus metrics: name prefix, content type, and histogram buckets for request
+// latency (seconds) and input HTML size (bytes)
+const METRICS_PREFIX = 'jsdom_extract_merge_';
+const CONTENT_TYPE_METRICS = 'text/plain; version=0.0.4; charset=utf-8';
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const SIZE_BUCKETS = [1024, 10 * 1024, 100 * 1024, 1024 * 1024, 5 * 1024 * 1024, 10 * 1024 * 1024];
+
+// Metrics collected by the server, each with its samples keyed by label set
+const METRICS = {
+  requests: { name: `${METRICS_PREFIX}http_requests_total`, type: 'counter', help: 'HTTP requests by route, method and status', values: new Map() },
+  duration: { name: `${METRICS_PREFIX}http_request_duration_seconds`, type: 'histogram', help: 'HTTP request latency by route, method and status', buckets: LATENCY_BUCKETS, values: new Map() },
+  inputSize: { name: `${METRICS_PREFIX}input_html_bytes`, type: 'histogram', help: 'Size of the input HTML by route', buckets: SIZE_BUCKETS, values: new Map() },
+  segments: { name: `${METRICS_PREFIX}segments_extracted_total`, type: 'counter', help: 'Segments extracted by route', values: new Map() },
+  translations: { name: `${METRICS_PREFIX}translations_total`, type: 'counter', help: 'Translations by route and result (merged, replaced, skipped, failed)', values: new Map() },
+  errors: { name: `${METRICS_PREFIX}errors_total`, type: 'counter', help: 'Error responses by error type', values: new Map() }
+};
+
+// Translation results counted from response stats
+const TRANSLATION_RESULTS = ['merged', 'replaced', 'skipped', 'failed'];
+
+// Prometheus label set, e.g. route="/extract",status="200"
+function formatLabels(labels) {
+  return Object.entries(labels)
+    .map(([name, value]) => `${name}="${String(value).replace(/[\\"]/g, '\\$&').replace(/\n/g, '\\n')}"`)
+    .join(',');
+}
+
+// Add to a counter
+function incrementMetric(metric, labels, amount = 1) {
+  const key = formatLabels(labels);
+  metric.values.set(key, (metric.values.get(key) || 0) + amount);
+}
+
+// Add an observation to a histogram
+function observeMetric(metric, labels, value) {
+  const key = formatLabels(labels);
+  let histogram = metric.values.get(key);
+  if (!histogram) {
+    histogram = { counts: metric.buckets.map(() => 0), sum: 0, count: 0 };
+    metric.values.set(key, histogram);
+  }
+  metric.buckets.forEach((bound, index) => {
+    if (value <= bound) {
+      histogram.counts[index]++;
+    }
+  });
+  histogram.sum += value;
+  histogram.count++;
+}
+
+// Route label of the current request
+function metricsRoute() {
+  return requestContext.getStore()?.route;
+}
+
+// Record the size of a request's input HTML
+function recordInputSize(size) {
+  observeMetric(METRICS.inputSize, { route: metricsRoute() }, size);
+}
+
+// Record the number of segments a request extracted
+function recordSegmentsExtracted(count) {
+  incrementMetric(METRICS.segments, { route: metricsRoute() }, count);
+}
+
+// Record the merged/replaced/skipped/failed counts of a request's stats
+function recordTranslationStats(stats) {
+  for (const result of TRANSLATION_RESULTS) {
+    if (stats[result]) {
+      incrementMetric(METRICS.translations, { route: metricsRoute(), result }, stats[result]);
+    }
+  }
+}
+
+// Render all metrics in the Prometheus text format, with process memory and worker pool gauges
+function renderMetrics() {
+  const lines = [];
+  const sample = (name, labels, value) => lines.push(`${name}${labels ? `{${labels}}` : ''} ${value}`);
+
+  for (const metric of Object.values(METRICS)) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`);
+    for (const [labels, value] of metric.values) {
+      if (metric.type !== 'histogram') {
+        sample(metric.name, labels, value);
+        continue;
+      }
+      metric.buckets.forEach((bound, index) => sample(`${metric.name}_bucket`, `${labels},le="${bound}"`, value.counts[index]));
+      sample(`${metric.name}_bucket`, `${labels},le="+Inf"`, value.count);
+      sample(`${metric.name}_sum`, labels, value.sum);
+      sample(`${metric.name}_count`, labels, value.count);
+    }
+  }
+
+  const memory = process.memoryUsage();
+  const { queueDepth, busyWorkers, workers } = poolStats();
+  const gauges = [
+    ['process_resident_memory_bytes', 'Resident memory size in bytes', memory.rss],
+    ['nodejs_heap_size_total_bytes', 'Main thread heap size in bytes', memory.heapTotal],
+    ['nodejs_heap_size_used_bytes', 'Main thread heap used in bytes', memory.heapUsed],
+    ['nodejs_external_memory_bytes', 'Memory of C++ objects bound to JavaScript objects in bytes', memory.external],
+    [`${METRICS_PREFIX}worker_queue_depth`, 'Processing jobs waiting for a worker', queueDepth],
+    [`${METRICS_PREFIX}workers_busy`, 'Workers running a processing job', busyWorkers],
+    [`${METRICS_PREFIX}workers`, 'Workers in the pool', workers]
+  ];
+  for (const [name, help, value] of gauges) {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} gauge`);
+    sample(name, '', value);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+// Set once shutdown starts, so /readyz reports not ready
+let shuttingDown = false;
+
+// Readiness: not ready while shutting down, with the workers crashing or with the processing
+// queue full
+function readiness() {
+  const stats = poolStats();
+  if (shuttingDown) {
+    return { ready: false, reason: 'shutting_down', ...stats };
+  }
+  if (workersFailing()) {
+    return { ready: false, reason: 'workers_failing', ...stats };
+  }
+  if (WORKER_POOL_SIZE > 0 && stats.queueDepth >= WORKER_QUEUE_LIMIT) {
+    return { ready: false, reason: 'queue_full', ...stats };
+  }
+  return { ready: true, ...stats };
+}
+
+// Routes with a metrics label of their own (others are counted as "other")
+const METRIC_ROUTES = new Set([
+  '/', '/healthz', '/readyz', '/metrics', '/extract', '/merge', '/replace', '/translate', '/diff',
+  ...Object.keys(TM_ROUTES), ...Object.keys(GLOSSARY_ROUTES), ...Object.keys(EPUB_ROUTES),
+  '/jobs/submit', ...Object.keys(JOB_ROUTES)
+]);
+
+// Handle a request in its own context: assign its request ID (reusing a valid incoming
+// X-Request-Id), negotiate the response encoding, route it, and record its count and latency
+// once the response is sent
+function handleRequest(req, res) {
+  const incomingId = req.headers[HEADER_REQUEST_ID];
+  const requestId = typeof incomingId === 'string' && REQUEST_ID_PATTERN.test(incomingId)
+    ? incomingId
+    : Date.now().toString(36) + Math.random().toString(36).substring(2);
+  const route = METRIC_ROUTES.has(req.url) ? req.url : 'other';
+  const startedAt = performance.now();
+
+  res.setHeader('X-Request-Id', requestId);
+  res.on('finish', () => {
+    const labels = { route, method: req.method, status: res.statusCode };
+    incrementMetric(METRICS.requests, labels);
+    observeMetric(METRICS.duration, labels, (performance.now() - startedAt) / 1000);
+  });
+
+  const encoding = negotiateEncoding(req.headers['accept-encoding']);
+  return requestContext.run({ requestId, route, encoding }, routeRequest, req, res);
+}
+
+// Route a request to its handler
+async function routeRequest(req, res) {
+  // Enable CORS (optional, for flexibility)
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Content-Encoding, Authorization, X-Request-Id');
+  res.setHeader('Access-Control-Expose-Headers', 'Retry-After, X-Request-Id');
+
+  // Handle OPTIONS preflight request
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  // Homepage - Return service name (GET /)
+  if (req.method === 'GET' && req.url === '/') {
+    res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end(HOMEPAGE_CONTENT);
+    return;
+  }
+
+  // Health check endpoint (GET /healthz)
+  if (req.method === 'GET' && req.url === '/healthz') {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end('OK');
+    return;
+  }
+
+  // Readiness endpoint (GET /readyz): 503 while shutting down, with the workers crashing or with
+  // the processing queue full
+  if (req.method === 'GET' && req.url === '/readyz') {
+    const { ready, ...status } = readiness();
+    sendJsonResponse(res, ready ? 200 : 503, { status: ready ? 'ready' : 'not_ready', ...status });
+    return;
+  }
+
+  // Prometheus metrics (GET /metrics)
+  if (req.method === 'GET' && req.url === '/metrics') {
+    sendResponse(res, 200, CONTENT_TYPE_METRICS, renderMetrics());
+    return;
+  }
 
   // Main API endpoint
   if (req.method === 'POST' && req.url === '/extract') {
@@ -659,38 +2878,127 @@ const server = http.createServer(async (req, res) => {
     return;
   }
 
+  // Translate endpoint (extract + provider + merge/replace)
+  if (req.method === 'POST' && req.url === '/translate') {
+    await handleTranslate(req, res);
+    return;
+  }
+
+  // Diff endpoint (incremental re-translation)
+  if (req.method === 'POST' && req.url === '/diff') {
+    await handleDiff(req, res);
+    return;
+  }
+
+  // Translation memory endpoints
+  if (req.method === 'POST' && Object.hasOwn(TM_ROUTES, req.url)) {
+    await handleTranslationMemory(req, res, TM_ROUTES[req.url]);
+    return;
+  }
+
+  // Glossary endpoints
+  if (req.method === 'POST' && Object.hasOwn(GLOSSARY_ROUTES, req.url)) {
+    await handleGlossary(req, res, GLOSSARY_ROUTES[req.url]);
+    return;
+  }
+
+  // EPUB endpoints
+  if (req.method === 'POST' && Object.hasOwn(EPUB_ROUTES, req.url)) {
+    await handleEpub(req, res, EPUB_ROUTES[req.url]);
+    return;
+  }
+
+  // Batch job endpoints
+  if (req.method === 'POST' && req.url === '/jobs/submit') {
+    await handleJobSubmit(req, res);
+    return;
+  }
+
+  if (req.method === 'POST' && Object.hasOwn(JOB_ROUTES, req.url)) {
+    await handleJobRequest(req, res, JOB_ROUTES[req.url]);
+    return;
+  }
+
   // 404 for unknown routes
   log('WARN', 'Route not found', { method: req.method, url: req.url });
   res.writeHead(404, { 'Content-Type': CONTENT_TYPE_JSON });
   res.end(JSON.stringify({ error: 'NOT_FOUND' }));
-});
-
-// Start server
-server.listen(PORT, () => {
-  log('INFO', 'jsdom Text Extractor API server is running', {
-    port: PORT,
-    endpoints: {
-      extract: `http://localhost:${PORT}/extract`,
-      merge: `http://localhost:${PORT}/merge`,
-      replace: `http://localhost:${PORT}/replace`
-    },
-    healthCheck: `http://localhost:${PORT}/healthz`
+}
+
+// Main thread: the HTTP server and the worker pool
+function startServer() {
+  // Create HTTP server; each request gets its own context (request ID, log key name, metrics route)
+  const server = http.createServer(handleRequest);
+
+  // Reload API keys on SIGHUP, and when API_KEYS_FILE changes
+  process.on('SIGHUP', () => {
+    log('INFO', 'SIGHUP signal received: reloading API keys');
+    reloadApiKeys();
+  });
+
+  if (API_KEYS_FILE) {
+    watchFile(API_KEYS_FILE, { interval: API_KEYS_POLL_INTERVAL_MS }, (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) {
+        reloadApiKeys();
+      }
+    });
+  }
+
+  // DOM processing runs on the worker pool
+  for (let i = 0; i < WORKER_POOL_SIZE; i++) {
+    startPoolWorker();
+  }
+
+  // Resume the jobs a previous run left unfinished, and expire old ones
+  loadBatchJobs();
+  removeExpiredJobs();
+  setInterval(removeExpiredJobs, JOB_CLEANUP_INTERVAL_MS).unref();
+  runBatchQueue();
+
+  // Start server
+  server.listen(PORT, () => {
+    log('INFO', 'jsdom Text Extractor API server is running', {
+      port: PORT,
+      endpoints: {
+        extract: `http://localhost:${PORT}/extract`,
+        merge: `http://localhost:${PORT}/merge`,
+        replace: `http://localhost:${PORT}/replace`,
+        translate: `http://localhost:${PORT}/translate`,
+        diff: `http://localhost:${PORT}/diff`,
+        translationMemory: `http://localhost:${PORT}/tm/{import,export,search,purge}`,
+        glossary: `http://localhost:${PORT}/glossary/{import,export,purge}`,
+        epub: `http://localhost:${PORT}/epub/{extract,merge,replace}`,
+        jobs: `http://localhost:${PORT}/jobs/{submit,status,results,cancel,delete}`
+      },
+      healthCheck: `http://localhost:${PORT}/healthz`,
+      readinessCheck: `http://localhost:${PORT}/readyz`,
+      metrics: `http://localhost:${PORT}/metrics`,
+      workers: Math.max(WORKER_POOL_SIZE || 0, 0)
+    });
   });
-});
-
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  log('INFO', 'SIGTERM signal received: closing HTTP server');
-  server.close(() => {
-    log('INFO', 'HTTP server closed');
-    process.exit(0);
+
+  // Graceful shutdown
+  process.on('SIGTERM', () => {
+    log('INFO', 'SIGTERM signal received: closing HTTP server');
+    shuttingDown = true;
+    translationMemory.flush();
+    glossaryEntries.flush();
+    server.close(() => {
+      log('INFO', 'HTTP server closed');
+      process.exit(0);
+    });
   });
-});
 
-process.on('SIGINT', () => {
-  log('INFO', 'SIGINT signal received: closing HTTP server');
-  server.close(() => {
-    log('INFO', 'HTTP server closed');
-    process.exit(0);
+  process.on('SIGINT', () => {
+    log('INFO', 'SIGINT signal received: closing HTTP server');
+    shuttingDown = true;
+    translationMemory.flush();
+    glossaryEntries.flush();
+    server.close(() => {
+      log('INFO', 'HTTP server closed');
+      process.exit(0);
+    });
   });
-});
+}
+
+startServer();
@@ -0,0 +1,102 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'crypto';
+import { request } from 'http';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import { startServer, postJson } from './helpers.mjs';
+
+// A key store with one key per restriction
+const dir = mkdtempSync(join(tmpdir(), 'api-keys-test-'));
+const keysFile = join(dir, 'keys.json');
+const KEYS = [
+  { name: 'scoped', key: 'scoped-key', routes: ['/extract', '/tm/*'] },
+  { name: 'rated', key: 'rated-key', rateLimit: { requests: 2, perSeconds: 60 } },
+  { name: 'metered', key: 'metered-key', quota: { bytes: 200 } },
+  { name: 'expired', key: 'expired-key', expiresAt: '2000-01-01T00:00:00Z' },
+  { name: 'hashed', sha256: createHash('sha256').update('hashed-secret').digest('hex') }
+];
+let server;
+
+const as = key => ({ Authorization: `Bearer ${key}` });
+const extract = (key, html = '<p>Hi</p>') => postJson(`${server.url}/extract`, { html }, as(key));
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+before(async () => {
+  writeFileSync(keysFile, JSON.stringify({ keys: KEYS }));
+  server = await startServer({ API_KEYS_FILE: keysFile });
+});
+
+after(async () => {
+  await server?.stop();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+test('keys are checked by secret or digest, and expired keys are refused', async () => {
+  assert.equal((await extract('hashed-secret')).status, 200);
+  assert.equal((await extract('hashed-key')).status, 401);
+  assert.equal((await extract('expired-key')).status, 401);
+  // API_TOKEN stays valid next to the file
+  assert.equal((await postJson(`${server.url}/extract`, { html: '<p>Hi</p>' })).status, 200);
+});
+
+test('keys only reach their allowed routes', async () => {
+  assert.equal((await extract('scoped-key')).status, 200);
+  assert.equal((await postJson(`${server.url}/tm/export`, {}, as('scoped-key'))).status, 200);
+
+  const merge = await postJson(`${server.url}/merge`, { html: '<p>Hi</p>', translations: [] }, as('scoped-key'));
+  assert.equal(merge.status, 403);
+  assert.equal(merge.body.error, 'FORBIDDEN');
+});
+
+test('allowed routes are matched on the normalized path', async () => {
+  // fetch() would normalize the path itself, so the request is sent as is
+  const status = path => new Promise((resolve, reject) => {
+    const req = request(`${server.url}${path}`, { method: 'POST', headers: as('scoped-key') }, (res) => {
+      res.resume();
+      resolve(res.statusCode);
+    });
+    req.on('error', reject);
+    req.end('{}');
+  });
+
+  assert.equal(await status('/tm/../merge'), 403);
+});
+
+test('past the rate limit requests get 429 with Retry-After', async () => {
+  assert.equal((await extract('rated-key')).status, 200);
+  assert.equal((await extract('rated-key')).status, 200);
+
+  const limited = await extract('rated-key');
+  assert.equal(limited.status, 429);
+  assert.equal(limited.body.error, 'RATE_LIMITED');
+  assert.ok(limited.body.retryAfter > 0 && limited.body.retryAfter <= 30);
+  assert.equal(limited.headers.get('retry-after'), String(limited.body.retryAfter));
+});
+
+test('request bytes count against the quota', async () => {
+  assert.equal((await extract('metered-key')).status, 200);
+
+  const over = await extract('metered-key', `<p>${'x'.repeat(200)}</p>`);
+  assert.equal(over.status, 429);
+  assert.equal(over.body.error, 'QUOTA_EXCEEDED');
+  assert.ok(Number(over.headers.get('retry-after')) > 3600);
+});
+
+test('the key file is reloaded on SIGHUP, and a broken file keeps the loaded keys', async () => {
+  writeFileSync(keysFile, JSON.stringify({ keys: [...KEYS, { name: 'new', key: 'new-key' }] }));
+  server.signal('SIGHUP');
+  let status;
+  for (let attempt = 0; attempt < 50 && status !== 200; attempt++) {
+    await sleep(100);
+    status = (await extract('new-key')).status;
+  }
+  assert.equal(status, 200);
+
+  writeFileSync(keysFile, '{ "keys": [');
+  server.signal('SIGHUP');
+  await sleep(500);
+  assert.equal((await extract('new-key')).status, 200);
+});
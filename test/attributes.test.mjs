@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { extractTextNodes, mergeTranslations, replaceTranslations } from '../index.mjs';
+
+const HTML = '<html><head><title>Page</title><meta name="description" content="About us">' +
+  '<meta property="og:title" content="Open"><meta name="viewport" content="width=device-width"></head>' +
+  '<body><img src="a.png" alt="A cat" title="Cat"><input placeholder="Search" value="typed">' +
+  '<button aria-label="Close">X</button><input type="submit" value="Send"></body></html>';
+
+const ATTRIBUTES = [
+  { path: 'html.0.head.0.meta.0@content', text: 'À propos' },
+  { path: 'html.0.head.0.meta.1@content', text: 'Ouvert' },
+  { path: 'html.0.body.0.img.0@alt', text: 'Un chat' },
+  { path: 'html.0.body.0.input.0@placeholder', text: 'Chercher' },
+  { path: 'html.0.body.0.input.1@value', text: 'Envoyer' }
+];
+
+test('translatable attributes and head metadata are extracted with @attribute paths', () => {
+  assert.deepEqual(extractTextNodes(HTML).map(({ path, text }) => [path, text]), [
+    ['html.0.head.0.title.0', 'Page'],
+    ['html.0.head.0.meta.0@content', 'About us'],
+    ['html.0.head.0.meta.1@content', 'Open'],
+    ['html.0.body.0.button.0', 'X'],
+    ['html.0.body.0.img.0@alt', 'A cat'],
+    ['html.0.body.0.img.0@title', 'Cat'],
+    ['html.0.body.0.input.0@placeholder', 'Search'],
+    ['html.0.body.0.button.0@aria-label', 'Close'],
+    ['html.0.body.0.input.1@value', 'Send']
+  ]);
+});
+
+test('replace writes attribute translations and leaves other attributes alone', () => {
+  assert.equal(replaceTranslations(HTML, ATTRIBUTES).transhtml,
+    '<html><head><title>Page</title><meta name="description" content="À propos">' +
+    '<meta property="og:title" content="Ouvert"><meta name="viewport" content="width=device-width"></head>' +
+    '<body><img src="a.png" alt="Un chat" title="Cat"><input placeholder="Chercher" value="typed">' +
+    '<button aria-label="Close">X</button><input type="submit" value="Envoyer"></body></html>');
+});
+
+test('merge joins the original and translated attribute values', () => {
+  const { transhtml, stats } = mergeTranslations(HTML, ATTRIBUTES.slice(2, 4));
+  assert.match(transhtml, /alt="A cat \/ Un chat"/);
+  assert.match(transhtml, /placeholder="Search \/ Chercher"/);
+  assert.equal(stats.merged, 2);
+});
@@ -0,0 +1,106 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { existsSync, mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+const CLI_PATH = fileURLToPath(new URL('../cli.mjs', import.meta.url));
+
+// A small site in a scratch directory, which is the working directory of each run
+const dir = mkdtempSync(join(tmpdir(), 'cli-test-'));
+const SITE = {
+  'site/index.html': '<p>Home</p>',
+  'site/a/x.html': '<p>Page A</p>',
+  'site/b/x.html': '<p>Page B</p>',
+  'site/notes.md': '# Notes\n\nSome text.\n'
+};
+
+const cli = (...args) => spawnSync(process.execPath, [CLI_PATH, ...args], { cwd: dir, encoding: 'utf8', timeout: 30000 });
+const read = path => readFileSync(join(dir, path), 'utf8');
+const readJson = path => JSON.parse(read(path));
+const write = (path, text) => {
+  mkdirSync(dirname(join(dir, path)), { recursive: true });
+  writeFileSync(join(dir, path), text);
+};
+
+// Upper-case the texts of an extract output, as a stand-in translator
+const translate = path => write(path, JSON.stringify({ texts: readJson(path).texts.map(({ path: segment, text }) => ({ path: segment, text: text.toUpperCase() })) }));
+
+before(() => {
+  for (const [path, text] of Object.entries(SITE)) {
+    write(path, text);
+  }
+});
+
+after(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+test('a single input goes to stdout', () => {
+  const { status, stdout } = cli('extract', 'site/index.html');
+  assert.equal(status, 0);
+  assert.deepEqual(JSON.parse(stdout), { texts: [{ path: 'html.0.body.0.p.0', text: 'Home' }] });
+});
+
+test('globs are expanded and written relative to their base', () => {
+  const { status } = cli('extract', 'site/**/*.{html,md}', '--out-dir', 'out');
+  assert.equal(status, 0);
+  for (const name of ['index.html', 'a/x.html', 'b/x.html', 'notes.md']) {
+    assert.ok(existsSync(join(dir, 'out', `${name}.json`)), name);
+  }
+  // .md inputs are read as Markdown
+  assert.deepEqual(readJson('out/notes.md.json').texts.map(segment => segment.text), ['Notes', 'Some text.']);
+});
+
+test('plain inputs find the translations a glob extract wrote', () => {
+  translate('out/a/x.html.json');
+  const { status, stdout, stderr } = cli('replace', 'site/a/x.html', '--translations', 'out');
+  assert.equal(status, 0, stderr);
+  assert.equal(stdout, '<p>PAGE A</p>');
+
+  translate('out/notes.md.json');
+  const merged = cli('merge', 'site/notes.md', '--translations', 'out');
+  assert.equal(merged.stdout, '# Notes\n# NOTES\n\nSome text.\n\nSOME TEXT.\n');
+});
+
+test('plain inputs are named by their relative path, so equal file names do not collide', () => {
+  const { status } = cli('extract', 'site/a/x.html', 'site/b/x.html', '--out-dir', 'plain');
+  assert.equal(status, 0);
+  assert.equal(readJson('plain/site/a/x.html.json').texts[0].text, 'Page A');
+  assert.equal(readJson('plain/site/b/x.html.json').texts[0].text, 'Page B');
+
+  // Either naming is found in a translations directory
+  translate('plain/site/b/x.html.json');
+  const replaced = cli('replace', 'site/**/x.html', '--translations', 'plain', '--out-dir', 'dist');
+  assert.equal(replaced.status, 0);
+  assert.equal(read('dist/a/x.html'), '<p>Page A</p>');
+  assert.equal(read('dist/b/x.html'), '<p>PAGE B</p>');
+});
+
+test('inputs with the same output name are rejected', () => {
+  const { status, stderr } = cli('extract', 'site/a/*.html', 'site/b/*.html', '--out-dir', 'clash');
+  assert.equal(status, 2);
+  assert.match(stderr, /same output name x\.html/);
+  assert.equal(existsSync(join(dir, 'clash')), false);
+});
+
+test('usage errors exit with status 2', () => {
+  assert.equal(cli().status, 2);
+  assert.equal(cli('translate', 'site/index.html').status, 2);
+  assert.equal(cli('extract', 'site/*.html', 'site/a/x.html').status, 2);
+  assert.equal(cli('merge', 'site/index.html').status, 2);
+  assert.equal(cli('extract', 'site/missing.html').status, 2);
+  assert.equal(cli('extract', 'site/index.html', '--options', '{"placeholders":"nope"}').status, 2);
+});
+
+test('extract writes XLIFF, which replace reads back', () => {
+  const { status, stdout } = cli('extract', 'site/index.html', '--format', 'xliff', '--target-lang', 'fr');
+  assert.equal(status, 0);
+  assert.match(stdout, /<source>Home<\/source>/);
+
+  write('index.xlf', stdout.replace('<source>Home</source>', '<source>Home</source><target>Accueil</target>'));
+  const replaced = cli('replace', 'site/index.html', '--translations', 'index.xlf');
+  assert.equal(replaced.stdout, '<p>Accueil</p>');
+});
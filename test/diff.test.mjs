@@ -0,0 +1,71 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { diffSegments, extractTextNodes } from '../index.mjs';
+import { startServer, postJson } from './helpers.mjs';
+
+const OLD_HTML = '<h1>Title</h1><p>Keep me.</p><p>Old text here.</p><p>Not translated.</p><p>Gone.</p>';
+const NEW_HTML = '<h1>Title</h1><p>Intro added.</p><p>Keep me.</p><p>Old text changed.</p><p>Not translated.</p>';
+const TRANSLATIONS = [
+  { path: 'html.0.body.0.h1.0', text: 'Titre' },
+  { path: 'html.0.body.0.p.0', text: 'Garde-moi.' },
+  { path: 'html.0.body.0.p.1', text: 'Ancien texte.' }
+];
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test('unchanged text keeps its translation at the new path', () => {
+  const { carried, removed, stats } = diffSegments(extractTextNodes(OLD_HTML), extractTextNodes(NEW_HTML), TRANSLATIONS);
+  assert.deepEqual(carried, [
+    { path: 'html.0.body.0.h1.0', text: 'Titre' },
+    { path: 'html.0.body.0.p.1', text: 'Garde-moi.' }
+  ]);
+  assert.deepEqual(removed, ['html.0.body.0.p.3']);
+  assert.deepEqual(stats, { total: 5, unchanged: 2, changed: 1, untranslated: 1, added: 1, removed: 1 });
+});
+
+test('other segments are added, changed or untranslated', () => {
+  const { segments } = diffSegments(extractTextNodes(OLD_HTML), extractTextNodes(NEW_HTML), TRANSLATIONS);
+  assert.deepEqual(segments, [
+    { path: 'html.0.body.0.p.0', text: 'Intro added.', status: 'added' },
+    {
+      path: 'html.0.body.0.p.2',
+      text: 'Old text changed.',
+      status: 'changed',
+      previousPath: 'html.0.body.0.p.1',
+      previousText: 'Old text here.',
+      previousTranslation: 'Ancien texte.'
+    },
+    { path: 'html.0.body.0.p.3', text: 'Not translated.', status: 'untranslated' }
+  ]);
+});
+
+test('repeated text prefers the translation at the same path', () => {
+  const html = '<p>Same</p><p>Same</p>';
+  const { carried } = diffSegments(extractTextNodes(html), extractTextNodes(html), [
+    { path: 'html.0.body.0.p.0', text: 'Un' },
+    { path: 'html.0.body.0.p.1', text: 'Deux' }
+  ]);
+  assert.deepEqual(carried.map(segment => segment.text), ['Un', 'Deux']);
+});
+
+test('POST /diff extracts both versions and diffs them', async () => {
+  const { status, body } = await postJson(`${server.url}/diff`, { html: NEW_HTML, oldHtml: OLD_HTML, translations: TRANSLATIONS });
+  assert.equal(status, 200);
+  assert.deepEqual(body.segments.map(segment => segment.status), ['added', 'changed', 'untranslated']);
+  assert.equal(body.carried.length, 2);
+  assert.equal(body.stats.removed, 1);
+});
+
+test('POST /diff needs the old version and a translation list', async () => {
+  assert.equal((await postJson(`${server.url}/diff`, { html: NEW_HTML, translations: [] })).status, 400);
+  assert.equal((await postJson(`${server.url}/diff`, { html: NEW_HTML, oldHtml: OLD_HTML, translations: 'x' })).status, 400);
+});
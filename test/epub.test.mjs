@@ -0,0 +1,141 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { crc32 } from 'zlib';
+
+import { processEpub, InvalidInputError, InvalidPathError } from '../index.mjs';
+
+// Build a zip of stored (uncompressed) files; `size` overrides a file's declared size
+function zip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const { name, data, size } of files) {
+    const nameBytes = Buffer.from(name);
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt32LE(crc32(data), 14);
+    header.writeUInt32LE(data.length, 18);
+    header.writeUInt32LE(size ?? data.length, 22);
+    header.writeUInt16LE(nameBytes.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    header.copy(central, 6, 4, 30);
+    central.writeUInt32LE(offset, 42);
+    locals.push(header, nameBytes, data);
+    centrals.push(central, nameBytes);
+    offset += header.length + nameBytes.length + data.length;
+  }
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centrals.reduce((sum, part) => sum + part.length, 0), 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, ...centrals, end]);
+}
+
+const xhtml = body => `<?xml version="1.0" encoding="utf-8"?>
+<html xmlns="http://www.w3.org/1999/xhtml" xml:lang="en" lang="en"><head><title>Book</title></head><body>${body}</body></html>`;
+
+const FILES = {
+  'META-INF/container.xml': `<?xml version="1.0"?>
+<container xmlns="urn:oasis:names:tc:opendocument:xmlns:container" version="1.0">
+  <rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles>
+</container>`,
+  'OEBPS/content.opf': `<?xml version="1.0"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/"><dc:title>A Book</dc:title><dc:language>en</dc:language></metadata>
+  <manifest>
+    <item id="ch2" href="text/ch2.xhtml" media-type="application/xhtml+xml"/>
+    <item id="ch1" href="text/ch1.xhtml" media-type="application/xhtml+xml"/>
+    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+    <item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>
+  </manifest>
+  <spine toc="ncx"><itemref idref="ch1"/><itemref idref="ch2"/></spine>
+</package>`,
+  'OEBPS/text/ch1.xhtml': xhtml('<p>First chapter</p>'),
+  'OEBPS/text/ch2.xhtml': xhtml('<p>Second chapter</p>'),
+  'OEBPS/nav.xhtml': xhtml('<nav><ol><li>Contents</li></ol></nav>'),
+  'OEBPS/toc.ncx': `<?xml version="1.0"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+  <docTitle><text>A Book</text></docTitle>
+  <navMap><navPoint id="p1"><navLabel><text>Chapter one</text></navLabel><content src="text/ch1.xhtml"/></navPoint></navMap>
+</ncx>`
+};
+
+const epub = (files = FILES) => zip([
+  { name: 'mimetype', data: Buffer.from('application/epub+zip') },
+  ...Object.entries(files).map(([name, text]) => ({ name, data: Buffer.from(text) }))
+]);
+
+// Names of a zip's local file headers in archive order, with their compression method
+function entries(archive) {
+  const found = [];
+  for (let offset = 0; archive.readUInt32LE(offset) === 0x04034b50;) {
+    const nameLength = archive.readUInt16LE(offset + 26);
+    found.push({ name: archive.toString('utf8', offset + 30, offset + 30 + nameLength), method: archive.readUInt16LE(offset + 8) });
+    offset += 30 + nameLength + archive.readUInt16LE(offset + 28) + archive.readUInt32LE(offset + 18);
+  }
+  return found;
+}
+
+test('extract follows the spine, then the nav document, with chapter-prefixed paths', () => {
+  const { documents, texts } = processEpub(epub());
+  assert.equal(documents, 3);
+  assert.deepEqual(texts.map(({ path, text }) => [path, text]), [
+    ['opf:title.0', 'A Book'],
+    ['ncx:text.0', 'A Book'],
+    ['ncx:text.1', 'Chapter one'],
+    ['ch1/html.0.head.0.title.0', 'Book'],
+    ['ch1/html.0.body.0.p.0', 'First chapter'],
+    ['ch2/html.0.head.0.title.0', 'Book'],
+    ['ch2/html.0.body.0.p.0', 'Second chapter'],
+    ['nav/html.0.head.0.title.0', 'Book'],
+    ['nav/html.0.body.0.nav.0.ol.0.li.0', 'Contents']
+  ]);
+});
+
+test('replace writes a translated EPUB with the mimetype stored first', () => {
+  const translations = [
+    { path: 'opf:title.0', text: 'Un livre' },
+    { path: 'ncx:text.1', text: 'Chapitre un' },
+    { path: 'ch1/html.0.body.0.p.0', text: 'Premier chapitre' }
+  ];
+  const result = processEpub(epub(), { translations, targetLang: 'fr' }, 'replace');
+  assert.equal(result.stats.replaced, 3);
+
+  const layout = entries(result.epub);
+  assert.deepEqual(layout[0], { name: 'mimetype', method: 0 });
+  assert.equal(layout.length, Object.keys(FILES).length + 1);
+
+  const texts = processEpub(result.epub).texts.map(segment => segment.text);
+  assert.ok(texts.includes('Un livre'));
+  assert.ok(texts.includes('Chapitre un'));
+  assert.ok(texts.includes('Premier chapitre'));
+  assert.ok(texts.includes('Second chapter'));
+});
+
+test('merge combines titles and labels with the original', () => {
+  const result = processEpub(epub(), { translations: [{ path: 'opf:title.0', text: 'Un livre' }] }, 'merge');
+  assert.equal(processEpub(result.epub).texts[0].text, 'A Book / Un livre');
+});
+
+test('bad paths name the chapter they were sent for', () => {
+  const translations = [{ path: 'ch1/html.0.body.0.p.9', text: 'Nope' }];
+  assert.throws(() => processEpub(epub(), { translations }, 'replace'),
+    error => error instanceof InvalidPathError && error.path === 'ch1/html.0.body.0.p.9');
+
+  const lenient = processEpub(epub(), { translations: [...translations, { path: 'missing/html.0.body.0.p.0', text: 'x' }], strict: false }, 'replace');
+  assert.deepEqual(lenient.stats.failedPaths.map(entry => entry.path), ['missing/html.0.body.0.p.0', 'ch1/html.0.body.0.p.9']);
+});
+
+test('archives over the size limit or without a package are rejected', () => {
+  const huge = zip([{ name: 'mimetype', data: Buffer.from('application/epub+zip'), size: 300 * 1024 * 1024 }]);
+  assert.throws(() => processEpub(huge), error => error instanceof InvalidInputError && /too large/.test(error.message));
+
+  const withoutContainer = { ...FILES };
+  delete withoutContainer['META-INF/container.xml'];
+  assert.throws(() => processEpub(epub(withoutContainer)), InvalidInputError);
+  assert.throws(() => processEpub(Buffer.from('not a zip')), InvalidInputError);
+});
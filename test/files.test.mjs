@@ -0,0 +1,80 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startServer, postJson } from './helpers.mjs';
+
+const HTML = '<html lang="en"><head></head><body><h1>Hi</h1><p>Say <b>hello</b> "now"</p><img alt="A cat" src="c.png"></body></html>';
+const TRANSLATED = '<html lang="en"><head></head><body><h1>Salut</h1><p>Dis <b>bonjour</b> "maintenant"</p><img alt="A cat" src="c.png"></body></html>';
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+const extract = async format => {
+  const { status, body } = await postJson(`${server.url}/extract`, { html: HTML, format, targetLang: 'fr' });
+  assert.equal(status, 200);
+  assert.equal(body.format, format);
+  return body.file;
+};
+
+const replace = async (format, file) => postJson(`${server.url}/replace`, { html: HTML, format, file });
+
+test('XLIFF 2.0 units are named by path, with inline tags as <pc> and original data', async () => {
+  const file = await extract('xliff');
+  assert.match(file, /<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="en" trgLang="fr">/);
+  assert.match(file, /<unit id="html.0.body.0.img.0_40_alt" name="html.0.body.0.img.0@alt">/);
+  assert.match(file, /<data id="d1">&lt;b&gt;<\/data>/);
+  assert.match(file, /<note category="context">Section: Hi<\/note>/);
+
+  const filled = file
+    .replace('<source>Hi</source></segment>', '<source>Hi</source><target>Salut</target></segment>')
+    .replace('<segment><source>Say', '<segment state="initial"><source>Say')
+    .replace('&quot;now&quot;</source>',
+      '&quot;now&quot;</source><target>Dis <pc id="1" dataRefStart="d1" dataRefEnd="d1e">bonjour</pc> &quot;maintenant&quot;</target>');
+  const { status, body } = await replace('xliff', filled);
+  assert.equal(status, 200);
+  assert.equal(body.transhtml, TRANSLATED);
+  assert.deepEqual(body.stats.untranslatedPaths, ['html.0.body.0.img.0@alt']);
+  assert.deepEqual(body.stats.needsReviewPaths, ['html.0.body.0.p.0']);
+});
+
+test('XLIFF 1.2 units use <g> tags and are read by the xliff importer', async () => {
+  const file = await extract('xliff12');
+  assert.match(file, /<file original="document" datatype="html" source-language="en" target-language="fr">/);
+  assert.match(file, /<source>Say <g id="1">hello<\/g> &quot;now&quot;<\/source>/);
+
+  const filled = file
+    .replace('<source>Hi</source>', '<source>Hi</source><target state="translated">Salut</target>')
+    .replace('&quot;now&quot;</source>',
+      '&quot;now&quot;</source><target state="needs-review-translation">Dis <g id="1">bonjour</g> &quot;maintenant&quot;</target>');
+  const { body } = await replace('xliff', filled);
+  assert.equal(body.transhtml, TRANSLATED);
+  assert.deepEqual(body.stats.needsReviewPaths, ['html.0.body.0.p.0']);
+});
+
+test('PO entries use msgctxt paths and <xN> placeholders; fuzzy entries need review', async () => {
+  const file = await extract('po');
+  assert.match(file, /msgctxt "html.0.body.0.p.0"\nmsgid "Say <x1>hello<\/x1> \\"now\\""/);
+  assert.match(file, /#\. Attribute: alt/);
+
+  const filled = file
+    .replace('msgid "Hi"\nmsgstr ""', 'msgid "Hi"\nmsgstr "Salut"')
+    .replace('msgctxt "html.0.body.0.p.0"', '#, fuzzy\nmsgctxt "html.0.body.0.p.0"')
+    .replace('\\"now\\""\nmsgstr ""', '\\"now\\""\nmsgstr "Dis <x1>bonjour</x1> \\"maintenant\\""');
+  const { body } = await replace('po', filled);
+  assert.equal(body.transhtml, TRANSLATED);
+  assert.deepEqual(body.stats.needsReviewPaths, ['html.0.body.0.p.0']);
+  assert.deepEqual(body.stats.untranslatedPaths, ['html.0.body.0.img.0@alt']);
+});
+
+test('files in an unknown format or that do not parse are rejected', async () => {
+  assert.equal((await postJson(`${server.url}/extract`, { html: HTML, format: 'tmx' })).status, 400);
+  assert.equal((await replace('json', 'msgid ""')).status, 400);
+  assert.equal((await replace('xliff', '<not xliff')).status, 400);
+});
@@ -0,0 +1,101 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import { extractTextNodes, replaceTranslations } from '../index.mjs';
+import { startServer, postJson } from './helpers.mjs';
+
+// Two API keys sharing one server, whose glossary keeps at most two entries per key
+const dir = mkdtempSync(join(tmpdir(), 'glossary-test-'));
+const keysFile = join(dir, 'keys.json');
+let server;
+
+const as = key => ({ Authorization: `Bearer ${key}` });
+const importAs = (key, ...terms) => postJson(`${server.url}/glossary/import`, {
+  entries: terms.map(source => ({ source, doNotTranslate: true })),
+  targetLang: 'fr'
+}, as(key));
+const exportAs = async key => (await postJson(`${server.url}/glossary/export`, {}, as(key))).body.entries.map(entry => entry.source);
+
+before(async () => {
+  writeFileSync(keysFile, JSON.stringify({ keys: [{ name: 'docs', key: 'docs-key' }, { name: 'ci', key: 'ci-key' }] }));
+  server = await startServer({ API_KEYS_FILE: keysFile, GLOSSARY_MAX_ENTRIES: '2' });
+});
+
+after(async () => {
+  await server?.stop();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+test('each API key has its own glossary', async () => {
+  assert.equal((await importAs('docs-key', 'Acme')).status, 200);
+  assert.deepEqual(await exportAs('docs-key'), ['Acme']);
+  assert.deepEqual(await exportAs('ci-key'), []);
+});
+
+test('stored entries only apply to the key that stored them', async () => {
+  const extract = key => postJson(`${server.url}/extract`, { html: '<p>Acme rocks</p>', targetLang: 'fr' }, as(key));
+
+  assert.equal((await extract('docs-key')).body.texts[0].glossary.length, 1);
+  assert.equal((await extract('ci-key')).body.texts[0].glossary, undefined);
+});
+
+test('past GLOSSARY_MAX_ENTRIES the least recently updated entries are dropped', async () => {
+  await importAs('ci-key', 'One', 'Two');
+  await importAs('ci-key', 'One');
+  await importAs('ci-key', 'Three');
+
+  assert.deepEqual((await exportAs('ci-key')).sort(), ['One', 'Three']);
+  assert.deepEqual(await exportAs('docs-key'), ['Acme']);
+});
+
+test('stored do-not-translate terms are protected without changing stable IDs', async () => {
+  const extract = key => postJson(`${server.url}/extract`, { html: '<p>Acme rocks</p>', targetLang: 'fr', ids: 'stable' }, as(key));
+  const [withGlossary, without] = [(await extract('docs-key')).body.texts[0], (await extract('ci-key')).body.texts[0]];
+
+  assert.equal(withGlossary.text, '<span translate="no">Acme</span> rocks');
+  assert.equal(withGlossary.path, without.path);
+});
+
+const GLOSSARY = [{ source: 'Acme Cloud', doNotTranslate: true }];
+
+test('do-not-translate terms are extracted as protected placeholders', () => {
+  const [segment, logo] = extractTextNodes('<p>Try Acme Cloud today</p><p>Acme Cloud</p><img alt="Acme Cloud logo">', {
+    glossary: GLOSSARY, placeholders: 'xml'
+  });
+
+  assert.equal(segment.text, 'Try <x1/> today');
+  assert.deepEqual(segment.tags, { 1: '<span translate="no">Acme Cloud</span>' });
+  assert.deepEqual(segment.glossary, [{ source: 'Acme Cloud', doNotTranslate: true }]);
+
+  // A block of nothing but the term has nothing to translate; attributes are only checked
+  assert.equal(logo.path, 'html.0.body.0.img.0@alt');
+  assert.equal(logo.text, 'Acme Cloud logo');
+});
+
+test('protected terms are put back from the original, dropped ones reported', () => {
+  const { transhtml, stats, memory } = replaceTranslations('<p>Try Acme Cloud, Acme Cloud rocks</p><p>Acme Cloud is <b>here</b></p><img alt="Acme Cloud logo">', [
+    { path: 'html.0.body.0.p.0', text: 'Essayez <x1/>, <x2/> assure' },
+    { path: 'html.0.body.0.p.1', text: 'Nuage est <x2>ici</x2>' },
+    { path: 'html.0.body.0.img.0@alt', text: 'Logo Akme Cloud' }
+  ], { glossary: GLOSSARY, placeholders: 'xml', qa: false });
+
+  assert.equal(transhtml, '<p>Essayez Acme Cloud, Acme Cloud assure</p><p>Nuage est <b>ici</b></p><img alt="Logo Akme Cloud">');
+  assert.equal(stats.protectedMissing, 0);
+  assert.deepEqual(stats.glossaryViolationPaths, [
+    { path: 'html.0.body.0.p.1', source: 'Acme Cloud', reason: 'protected_term_missing' },
+    { path: 'html.0.body.0.img.0@alt', source: 'Acme Cloud', reason: 'protected_term_missing' }
+  ]);
+  // The TM key is the segment text as extracted
+  assert.equal(memory.applied[0].source, 'Try <x1/>, <x2/> rocks');
+});
+
+test('without placeholders, a changed term in its protected markup is restored too', () => {
+  const { transhtml } = replaceTranslations('<p>Try Acme Cloud today</p>', [
+    { path: 'html.0.body.0.p.0', text: 'Essayez <span translate="no">Acme Wolke</span> aujourd\'hui' }
+  ], { glossary: GLOSSARY });
+
+  assert.equal(transhtml, '<p>Essayez Acme Cloud aujourd\'hui</p>');
+});
@@ -0,0 +1,88 @@
+// Shared helpers for the HTTP tests: a server process on a free port, and a local HTTP stub
+import { spawn } from 'child_process';
+import http from 'http';
+import { fileURLToPath } from 'url';
+
+export const TOKEN = 'test-token';
+
+const SERVER_PATH = fileURLToPath(new URL('../server.mjs', import.meta.url));
+
+// Start an HTTP server handling requests with `handler`, on a free loopback port
+export async function startStub(handler) {
+  const server = http.createServer(handler);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// Find a free port by letting the OS pick one
+async function freePort() {
+  const probe = http.createServer();
+  await new Promise(resolve => probe.listen(0, '127.0.0.1', resolve));
+  const { port } = probe.address();
+  await new Promise(resolve => probe.close(resolve));
+  return port;
+}
+
+// Start the service with extra environment variables; resolves once /healthz answers
+export async function startServer(env = {}) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [SERVER_PATH], {
+    env: { ...process.env, API_TOKEN: TOKEN, WORKER_POOL_SIZE: '0', ...env, PORT: String(port) },
+    stdio: ['ignore', 'ignore', 'pipe']
+  });
+  let stderr = '';
+  child.stderr.on('data', chunk => { stderr += chunk; });
+
+  const url = `http://127.0.0.1:${port}`;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      await fetch(`${url}/healthz`);
+      break;
+    } catch (error) {
+      if (attempt >= 100 || child.exitCode !== null) {
+        child.kill();
+        throw new Error(`Server did not start: ${stderr}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+
+  return {
+    url,
+    signal: name => child.kill(name),
+    stop: () => new Promise(resolve => {
+      if (child.exitCode !== null) {
+        resolve();
+        return;
+      }
+      child.once('exit', resolve);
+      child.kill();
+    })
+  };
+}
+
+// POST JSON (an object, or a string or buffer sent as is) with the test token; resolves to
+// { status, headers, body } with the body parsed when it's JSON
+export async function postJson(url, body, headers = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${TOKEN}`, 'Content-Type': 'application/json', ...headers },
+    body: typeof body === 'string' || body instanceof Uint8Array ? body : JSON.stringify(body)
+  });
+  const text = await response.text();
+  const isJson = (response.headers.get('content-type') || '').startsWith('application/json');
+  return { status: response.status, headers: response.headers, body: isJson ? JSON.parse(text) : text };
+}
+
+// Read a JSON request body
+export function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => resolve(data ? JSON.parse(data) : null));
+    req.on('error', reject);
+  });
+}
@@ -0,0 +1,85 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startServer, startStub, postJson, readJson } from './helpers.mjs';
+
+// Webhook stand-in recording its calls; /moved redirects to /target
+const calls = [];
+let webhook;
+let server;
+
+before(async () => {
+  webhook = await startStub(async (req, res) => {
+    calls.push({ url: req.url, body: await readJson(req) });
+    if (req.url === '/moved') {
+      res.writeHead(302, { Location: '/target' });
+    } else {
+      res.writeHead(204);
+    }
+    res.end();
+  });
+  // One worker with room for one queued job, so documents run three at a time find the queue full
+  server = await startServer({ WORKER_POOL_SIZE: '1', WORKER_QUEUE_LIMIT: '1', JOB_CONCURRENCY: '3' });
+});
+
+after(async () => {
+  await server?.stop();
+  await webhook?.close();
+});
+
+const documents = count => Array.from({ length: count }, (_, index) => ({ id: `doc-${index}`, html: `<p>Page ${index}</p>` }));
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Poll a job until it's no longer queued or running
+async function finished(id) {
+  for (let attempt = 0; attempt < 200; attempt++) {
+    const { body } = await postJson(`${server.url}/jobs/status`, { id });
+    if (body.status !== 'queued' && body.status !== 'running') {
+      return body;
+    }
+    await sleep(100);
+  }
+  throw new Error(`Job ${id} did not finish`);
+}
+
+test('documents finding the worker queue full are retried', async () => {
+  const submitted = await postJson(`${server.url}/jobs/submit`, { documents: documents(6) });
+  assert.equal(submitted.status, 202);
+
+  const status = await finished(submitted.body.id);
+  assert.equal(status.status, 'completed');
+  assert.equal(status.processed, 6);
+  assert.equal(status.errors, 0);
+
+  const results = await postJson(`${server.url}/jobs/results`, { id: submitted.body.id });
+  const lines = results.body.trim().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(lines.map(line => line.id), documents(6).map(document => document.id));
+});
+
+test('a canceled job stops without waiting on busy documents', async () => {
+  const submitted = await postJson(`${server.url}/jobs/submit`, { documents: documents(30) });
+  await postJson(`${server.url}/jobs/cancel`, { id: submitted.body.id });
+
+  const status = await finished(submitted.body.id);
+  assert.equal(status.status, 'canceled');
+  assert.ok(status.processed < 30);
+});
+
+test('webhooks get the final status and redirects are not followed', async () => {
+  calls.length = 0;
+  const submitted = await postJson(`${server.url}/jobs/submit`, { documents: documents(1), webhook: `${webhook.url}/done` });
+  await finished(submitted.body.id);
+  for (let attempt = 0; attempt < 50 && calls.length === 0; attempt++) {
+    await sleep(100);
+  }
+  assert.deepEqual(calls.map(call => [call.url, call.body.status]), [['/done', 'completed']]);
+
+  calls.length = 0;
+  const redirected = await postJson(`${server.url}/jobs/submit`, { documents: documents(1), webhook: `${webhook.url}/moved` });
+  await finished(redirected.body.id);
+  for (let attempt = 0; attempt < 50 && calls.length === 0; attempt++) {
+    await sleep(100);
+  }
+  await sleep(500);
+  assert.deepEqual(calls.map(call => call.url), ['/moved']);
+});
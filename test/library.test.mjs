@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import { fileURLToPath } from 'url';
+
+import {
+  extractTextNodes,
+  mergeTranslations,
+  replaceTranslations,
+  setLogger,
+  ExtractMergeError,
+  InvalidInputError,
+  InvalidPathError,
+  ProcessingError
+} from '../index.mjs';
+
+const INDEX_URL = new URL('../index.mjs', import.meta.url).href;
+
+test('the library imports without the server configuration', () => {
+  const env = { ...process.env };
+  delete env.API_TOKEN;
+  const output = execFileSync(process.execPath, [
+    '--input-type=module',
+    '-e',
+    `const { extractTextNodes } = await import(${JSON.stringify(INDEX_URL)}); console.log(JSON.stringify(extractTextNodes('<p>Hi</p>')));`
+  ], { env, cwd: fileURLToPath(new URL('.', import.meta.url)), encoding: 'utf8', timeout: 30000 });
+  assert.deepEqual(JSON.parse(output), [{ path: 'html.0.body.0.p.0', text: 'Hi' }]);
+});
+
+test('results are returned rather than written to a response', () => {
+  const result = replaceTranslations('<p>Hi</p>', [{ path: 'html.0.body.0.p.0', text: 'Salut' }]);
+  assert.equal(result.transhtml, '<p>Salut</p>');
+  assert.equal(result.output, 'fragment');
+  assert.equal(result.stats.replaced, 1);
+  assert.deepEqual(result.memory.applied, [{ source: 'Hi', text: 'Salut' }]);
+});
+
+test('bad input throws an InvalidInputError with the API error code', () => {
+  assert.throws(() => extractTextNodes('<p>Hi</p>', { exclude: ['p['] }), error =>
+    error instanceof InvalidInputError && error instanceof ExtractMergeError && error.code === 'INVALID_INPUT');
+});
+
+test('strict mode throws an InvalidPathError naming the path and reason', () => {
+  assert.throws(() => mergeTranslations('<p>Hi</p>', [{ path: 'html.0.body.0.p.3', text: 'x' }]), error =>
+    error instanceof InvalidPathError && error.code === 'INVALID_PATH' && error.path === 'html.0.body.0.p.3' && error.reason === 'not_found');
+
+  const { stats } = mergeTranslations('<p>Hi</p>', [{ path: 'html.0.body.0.p.3', text: 'x' }], { strict: false });
+  assert.deepEqual(stats.failedPaths, [{ path: 'html.0.body.0.p.3', reason: 'not_found' }]);
+});
+
+test('unexpected failures are wrapped in a ProcessingError and logged', () => {
+  const logged = [];
+  setLogger((level, message) => logged.push([level, message]));
+  try {
+    assert.throws(() => replaceTranslations('<p>Hi</p>', null), error =>
+      error instanceof ProcessingError && error.code === 'PROCESSING_ERROR' && error.cause instanceof TypeError);
+  } finally {
+    setLogger(null);
+  }
+  assert.deepEqual(logged, [['ERROR', 'Replace exception']]);
+});
@@ -0,0 +1,129 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { extractTextNodes, mergeTranslations, replaceTranslations } from '../index.mjs';
+
+const MARKDOWN = `---
+title: Welcome
+layout: page
+---
+# Guide
+
+Read the [guide](https://example.com/guide "Start here").
+
+![The logo](logo.png)
+
+\`\`\`js
+const a = 1;
+\`\`\`
+
+| Name | Role |
+|------|------|
+| Ann | Admin |
+
+- First item
+`;
+
+const OPTIONS = { sourceFormat: 'markdown' };
+
+// Upper-case every extracted segment, as a stand-in translator
+function shout(markdown, options) {
+  return extractTextNodes(markdown, options).map(({ path, text }) => ({ path, text: text.toUpperCase() }));
+}
+
+test('markdown blocks, table cells and front matter values are segments', () => {
+  const texts = extractTextNodes(MARKDOWN, OPTIONS).map(segment => segment.text);
+  assert.deepEqual(texts.slice(0, 7), [
+    'Welcome',
+    'Guide',
+    'Read the <a href="https://example.com/guide" title="Start here">guide</a>.',
+    'Name',
+    'Role',
+    'Ann',
+    'Admin'
+  ]);
+  assert.ok(!texts.some(text => text.includes('const a')));
+});
+
+test('replace writes markdown back with code, front matter keys and URLs unchanged', () => {
+  const { transhtml, output } = replaceTranslations(MARKDOWN, shout(MARKDOWN, OPTIONS), OPTIONS);
+  assert.equal(output, 'markdown');
+  assert.equal(transhtml, `---
+title: "WELCOME"
+layout: page
+---
+# GUIDE
+
+READ THE [GUIDE](https://example.com/guide "START HERE").
+
+![THE LOGO](logo.png)
+
+\`\`\`js
+const a = 1;
+\`\`\`
+
+| NAME | ROLE |
+|------|------|
+| ANN | ADMIN |
+
+- FIRST ITEM
+`);
+});
+
+test('translated links and images keep the source destinations by position', () => {
+  const markdown = 'See [one](/a) and [two][ref] and <https://example.com/>.\n\n[ref]: /b\n';
+  const { transhtml } = replaceTranslations(markdown, [{
+    path: 'html.0.body.0.p.0',
+    text: 'Voir <a href="https://evil.example/">un</a>, <a href="/x">deux</a> et <a href="https://example.com/">https://example.com/</a>.'
+  }], OPTIONS);
+  assert.equal(transhtml, 'Voir [un](/a), [deux][ref] et <https://example.com/>.\n\n[ref]: /b\n');
+});
+
+test('merge writes markdown blocks instead of wrapper markup', () => {
+  const { transhtml } = mergeTranslations(MARKDOWN, shout(MARKDOWN, OPTIONS), OPTIONS);
+  assert.ok(!transhtml.includes('<span'));
+  assert.equal(transhtml, `---
+title: "Welcome / WELCOME"
+layout: page
+---
+# Guide
+# GUIDE
+
+Read the [guide](https://example.com/guide "Start here / START HERE").
+
+READ THE [GUIDE](https://example.com/guide "START HERE").
+
+![The logo / THE LOGO](logo.png)
+
+\`\`\`js
+const a = 1;
+\`\`\`
+
+| Name | Role |
+|------|------|
+| NAME | ROLE |
+| Ann | Admin |
+| ANN | ADMIN |
+
+- First item
+
+  FIRST ITEM
+`);
+});
+
+test('merge keeps setext headings and the layout order', () => {
+  const markdown = 'Title\n=====\n\nText\n';
+  const { transhtml } = mergeTranslations(markdown, shout(markdown, OPTIONS), { ...OPTIONS, layout: { order: 'translation-first' } });
+  assert.equal(transhtml, 'TITLE\n=====\n\nTitle\n=====\n\nTEXT\n\nText\n');
+});
+
+test('plain text paragraphs round-trip with their line breaks', () => {
+  const text = 'First line\nsecond line\n\nNext paragraph\n';
+  const options = { sourceFormat: 'text' };
+  assert.deepEqual(extractTextNodes(text, options).map(segment => segment.text), ['First line<br>second line', 'Next paragraph']);
+
+  const translations = shout(text, options);
+  assert.equal(replaceTranslations(text, translations, options).transhtml, 'FIRST LINE\nSECOND LINE\n\nNEXT PARAGRAPH\n');
+  assert.equal(mergeTranslations(text, translations, options).transhtml,
+    'First line\nsecond line\n\nFIRST LINE\nSECOND LINE\n\nNext paragraph\n\nNEXT PARAGRAPH\n');
+});
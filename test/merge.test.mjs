@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { mergeTranslations, hasValidMergeOptions } from '../index.mjs';
+
+const HTML = '<p>Hello</p>';
+const TRANSLATIONS = [{ path: 'html.0.body.0.p.0', text: 'Bonjour' }];
+
+test('the default layout appends a span after a line break', () => {
+  const { transhtml } = mergeTranslations(HTML, TRANSLATIONS);
+  assert.equal(transhtml, '<p>Hello<span class="jsdom-extract-merge"><br>Bonjour</span></p>');
+});
+
+test('layouts control the wrapper, order and separator', () => {
+  const inline = mergeTranslations(HTML, TRANSLATIONS, { layout: { mode: 'inline', tag: 'em', className: '', order: 'translation-first' } });
+  assert.equal(inline.transhtml, '<p><em>Bonjour / </em>Hello</p>');
+
+  const sibling = mergeTranslations('<p id="a" class="c">Hello</p>', TRANSLATIONS, { layout: { mode: 'sibling', className: '', pairAttribute: 'data-pair' } });
+  assert.equal(sibling.transhtml, '<p id="a" class="c" data-pair="1">Hello</p><p class="c" data-pair="1">Bonjour</p>');
+});
+
+test('only listed wrapper tags are accepted', () => {
+  for (const tag of ['span', 'div', 'p', 'blockquote', 'em']) {
+    assert.equal(hasValidMergeOptions({ layout: { tag } }), true, tag);
+  }
+  for (const tag of ['script', 'style', 'iframe', 'a', 'form', 'object', 'SCRIPT', 'toString', 42]) {
+    assert.equal(hasValidMergeOptions({ layout: { tag } }), false, String(tag));
+  }
+});
+
+test('options without a value keep submitting their original text', () => {
+  const { transhtml } = mergeTranslations('<select><option>Red</option></select>', [{ path: 'html.0.body.0.select.0.option.0', text: 'Rouge' }]);
+  assert.equal(transhtml, '<select><option value="Red">Red / Rouge</option></select>');
+});
@@ -0,0 +1,78 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { gunzipSync, gzipSync } from 'zlib';
+
+import { startServer, postJson, TOKEN } from './helpers.mjs';
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+const HTML = '<h1>Title</h1><p>Content with <strong>bold</strong></p>';
+
+test('NDJSON responses hold one segment per line', async () => {
+  const { status, headers, body } = await postJson(`${server.url}/extract`, { html: HTML }, { Accept: 'application/x-ndjson' });
+  assert.equal(status, 200);
+  assert.equal(headers.get('content-type'), 'application/x-ndjson');
+
+  const json = await postJson(`${server.url}/extract`, { html: HTML });
+  assert.deepEqual(body.trim().split('\n').map(line => JSON.parse(line)), json.body.texts);
+});
+
+test('gzip request bodies are decompressed', async () => {
+  const { status, body } = await postJson(`${server.url}/extract`, gzipSync(JSON.stringify({ html: HTML })), { 'Content-Encoding': 'gzip' });
+  assert.equal(status, 200);
+  assert.equal(body.texts.length, 2);
+});
+
+// POST to /extract for NDJSON, resolving to the body chunks as they arrived
+const receiveChunks = (url, body, headers = {}) => new Promise((resolve, reject) => {
+  const request = http.request(`${url}/extract`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${TOKEN}`, 'Content-Type': 'application/json', Accept: 'application/x-ndjson', ...headers }
+  }, (response) => {
+    const chunks = [];
+    response.on('data', chunk => chunks.push(chunk));
+    response.on('end', () => resolve({ headers: response.headers, chunks }));
+  });
+  request.on('error', reject);
+  request.end(JSON.stringify(body));
+});
+
+test('NDJSON segments are sent in batches while the worker extracts', async () => {
+  const pooled = await startServer({ WORKER_POOL_SIZE: '1' });
+  try {
+    const html = Array.from({ length: 500 }, (_, index) => `<p>Paragraph ${index}</p>`).join('');
+    const { chunks } = await receiveChunks(pooled.url, { html });
+    assert.ok(chunks.length > 1, `${chunks.length} chunk(s)`);
+    const lines = Buffer.concat(chunks).toString().trim().split('\n').map(line => JSON.parse(line));
+    assert.equal(lines.length, 500);
+    assert.deepEqual(lines[499], { path: 'html.0.body.0.p.499', text: 'Paragraph 499' });
+
+    // Compressed streams are flushed batch by batch too
+    const gzipped = await receiveChunks(pooled.url, { html }, { 'Accept-Encoding': 'gzip' });
+    assert.equal(gzipped.headers['content-encoding'], 'gzip');
+    assert.ok(gzipped.chunks.length > 1);
+    assert.equal(gunzipSync(Buffer.concat(gzipped.chunks)).toString().trim().split('\n').length, 500);
+  } finally {
+    await pooled.stop();
+  }
+});
+
+test('NDJSON errors before the first segment get an error response', async () => {
+  const { status, body } = await postJson(`${server.url}/extract`, { html: HTML, exclude: ['p['] }, { Accept: 'application/x-ndjson' });
+  assert.equal(status, 400);
+  assert.equal(body.error, 'INVALID_INPUT');
+});
+
+test('deduplicated NDJSON lines list their duplicates', async () => {
+  const { body } = await postJson(`${server.url}/extract`, { html: '<p>Same</p><p>Same</p>', dedupe: true }, { Accept: 'application/x-ndjson' });
+  assert.deepEqual(JSON.parse(body.trim()), { path: 'html.0.body.0.p.0', text: 'Same', duplicates: ['html.0.body.0.p.1'] });
+});
@@ -0,0 +1,60 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startServer, postJson } from './helpers.mjs';
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+// Value of a metric sample, by its name and labels as written in the exposition
+const sample = (metrics, series) => {
+  const line = metrics.split('\n').find(text => text.startsWith(`${series} `));
+  return line === undefined ? undefined : Number(line.slice(series.length + 1));
+};
+
+test('a valid X-Request-Id is reused, anything else is replaced', async () => {
+  const reused = await postJson(`${server.url}/extract`, { html: '<p>Hi</p>' }, { 'X-Request-Id': 'trace-1:a' });
+  assert.equal(reused.headers.get('x-request-id'), 'trace-1:a');
+
+  const replaced = await postJson(`${server.url}/extract`, { html: '<p>Hi</p>' }, { 'X-Request-Id': 'bad id' });
+  assert.match(replaced.headers.get('x-request-id'), /^[a-z0-9]+$/);
+
+  const generated = await fetch(`${server.url}/healthz`);
+  assert.ok(generated.headers.get('x-request-id'));
+  assert.match(generated.headers.get('access-control-expose-headers'), /X-Request-Id/);
+});
+
+test('/readyz reports the worker queue', async () => {
+  const response = await fetch(`${server.url}/readyz`);
+  assert.equal(response.status, 200);
+  assert.deepEqual(await response.json(), { status: 'ready', queueDepth: 0, busyWorkers: 0, workers: 0 });
+});
+
+test('/metrics counts requests, errors and segments in the Prometheus format', async () => {
+  await postJson(`${server.url}/extract`, { html: '<p>One</p><p>Two</p>' });
+  await postJson(`${server.url}/extract`, { html: 1 });
+  await fetch(`${server.url}/nowhere`);
+
+  const response = await fetch(`${server.url}/metrics`);
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/plain; version=0\.0\.4/);
+  const metrics = await response.text();
+
+  assert.match(metrics, /# TYPE jsdom_extract_merge_http_requests_total counter/);
+  assert.ok(sample(metrics, 'jsdom_extract_merge_http_requests_total{route="/extract",method="POST",status="200"}') >= 1);
+  assert.equal(sample(metrics, 'jsdom_extract_merge_http_requests_total{route="/extract",method="POST",status="400"}'), 1);
+  assert.equal(sample(metrics, 'jsdom_extract_merge_http_requests_total{route="other",method="GET",status="404"}'), 1);
+  assert.equal(sample(metrics, 'jsdom_extract_merge_errors_total{error="INVALID_INPUT"}'), 1);
+  assert.ok(sample(metrics, 'jsdom_extract_merge_segments_extracted_total{route="/extract"}') >= 2);
+  assert.equal(sample(metrics,
+    'jsdom_extract_merge_http_request_duration_seconds_count{route="/extract",method="POST",status="400"}'), 1);
+  assert.equal(sample(metrics, 'jsdom_extract_merge_workers'), 0);
+  assert.ok(sample(metrics, 'process_resident_memory_bytes') > 0);
+});
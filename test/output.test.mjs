@@ -0,0 +1,61 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { mergeTranslations, replaceTranslations } from '../index.mjs';
+import { startServer, postJson } from './helpers.mjs';
+
+const DOCUMENT = '<!DOCTYPE html><html lang="en"><head><title>T</title></head><body><p>Hi</p></body></html>';
+const TRANSLATIONS = [{ path: 'html.0.body.0.p.0', text: 'Salut' }];
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test('a full document comes back whole, with its doctype, head and attributes', () => {
+  const replaced = replaceTranslations(DOCUMENT, TRANSLATIONS);
+  assert.equal(replaced.output, 'document');
+  assert.equal(replaced.transhtml, '<!DOCTYPE html><html lang="en"><head><title>T</title></head><body><p>Salut</p></body></html>');
+
+  const merged = mergeTranslations(DOCUMENT, TRANSLATIONS);
+  assert.equal(merged.output, 'document');
+  assert.equal(merged.transhtml,
+    '<!DOCTYPE html><html lang="en"><head><title>T</title></head><body><p>Hi<span class="jsdom-extract-merge"><br>Salut</span></p></body></html>');
+
+  // Head segments are written back too
+  assert.equal(replaceTranslations(DOCUMENT, [{ path: 'html.0.head.0.title.0', text: 'Titre' }]).transhtml,
+    '<!DOCTYPE html><html lang="en"><head><title>Titre</title></head><body><p>Hi</p></body></html>');
+});
+
+test('"auto" picks a document for any of <html>, <head> or <body>, and a fragment otherwise', () => {
+  assert.equal(replaceTranslations('<body class="x"><p>Hi</p></body>', TRANSLATIONS).transhtml,
+    '<html><head></head><body class="x"><p>Salut</p></body></html>');
+  assert.equal(replaceTranslations('<head><title>T</title></head><p>Hi</p>', TRANSLATIONS).output, 'document');
+
+  const fragment = replaceTranslations('<p>Hi</p>', TRANSLATIONS);
+  assert.equal(fragment.output, 'fragment');
+  assert.equal(fragment.transhtml, '<p>Salut</p>');
+});
+
+test('"fragment" and "document" override the detection', () => {
+  const fragment = replaceTranslations(DOCUMENT, TRANSLATIONS, { output: 'fragment' });
+  assert.equal(fragment.output, 'fragment');
+  assert.equal(fragment.transhtml, '<p>Salut</p>');
+
+  assert.equal(replaceTranslations('<p>Hi</p>', TRANSLATIONS, { output: 'document' }).transhtml,
+    '<html><head></head><body><p>Salut</p></body></html>');
+});
+
+test('the server echoes the output mode and rejects unknown ones', async () => {
+  const { status, body } = await postJson(`${server.url}/replace`, { html: DOCUMENT, translations: TRANSLATIONS });
+  assert.equal(status, 200);
+  assert.equal(body.output, 'document');
+  assert.match(body.transhtml, /^<!DOCTYPE html><html lang="en">/);
+
+  assert.equal((await postJson(`${server.url}/merge`, { html: DOCUMENT, translations: TRANSLATIONS, output: 'page' })).status, 400);
+});
@@ -0,0 +1,56 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { replaceTranslations } from '../index.mjs';
+import { startServer, postJson } from './helpers.mjs';
+
+const HTML = '<p title="T">One</p><p>Two</p>';
+const TRANSLATIONS = [
+  { path: 'html.0.body.0.p.0', text: 'Un' },
+  { path: 'html.0.body.0.p.0', text: 'Uno' },
+  { path: 'html..p', text: 'x' },
+  { path: 'html.0.body.0.p.1@onclick', text: 'x' },
+  { path: 'html.0.body.0.p.7', text: 'x' },
+  { path: 'html.0.body.0.p.1', text: 'Deux' }
+];
+const FAILED = [
+  { path: 'html.0.body.0.p.0', reason: 'duplicate' },
+  { path: 'html..p', reason: 'malformed' },
+  { path: 'html.0.body.0.p.1@onclick', reason: 'attribute_not_translatable' },
+  { path: 'html.0.body.0.p.7', reason: 'not_found' }
+];
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server?.stop();
+});
+
+test('without strict mode every resolvable translation is applied and the rest listed', () => {
+  const { transhtml, stats } = replaceTranslations(HTML, TRANSLATIONS, { strict: false });
+  assert.equal(transhtml, '<p title="T">Un</p><p>Deux</p>');
+  assert.equal(stats.total, 6);
+  assert.equal(stats.replaced, 2);
+  assert.equal(stats.failed, 4);
+  assert.deepEqual(stats.failedPaths, FAILED);
+});
+
+test('strict mode rejects the request at the first path that cannot be applied', async () => {
+  const { status, body } = await postJson(`${server.url}/replace`, { html: HTML, translations: TRANSLATIONS });
+  assert.equal(status, 400);
+  assert.deepEqual(body, { error: 'INVALID_PATH', path: 'html.0.body.0.p.0', reason: 'duplicate' });
+});
+
+test('/merge with "strict": false returns the merged HTML and the failed paths', async () => {
+  const { status, body } = await postJson(`${server.url}/merge`, { html: HTML, translations: TRANSLATIONS, strict: false });
+  assert.equal(status, 200);
+  assert.match(body.transhtml, /Deux/);
+  assert.equal(body.stats.merged, 2);
+  assert.deepEqual(body.stats.failedPaths, FAILED);
+
+  assert.equal((await postJson(`${server.url}/merge`, { html: HTML, translations: [], strict: 'no' })).status, 400);
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { extractTextNodes, replaceTranslations, hasValidExtractOptions, hasValidMergeOptions } from '../index.mjs';
+
+const PATH = 'html.0.body.0.p.0';
+
+test('inline tags become numbered placeholders', () => {
+  const html = '<p>Content with <strong class="x">bold</strong><br>text</p>';
+
+  const [xml] = extractTextNodes(html, { placeholders: 'xml' });
+  assert.equal(xml.text, 'Content with <x1>bold</x1><x2/>text');
+  assert.deepEqual(xml.tags, { 1: '<strong class="x">', 2: '<br>' });
+
+  const [braces] = extractTextNodes(html, { placeholders: 'braces' });
+  assert.equal(braces.text, 'Content with {1}bold{/1}{2/}text');
+});
+
+test('placeholders are turned back into the original markup', () => {
+  const html = '<p>Content with <strong class="x">bold</strong><br>text</p>';
+  const { transhtml, stats } = replaceTranslations(html, [{ path: PATH, text: '{1}Gras{/1} contenu{2/}texte' }], { placeholders: 'braces' });
+
+  assert.equal(transhtml, '<p><strong class="x">Gras</strong> contenu<br>texte</p>');
+  assert.equal(stats.placeholderMismatches, 0);
+});
+
+test('literal text that looks like a braces placeholder is escaped', () => {
+  const html = '<p>Use {1} or {/2} in <b>templates</b></p>';
+  const [segment] = extractTextNodes(html, { placeholders: 'braces' });
+  assert.equal(segment.text, 'Use &#123;1} or &#123;/2} in {1}templates{/1}');
+
+  const { transhtml, stats } = replaceTranslations(html, [{ path: PATH, text: 'Utilisez &#123;1} ou &#123;/2} dans {1}modèles{/1}' }], { placeholders: 'braces' });
+  assert.equal(transhtml, '<p>Utilisez {1} ou {/2} dans <b>modèles</b></p>');
+  assert.deepEqual(stats.placeholderMismatchPaths, []);
+});
+
+test('literal text that looks like an xml placeholder stays escaped', () => {
+  const html = '<p>Type &lt;x1&gt; then <b>go</b></p>';
+  const [segment] = extractTextNodes(html, { placeholders: 'xml' });
+  assert.equal(segment.text, 'Type &lt;x1&gt; then <x1>go</x1>');
+
+  const { transhtml } = replaceTranslations(html, [{ path: PATH, text: 'Tapez &lt;x1&gt; puis <x1>allez</x1>' }], { placeholders: 'xml' });
+  assert.equal(transhtml, '<p>Tapez &lt;x1&gt; puis <b>allez</b></p>');
+});
+
+test('missing and unknown placeholders are reported', () => {
+  const html = '<p>A <b>b</b> <i>c</i></p>';
+  const { stats } = replaceTranslations(html, [{ path: PATH, text: 'A <x1>b</x1> <x3>c</x3>' }], { placeholders: 'xml' });
+
+  assert.deepEqual(stats.placeholderMismatchPaths, [{ path: PATH, missing: [2], extra: [3] }]);
+});
+
+test('placeholder styles are only the listed ones', () => {
+  for (const placeholders of ['xml', 'braces']) {
+    assert.equal(hasValidExtractOptions({ html: '', placeholders }), true);
+    assert.equal(hasValidMergeOptions({ placeholders }), true);
+  }
+  for (const placeholders of ['toString', 'constructor', '__proto__', 'hasOwnProperty', 'none']) {
+    assert.equal(hasValidExtractOptions({ html: '', placeholders }), false, placeholders);
+    assert.equal(hasValidMergeOptions({ placeholders }), false, placeholders);
+  }
+});
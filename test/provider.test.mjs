@@ -0,0 +1,104 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { startServer, startStub, postJson, readJson } from './helpers.mjs';
+
+const ENV_KEY = 'env-secret';
+
+// LibreTranslate stand-in recording the API key of each call; fails with 500 while `failing` is
+// set, and with 429 and that Retry-After while `retryAfter` is
+const calls = [];
+let failing = false;
+let retryAfter = null;
+let provider;
+let other;
+let server;
+
+const libreTranslate = async (req, res) => {
+  const body = await readJson(req);
+  calls.push({ url: req.url, apiKey: body.api_key ?? null });
+  if (retryAfter !== null) {
+    res.writeHead(429, { 'Retry-After': retryAfter });
+    res.end();
+    return;
+  }
+  res.writeHead(failing ? 500 : 200, { 'Content-Type': 'application/json' });
+  res.end(failing ? '{}' : JSON.stringify({ translatedText: body.q.map(text => `T ${text}`) }));
+};
+
+before(async () => {
+  provider = await startStub(libreTranslate);
+  other = await startStub(libreTranslate);
+  server = await startServer({
+    TRANSLATE_PROVIDER: 'libretranslate',
+    TRANSLATE_API_URL: provider.url,
+    TRANSLATE_API_KEY: ENV_KEY,
+    TRANSLATE_ALLOWED_HOSTS: 'localhost',
+    TRANSLATE_MAX_RETRIES: ''
+  });
+});
+
+after(async () => {
+  await server?.stop();
+  await provider?.close();
+  await other?.close();
+});
+
+const translate = (extra = {}) => postJson(`${server.url}/translate`, { html: '<p>Hello</p>', targetLang: 'fr', ...extra });
+
+test('the environment key goes to the configured provider URL', async () => {
+  calls.length = 0;
+  const { status, body } = await translate();
+  assert.equal(status, 200);
+  assert.equal(body.transhtml, '<p>T Hello</p>');
+
+  await translate({ provider: { url: `${provider.url}/` } });
+  assert.deepEqual(calls.map(call => call.apiKey), [ENV_KEY, ENV_KEY]);
+});
+
+test('provider URLs on hosts that are not allowed are rejected', async () => {
+  calls.length = 0;
+  for (const url of [other.url, 'http://169.254.169.254/latest', 'http://10.0.0.1', 'file:///etc/passwd', 'not a url']) {
+    const { status, body } = await translate({ provider: { url } });
+    assert.equal(status, 400, url);
+    assert.equal(body.error, 'INVALID_INPUT');
+  }
+  assert.equal(calls.length, 0);
+});
+
+test('another allowed URL never receives the environment key', async () => {
+  calls.length = 0;
+  const url = other.url.replace('127.0.0.1', 'localhost');
+
+  assert.equal((await translate({ provider: { url } })).status, 200);
+  assert.equal((await translate({ provider: { url, apiKey: 'caller-key' } })).status, 200);
+  assert.deepEqual(calls.map(call => call.apiKey), [null, 'caller-key']);
+});
+
+test('an empty TRANSLATE_MAX_RETRIES falls back to the default of 3 retries', async () => {
+  calls.length = 0;
+  failing = true;
+  try {
+    const { status, body } = await translate();
+    assert.equal(status, 200);
+    assert.equal(body.errors.length, 1);
+    assert.equal(calls.length, 4);
+  } finally {
+    failing = false;
+  }
+});
+
+test('a Retry-After beyond TRANSLATE_TIMEOUT_MS fails the batch without waiting', async () => {
+  calls.length = 0;
+  retryAfter = '86400';
+  try {
+    const started = Date.now();
+    const { status, body } = await translate();
+    assert.equal(status, 200);
+    assert.equal(body.errors.length, 1);
+    assert.equal(calls.length, 1);
+    assert.ok(Date.now() - started < 5000);
+  } finally {
+    retryAfter = null;
+  }
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { mergeTranslations, replaceTranslations, hasValidMergeOptions, QaFailedError } from '../index.mjs';
+
+const PATH = 'html.0.body.0.p.0';
+const check = (text, qa = {}) => replaceTranslations('<p>Total: 42 items</p>', [{ path: PATH, text }], { qa });
+
+test('numbers are compared by value in any script', () => {
+  for (const text of ['Total : 42 éléments', 'المجموع: ٤٢ عنصر', 'कुल: ४२ आइटम', '合計：４２件']) {
+    assert.equal(check(text, { checks: ['numbers'] }).stats.qaIssues, 0, text);
+  }
+
+  const { stats } = check('المجموع: ٤٣ عنصر', { checks: ['numbers'] });
+  assert.deepEqual(stats.qaIssuePaths, [{ path: PATH, check: 'numbers', severity: 'error', missing: ['42'], extra: ['43'] }]);
+});
+
+test('without a threshold issues are only reported', () => {
+  const { transhtml, stats } = check('Total : 43 éléments');
+  assert.equal(transhtml, '<p>Total : 43 éléments</p>');
+  assert.equal(stats.qaIssues, 1);
+  assert.equal(stats.skipped, 0);
+});
+
+test('translations failing the threshold are skipped or reject the request', () => {
+  const skipped = check('Total : 43 éléments', { threshold: 'error' });
+  assert.equal(skipped.transhtml, '<p>Total: 42 items</p>');
+  assert.deepEqual(skipped.stats.skippedPaths, [PATH]);
+
+  assert.throws(() => check('Total : 43 éléments', { threshold: 'error', action: 'reject' }), QaFailedError);
+  assert.equal(check('Total : 43 éléments', { threshold: 'error', action: 'reject', checks: ['length'] }).stats.replaced, 1);
+});
+
+test('an action needs a threshold', () => {
+  assert.equal(hasValidMergeOptions({ qa: { action: 'skip' } }), false);
+  assert.equal(hasValidMergeOptions({ qa: { action: 'reject' } }), false);
+  assert.equal(hasValidMergeOptions({ qa: { action: 'reject', threshold: 'warning' } }), true);
+  assert.equal(hasValidMergeOptions({ qa: { action: 'drop', threshold: 'warning' } }), false);
+});
+
+test('"qa": false turns the checks off', () => {
+  const { stats } = mergeTranslations('<p>Total: 42 items</p>', [{ path: PATH, text: 'Total : 43 éléments' }], { qa: false });
+  assert.ok(!stats.qaIssues);
+  assert.equal(stats.merged, 1);
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { extractTextNodes, replaceTranslations, InvalidPathError } from '../index.mjs';
+
+// Stand-in translator: upper-cases the text, leaving markup alone
+const upper = segments => segments.map(({ path, text }) => ({
+  path,
+  text: text.replace(/(^|>)([^<]*)/g, (match, end, content) => end + content.toUpperCase())
+}));
+
+test('attributes inside a replaced block are written to the live document', () => {
+  const html = '<p>Read <a href="/x" title="More">this</a> now</p>';
+  const { transhtml, stats } = replaceTranslations(html, upper(extractTextNodes(html)));
+
+  assert.equal(transhtml, '<p>READ <a href="/x" title="MORE">THIS</a> NOW</p>');
+  assert.equal(stats.replaced, 2);
+  assert.equal(stats.failed, 0);
+});
+
+test('attributes of elements the translation dropped fail as detached', () => {
+  const html = '<p>Read <a href="/x" title="More">this</a></p>';
+  const translations = [
+    { path: 'html.0.body.0.p.0.a.0@title', text: 'Plus' },
+    { path: 'html.0.body.0.p.0', text: 'Lisez ceci' }
+  ];
+
+  const { transhtml, stats } = replaceTranslations(html, translations, { strict: false });
+  assert.equal(transhtml, '<p>Lisez ceci</p>');
+  assert.equal(stats.replaced, 1);
+  assert.deepEqual(stats.failedPaths, [{ path: 'html.0.body.0.p.0.a.0@title', reason: 'detached' }]);
+
+  assert.throws(() => replaceTranslations(html, translations), InvalidPathError);
+});
+
+test('media is carried over into the translated block', () => {
+  const html = '<p><img src="a.png" alt="Logo"> Hello <em>world</em> <svg></svg></p>';
+  const { transhtml, stats } = replaceTranslations(html, upper(extractTextNodes(html)));
+
+  assert.equal(transhtml, '<p><img src="a.png" alt="LOGO"> HELLO <em>WORLD</em> <svg></svg></p>');
+  assert.equal(stats.replaced, 2);
+});
+
+test('media in an inline run stays with the run', () => {
+  const html = '<div>Intro <img src="b.png" alt="Pic"><p>Para</p></div>';
+  const { transhtml } = replaceTranslations(html, upper(extractTextNodes(html)));
+
+  assert.equal(transhtml, '<div>INTRO <img src="b.png" alt="PIC"><p>PARA</p></div>');
+});
+
+test('options without a value keep submitting their original text', () => {
+  const html = '<select><option>\n  Red   apple </option><option value="g">Green</option></select>';
+  const translations = [
+    { path: 'html.0.body.0.select.0.option.0', text: 'Pomme rouge' },
+    { path: 'html.0.body.0.select.0.option.1', text: 'Vert' }
+  ];
+
+  const { transhtml } = replaceTranslations(html, translations);
+  assert.equal(transhtml, '<select><option value="Red apple">Pomme rouge</option><option value="g">Vert</option></select>');
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { replaceTranslations } from '../index.mjs';
+
+const PATH = 'html.0.body.0.p.0';
+
+const replace = (html, text, options = {}) => replaceTranslations(html, [{ path: PATH, text }], options);
+
+test('script-capable URL schemes are removed however they are spelled', () => {
+  const html = '<p>See <a href="/docs">docs</a></p>';
+  for (const href of ['javascript:alert(1)', 'java\tscript:alert(1)', ' \u0001JavaScript:alert(1)', 'java\nscript:x', 'vbscript:x', 'data:text/html,x']) {
+    const { transhtml, stats } = replace(html, `Voir <a href="${href}">docs</a>`);
+    assert.equal(transhtml, '<p>Voir <a>docs</a></p>', href);
+    assert.deepEqual(stats.sanitizedPaths, [{ path: PATH, removed: ['a@href'] }]);
+  }
+});
+
+test('relative and web URLs are kept', () => {
+  const html = '<p>See <a href="/docs">docs</a></p>';
+  for (const href of ['/fr/docs', 'page.html#x', 'https://example.com/a', 'mailto:a@example.com']) {
+    const { transhtml, stats } = replace(html, `Voir <a href="${href}">docs</a>`);
+    assert.equal(transhtml, `<p>Voir <a href="${href}">docs</a></p>`);
+    assert.equal(stats.sanitized, 0);
+  }
+});
+
+test('dangerous elements added by a translation are removed with their content', () => {
+  const { transhtml, stats } = replace('<p>Hello <b>you</b></p>', 'Salut <b>toi</b><script>alert(1)</script><iframe src="x"></iframe>');
+  assert.equal(transhtml, '<p>Salut <b>toi</b></p>');
+  assert.deepEqual(stats.sanitizedPaths, [{ path: PATH, removed: ['script', 'iframe'] }]);
+});
+
+test('form controls of the original segment survive, up to their original number', () => {
+  const html = '<label>Name <input name="n" type="text"></label>';
+  const path = 'html.0.body.0.label.0';
+  const translate = text => replaceTranslations(html, [{ path, text }]);
+
+  assert.equal(translate('Nom <input name="n" type="text">').transhtml, '<label>Nom <input name="n" type="text"></label>');
+
+  const { transhtml, stats } = translate('Nom <input name="n" type="text"><input name="m">');
+  assert.equal(transhtml, '<label>Nom <input name="n" type="text"></label>');
+  assert.deepEqual(stats.sanitizedPaths, [{ path, removed: ['input'] }]);
+});
+
+test('placeholder translations restore original form controls', () => {
+  const html = '<label>Name <select name="s"><option>A</option></select></label>';
+  const path = 'html.0.body.0.label.0';
+  const { transhtml, stats } = replaceTranslations(html, [{ path, text: 'Nom <x1>A</x1>' }], { placeholders: 'xml', strict: false });
+  assert.equal(stats.sanitized, 0);
+  assert.match(transhtml, /<label>Nom <select name="s">/);
+});
+
+test('disallowed tags and attributes are unwrapped or dropped', () => {
+  const { transhtml, stats } = replace('<p>Hello <a href="/x">you</a></p>', 'Salut <a href="/x" onclick="x()" class="c">toi</a> <u>!</u>');
+  assert.equal(transhtml, '<p>Salut <a href="/x">toi</a> !</p>');
+  assert.deepEqual(stats.sanitizedPaths, [{ path: PATH, removed: ['a@onclick', 'a@class', 'u'] }]);
+});
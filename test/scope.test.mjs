@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { extractTextNodes, mergeTranslations, replaceTranslations, InvalidInputError } from '../index.mjs';
+
+const paths = (html, options) => extractTextNodes(html, options).map(segment => segment.path);
+
+const PAGE = '<html><head><title>Title</title><meta name="description" content="About"></head>' +
+  '<body><nav><p>Menu</p></nav><article><p title="Tip">Text</p></article></body></html>';
+
+test('translate="no" and notranslate markers skip their subtree', () => {
+  const html = '<p>One</p><p translate="no">Two</p><div class="notranslate"><p>Three</p></div><p class="no-translate">Four</p>';
+  assert.deepEqual(paths(html), ['html.0.body.0.p.0']);
+});
+
+test('a marker on <html> or <body> opts out the whole document', () => {
+  assert.deepEqual(paths(PAGE.replace('<html>', '<html translate="no">')), []);
+  assert.deepEqual(paths(PAGE.replace('<body>', '<body class="notranslate">')), [
+    'html.0.head.0.title.0',
+    'html.0.head.0.meta.0@content'
+  ]);
+  assert.deepEqual(paths(PAGE, { exclude: ['body'] }), ['html.0.head.0.title.0', 'html.0.head.0.meta.0@content']);
+});
+
+test('head segments follow the head markers and the selectors', () => {
+  assert.deepEqual(paths(PAGE.replace('<head>', '<head translate="no">')), [
+    'html.0.body.0.nav.0.p.0',
+    'html.0.body.0.article.0.p.0',
+    'html.0.body.0.article.0.p.0@title'
+  ]);
+  assert.deepEqual(paths(PAGE, { exclude: ['meta', 'nav'] }), [
+    'html.0.head.0.title.0',
+    'html.0.body.0.article.0.p.0',
+    'html.0.body.0.article.0.p.0@title'
+  ]);
+  assert.deepEqual(paths(PAGE, { include: ['article'] }), [
+    'html.0.body.0.article.0.p.0',
+    'html.0.body.0.article.0.p.0@title'
+  ]);
+  assert.deepEqual(paths(PAGE, { include: ['title', 'article'] }), [
+    'html.0.head.0.title.0',
+    'html.0.body.0.article.0.p.0',
+    'html.0.body.0.article.0.p.0@title'
+  ]);
+  assert.deepEqual(paths(PAGE, { head: false, attributes: false }), [
+    'html.0.body.0.nav.0.p.0',
+    'html.0.body.0.article.0.p.0'
+  ]);
+});
+
+test('including <body> or <html> includes the whole body', () => {
+  const all = paths(PAGE, { head: false });
+  assert.deepEqual(paths(PAGE, { head: false, include: ['body'] }), all);
+  assert.deepEqual(paths(PAGE, { head: false, include: ['html'] }), all);
+});
+
+test('invalid selectors are rejected', () => {
+  assert.throws(() => extractTextNodes(PAGE, { include: ['p['] }), InvalidInputError);
+});
+
+test('protected pieces are restored by markup, then by order, and dropped ones are reported', () => {
+  const html = '<p>Run <code>npm test</code> then <kbd>q</kbd>.</p>';
+  const path = 'html.0.body.0.p.0';
+
+  // Reordered pieces keep their own markup; a translated one gets the original back
+  const reordered = replaceTranslations(html, [{ path, text: 'Tape <kbd>q</kbd> après <code>npm essai</code>.' }]);
+  assert.equal(reordered.transhtml, '<p>Tape <kbd>q</kbd> après <code>npm test</code>.</p>');
+  assert.equal(reordered.stats.protectedMissing, 0);
+
+  const dropped = replaceTranslations(html, [{ path, text: 'Lance <code>npm test</code>.' }]);
+  assert.equal(dropped.transhtml, '<p>Lance <code>npm test</code>.</p>');
+  assert.deepEqual(dropped.stats.protectedMissingPaths, [{ path, missing: ['<kbd>q</kbd>'] }]);
+
+  // In placeholder mode too
+  const { stats } = mergeTranslations(html, [{ path, text: 'Lance <x1/>.' }], { placeholders: 'xml' });
+  assert.equal(stats.protectedMissing, 1);
+  assert.deepEqual(stats.protectedMissingPaths[0].missing, ['<kbd>q</kbd>']);
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { extractTextNodes, mergeTranslations, replaceTranslations, InvalidPathError } from '../index.mjs';
+
+const HTML = '<p>Dr. Smith arrived. He saw <em>the report</em>. See https://example.com/a.b now.</p>' +
+  '<div>Head<p>Block</p>Tail one. Tail two.</div><pre>One. Two.</pre><p>Single sentence.</p>';
+const OPTIONS = { segmentation: 'sentence' };
+
+const segments = (html, options = OPTIONS) => extractTextNodes(html, options).map(({ path, text }) => [path, text]);
+
+test('blocks and inline runs are split into #sN sentences', () => {
+  assert.deepEqual(segments(HTML), [
+    ['html.0.body.0.p.0#s0', 'Dr. Smith arrived.'],
+    ['html.0.body.0.p.0#s1', 'He saw <em>the report</em>.'],
+    ['html.0.body.0.p.0#s2', 'See https://example.com/a.b now.'],
+    ['html.0.body.0.div.0#r0', 'Head'],
+    ['html.0.body.0.div.0.p.0', 'Block'],
+    ['html.0.body.0.div.0#r1#s0', 'Tail one.'],
+    ['html.0.body.0.div.0#r1#s1', 'Tail two.'],
+    ['html.0.body.0.pre.0', 'One. Two.'],
+    ['html.0.body.0.p.1', 'Single sentence.']
+  ]);
+});
+
+test('the nearest lang attribute picks the locale', () => {
+  assert.deepEqual(segments('<p lang="ja">今日は晴れ。明日は雨。</p>'), [
+    ['html.0.body.0.p.0#s0', '今日は晴れ。'],
+    ['html.0.body.0.p.0#s1', '明日は雨。']
+  ]);
+});
+
+test('replace translates sentences in place, in any order', () => {
+  const { transhtml } = replaceTranslations(HTML, [
+    { path: 'html.0.body.0.p.0#s1', text: 'Il a vu <em>le rapport</em>.' },
+    { path: 'html.0.body.0.p.0#s0', text: 'Le Dr Smith est arrivé.' },
+    { path: 'html.0.body.0.div.0#r1#s1', text: 'Fin deux.' }
+  ]);
+  assert.equal(transhtml, '<p>Le Dr Smith est arrivé. Il a vu <em>le rapport</em>. See https://example.com/a.b now.</p>' +
+    '<div>Head<p>Block</p>Tail one. Fin deux.</div><pre>One. Two.</pre><p>Single sentence.</p>');
+});
+
+test('merge inserts each translation after its sentence', () => {
+  const { transhtml } = mergeTranslations('<p>One here. Two here.</p>', [
+    { path: 'html.0.body.0.p.0#s0', text: 'Un.' },
+    { path: 'html.0.body.0.p.0#s1', text: 'Deux.' }
+  ], { layout: { mode: 'inline', className: '' } });
+  assert.equal(transhtml, '<p>One here.<span> / Un.</span> Two here.<span> / Deux.</span></p>');
+});
+
+test('a block and its own sentences cannot both be translated', () => {
+  assert.throws(() => replaceTranslations(HTML, [
+    { path: 'html.0.body.0.p.0', text: 'Tout.' },
+    { path: 'html.0.body.0.p.0#s0', text: 'Un.' }
+  ]), error => error instanceof InvalidPathError && error.reason === 'duplicate');
+
+  assert.throws(() => replaceTranslations(HTML, [{ path: 'html.0.body.0.p.1#s1', text: 'x' }]),
+    error => error instanceof InvalidPathError && error.reason === 'not_found');
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { extractTextNodes, replaceTranslations } from '../index.mjs';
+
+const SAVE = 'Click the Save button to keep your changes before leaving the page.';
+const CANCEL = 'You can cancel your subscription at any time from the billing page.';
+const PAGE = `<article><p>${SAVE}</p><p>${CANCEL}</p></article><p id="intro">Welcome</p>`;
+
+const translate = (html, segments) => replaceTranslations(html, segments.map(({ path, text }) => ({ path, text: `T ${text}` })), { strict: false });
+
+test('stable IDs prefer element ids, then content hashes', () => {
+  const ids = extractTextNodes(PAGE, { ids: 'stable' }).map(segment => segment.path);
+
+  assert.equal(ids.length, 3);
+  assert.match(ids[0], /^~article>p:[0-9a-f]{28}$/);
+  assert.match(ids[1], /^~article>p:[0-9a-f]{28}$/);
+  assert.equal(ids[2], '#intro');
+});
+
+test('unchanged content is found after the page structure changes', () => {
+  const segments = extractTextNodes(PAGE, { ids: 'stable' });
+  const edited = `<header><p>New</p></header><section><p>${CANCEL}</p></section><article><p>${SAVE}</p></article><p id="intro">Welcome</p>`;
+
+  const { transhtml, stats } = translate(edited, segments);
+  assert.equal(transhtml, `<header><p>New</p></header><section><p>T ${CANCEL}</p></section><article><p>T ${SAVE}</p></article><p id="intro">T Welcome</p>`);
+  assert.deepEqual(stats.reanchoredPaths, [
+    { path: segments[1].path, resolvedPath: 'html.0.body.0.section.0.p.0', distance: 0 }
+  ]);
+  assert.equal(stats.orphaned, 0);
+});
+
+test('slightly edited content is re-anchored by similarity', () => {
+  const segments = extractTextNodes(PAGE, { ids: 'stable' });
+  const edited = PAGE.replace('changes', 'edits').replace('billing page', 'billing settings page');
+
+  const { stats, memory } = translate(edited, segments);
+  assert.equal(stats.reanchored, 2);
+  assert.deepEqual(stats.reanchoredPaths.map(entry => entry.resolvedPath), ['html.0.body.0.article.0.p.0', 'html.0.body.0.article.0.p.1']);
+  for (const { distance } of stats.reanchoredPaths) {
+    assert.ok(distance > 0 && distance <= 9, `distance ${distance}`);
+  }
+
+  // Translations of the old text are applied, but not remembered for the edited text
+  assert.equal(stats.replaced, 3);
+  assert.deepEqual(memory.applied.map(entry => entry.source), ['Welcome']);
+});
+
+test('rewritten or removed content is orphaned', () => {
+  const segments = extractTextNodes(PAGE, { ids: 'stable' });
+  const edited = '<article><p>Pricing plans for teams of every size, billed monthly or yearly.</p></article>';
+
+  const { transhtml, stats } = translate(edited, segments);
+  assert.equal(transhtml, edited);
+  assert.deepEqual(stats.orphanedPaths, segments.map(segment => segment.path));
+});
+
+test('IDs without a signature only match exactly', () => {
+  const [segment] = extractTextNodes(PAGE, { ids: 'stable' });
+  const legacy = segment.path.substring(0, segment.path.length - 16);
+
+  assert.equal(translate(PAGE, [{ path: legacy, text: SAVE }]).stats.replaced, 1);
+  assert.equal(translate(PAGE.replace('changes', 'edits'), [{ path: legacy, text: SAVE }]).stats.orphaned, 1);
+});
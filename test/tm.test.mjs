@@ -0,0 +1,93 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import { mergeTranslations, replaceTranslations } from '../index.mjs';
+import { startServer, postJson } from './helpers.mjs';
+
+// Two API keys sharing one server, whose TM keeps at most two entries per key
+const dir = mkdtempSync(join(tmpdir(), 'tm-test-'));
+const keysFile = join(dir, 'keys.json');
+const tmFile = join(dir, 'tm.json');
+let server;
+
+const as = key => ({ Authorization: `Bearer ${key}` });
+const entry = source => ({ source, target: `T ${source}`, sourceLang: 'en', targetLang: 'fr' });
+const sources = ({ entries }) => entries.map(item => item.source);
+
+before(async () => {
+  writeFileSync(keysFile, JSON.stringify({ keys: [{ name: 'docs', key: 'docs-key' }, { name: 'ci', key: 'ci-key' }] }));
+  writeFileSync(tmFile, JSON.stringify({ entries: [entry('Legacy')] }));
+  server = await startServer({ API_KEYS_FILE: keysFile, TM_FILE: tmFile, TM_MAX_ENTRIES: '2' });
+});
+
+after(async () => {
+  await server?.stop();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+const importAs = (key, ...names) => postJson(`${server.url}/tm/import`, { entries: names.map(entry) }, as(key));
+const exportAs = async key => (await postJson(`${server.url}/tm/export`, {}, as(key))).body;
+
+test('TM files without keys load as the default key', async () => {
+  assert.deepEqual(sources((await postJson(`${server.url}/tm/export`, {})).body), ['Legacy']);
+  assert.deepEqual(sources(await exportAs('docs-key')), []);
+});
+
+test('each API key reads and writes its own entries', async () => {
+  assert.equal((await importAs('docs-key', 'Docs')).status, 200);
+  assert.equal((await importAs('ci-key', 'Build')).status, 200);
+
+  assert.deepEqual(sources(await exportAs('docs-key')), ['Docs']);
+  assert.deepEqual(sources(await exportAs('ci-key')), ['Build']);
+
+  const search = await postJson(`${server.url}/tm/search`, { query: 'build' }, as('docs-key'));
+  assert.deepEqual(search.body.entries, []);
+
+  await postJson(`${server.url}/tm/purge`, { all: true }, as('ci-key'));
+  assert.deepEqual(sources(await exportAs('docs-key')), ['Docs']);
+  assert.deepEqual(sources(await exportAs('ci-key')), []);
+});
+
+test('past TM_MAX_ENTRIES the least recently used entries are dropped', async () => {
+  await importAs('ci-key', 'One', 'Two');
+
+  // A lookup counts as a use, so "Two" is dropped rather than "One"
+  const extract = await postJson(`${server.url}/extract`, { html: '<p>One</p>', sourceLang: 'en', targetLang: 'fr', tm: 'mark' }, as('ci-key'));
+  assert.equal(extract.body.texts[0].tmMatch, true);
+
+  await importAs('ci-key', 'Three');
+  assert.deepEqual(sources(await exportAs('ci-key')).sort(), ['One', 'Three']);
+  assert.deepEqual(sources(await exportAs('docs-key')), ['Docs']);
+});
+
+test('the TM gets translations as written, leaving out skipped ones', () => {
+  const html = '<p>Run <code>npm test</code> now</p><p>Hello <b>there</b></p><p>Version 2</p>';
+  const translations = [
+    { path: 'html.0.body.0.p.0', text: 'Lancez <x1/> maintenant' },
+    { path: 'html.0.body.0.p.1', text: 'Bonjour  <x1>toi</x1> <script>x()</script>' },
+    { path: 'html.0.body.0.p.2', text: 'Version 3' }
+  ];
+  const options = { placeholders: 'xml', qa: { threshold: 'error' } };
+
+  for (const apply of [mergeTranslations, replaceTranslations]) {
+    const { memory, stats } = apply(html, translations, options);
+    assert.deepEqual(stats.skippedPaths, ['html.0.body.0.p.2']);
+    // Placeholders are numbered as in the source; sanitized markup is left out
+    assert.deepEqual(memory.applied, [
+      { source: 'Run <x1/> now', text: 'Lancez <x1/> maintenant' },
+      { source: 'Hello <x1>there</x1>', text: 'Bonjour <x1>toi</x1>' }
+    ]);
+  }
+});
+
+test('entries are saved per key on shutdown', async () => {
+  await server.stop();
+  const { namespaces } = JSON.parse(readFileSync(tmFile, 'utf8'));
+
+  assert.deepEqual(Object.keys(namespaces).sort(), ['ci', 'default', 'docs']);
+  assert.deepEqual(namespaces.docs.map(item => item.source), ['Docs']);
+  assert.deepEqual(namespaces.default.map(item => item.source), ['Legacy']);
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { extractTextNodes, hasValidExtractOptions, mergeTranslations, replaceTranslations } from '../index.mjs';
+
+const HTML = '<p>  Some\n   spaced   text </p><pre>  a\n    b  </pre><p>Note <textarea>  x\n y</textarea></p>' +
+  '<div style="white-space: pre-wrap">keep   this\n line</div><p xml:space="preserve">p  q</p>';
+
+// Upper-case every extracted segment, as a stand-in translator
+const shout = html => extractTextNodes(html).map(({ path, text }) => ({ path, text: text.toUpperCase() }));
+
+test('whitespace-sensitive segments are extracted verbatim and marked preformatted', () => {
+  assert.deepEqual(extractTextNodes(HTML), [
+    { path: 'html.0.body.0.p.0', text: 'Some spaced text' },
+    { path: 'html.0.body.0.pre.0', text: '  a\n    b  ', preformatted: true },
+    { path: 'html.0.body.0.p.1', text: 'Note' },
+    { path: 'html.0.body.0.div.0', text: 'keep   this\n line', preformatted: true },
+    { path: 'html.0.body.0.p.2', text: 'p  q', preformatted: true }
+  ]);
+});
+
+test('a textarea holds a form value: it stays out of segments and is left as is', () => {
+  const html = 'Intro <textarea placeholder="Your note">  x\n y</textarea><p>Text</p>';
+  assert.deepEqual(extractTextNodes(html), [
+    { path: 'html.0.body.0#r0', text: 'Intro' },
+    { path: 'html.0.body.0.p.0', text: 'Text' },
+    { path: 'html.0.body.0.textarea.0@placeholder', text: 'Your note' }
+  ]);
+  assert.equal(replaceTranslations(html, shout(html)).transhtml, 'INTRO <textarea placeholder="YOUR NOTE">  x\n y</textarea><p>TEXT</p>');
+});
+
+test('"preformatted": "skip" leaves them out', () => {
+  assert.deepEqual(extractTextNodes(HTML, { preformatted: 'skip' }).map(segment => segment.path), ['html.0.body.0.p.0', 'html.0.body.0.p.1']);
+  assert.equal(hasValidExtractOptions({ html: HTML, preformatted: 'skip' }), true);
+  assert.equal(hasValidExtractOptions({ html: HTML, preformatted: 'drop' }), false);
+});
+
+test('replace keeps the surrounding whitespace and writes preformatted translations verbatim', () => {
+  assert.equal(replaceTranslations(HTML, shout(HTML)).transhtml,
+    '<p>  SOME SPACED TEXT </p><pre>  A\n    B  </pre><p>NOTE <textarea>  x\n y</textarea></p>' +
+    '<div style="white-space: pre-wrap">KEEP   THIS\n LINE</div><p xml:space="preserve">P  Q</p>');
+});
+
+test('merge does not collapse the whitespace of a preformatted translation', () => {
+  const html = '<pre>a  b</pre>';
+  assert.equal(mergeTranslations(html, [{ path: 'html.0.body.0.pre.0', text: 'A  B\n  C' }]).transhtml,
+    '<pre>a  b<span class="jsdom-extract-merge"><br>A  B\n  C</span></pre>');
+});
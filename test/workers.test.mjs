@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import { startServer, postJson } from './helpers.mjs';
+
+const readyz = async server => {
+  const response = await fetch(`${server.url}/readyz`);
+  return { status: response.status, body: await response.json() };
+};
+
+test('a healthy pool is ready and processes documents with the glossary of the request\'s key', async () => {
+  const dir = mkdtempSync(join(tmpdir(), 'workers-test-'));
+  const keysFile = join(dir, 'keys.json');
+  writeFileSync(keysFile, JSON.stringify({ keys: [{ name: 'docs', key: 'docs-key' }] }));
+  const server = await startServer({ WORKER_POOL_SIZE: '1', API_KEYS_FILE: keysFile });
+  try {
+    const extract = headers => postJson(`${server.url}/extract`, { html: '<p>Acme rocks</p>', targetLang: 'fr' }, headers);
+    assert.equal((await extract()).status, 200);
+    assert.equal((await readyz(server)).status, 200);
+
+    await postJson(`${server.url}/glossary/import`, { entries: [{ source: 'Acme', doNotTranslate: true }], targetLang: 'fr' });
+    assert.equal((await extract()).body.texts[0].text, '<span translate="no">Acme</span> rocks');
+    assert.equal((await extract({ Authorization: 'Bearer docs-key' })).body.texts[0].text, 'Acme rocks');
+    assert.equal((await extract()).body.texts[0].text, '<span translate="no">Acme</span> rocks');
+  } finally {
+    await server.stop();
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('workers crashing in a row mark the service not ready', async () => {
+  // Too small a heap to load the worker, so every worker crashes on start
+  const server = await startServer({ WORKER_POOL_SIZE: '1', WORKER_MAX_MEMORY_MB: '1' });
+  try {
+    let ready;
+    for (let attempt = 0; attempt < 100; attempt++) {
+      ready = await readyz(server);
+      if (ready.status === 503) {
+        break;
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    assert.equal(ready.status, 503);
+    assert.equal(ready.body.reason, 'workers_failing');
+
+    const { status, body } = await postJson(`${server.url}/extract`, { html: '<p>Hello</p>' });
+    assert.equal(status, 503);
+    assert.equal(body.error, 'SERVER_BUSY');
+  } finally {
+    await server.stop();
+  }
+});
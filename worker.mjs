@@ -0,0 +1,52 @@
+import { isMainThread, parentPort } from 'worker_threads';
+import { extractTextNodes, mergeTranslations, processEpub, replaceTranslations, setLogger, streamTextNodes } from './index.mjs';
+import { log, requestContext } from './log.mjs';
+
+// Segments per batch passed on by a streamed extract
+const STREAM_BATCH_SIZE = 100;
+
+// DOM processing jobs, run by the server's worker pool (or inline, without one). Each gets
+// its arguments and returns its result, or throws. Jobs also get an `onProgress` callback,
+// which the streamed extract calls with each batch of segments as the document is walked.
+export const DOM_JOBS = {
+  extract: (html, options, withContexts) => {
+    const details = withContexts ? {} : null;
+    const texts = extractTextNodes(html, options, details);
+    return { texts, details };
+  },
+  extractStream: (html, options, onProgress) => {
+    let batch = [];
+    const count = streamTextNodes(html, options, (segment) => {
+      batch.push(segment);
+      if (batch.length >= STREAM_BATCH_SIZE) {
+        onProgress(batch);
+        batch = [];
+      }
+    });
+    if (batch.length > 0) {
+      onProgress(batch);
+    }
+    return { count };
+  },
+  merge: mergeTranslations,
+  replace: replaceTranslations,
+  epub: processEpub
+};
+
+// Worker thread side of the pool: run each job and post back its progress, then its result or
+// its error's code and details (engine errors carry a code; anything else is a processing error)
+if (!isMainThread) {
+  setLogger(log);
+
+  const postProgress = progress => parentPort.postMessage({ progress });
+
+  parentPort.on('message', ({ name, args, keyName }) => {
+    try {
+      const result = requestContext.run({ keyName }, () => DOM_JOBS[name](...args, postProgress));
+      parentPort.postMessage({ result });
+    } catch (error) {
+      const { code = 'PROCESSING_ERROR', message, path, reason, issues } = error;
+      parentPort.postMessage({ error: { code, message, path, reason, issues } });
+    }
+  });
+}